@@ -3,6 +3,49 @@ const express = require("express");
 const cors = require("cors");
 const { MongoClient, ServerApiVersion, ObjectId } = require("mongodb");
 const admin = require("firebase-admin");
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const jwt = require("jsonwebtoken");
+const { normalizeSchedule, parseEventTime, deriveLegacyFields } = require("./lib/schedule");
+const { buildCalendar } = require("./lib/ical");
+const { createMailTransport } = require("./lib/mail");
+const { createPubSub } = require("./lib/pubsub");
+const {
+  NOTIFICATION_TYPES,
+  MAX_ATTEMPTS,
+  retryDelayMs,
+  renderNotification,
+  renderUnsubscribeConfirmation,
+  renderUnsubscribeResult,
+  renderUnsubscribeInvalid,
+} = require("./lib/notifications");
+const { parseRRule, formatRRule, expandRecurrence, isOccurrence, splitRRule } = require("./lib/recurrence");
+const { createJobScheduler } = require("./lib/jobs");
+const { validate } = require("./lib/validation");
+const { createRateLimitStore, createRateLimiter } = require("./lib/ratelimit");
+const { diffSnapshots } = require("./lib/audit");
+const { toCsv } = require("./lib/csv");
+const { createTtlCache } = require("./lib/cache");
+const { createGeocoder, normalizePlace } = require("./lib/geocode");
+const { createStorage } = require("./lib/storage");
+const {
+  UPLOAD_KEY_PATTERN,
+  DEFAULT_IMAGES,
+  sniffImageType,
+  newUploadKey,
+  contentTypeOfKey,
+  uploadKeysIn,
+  readMultipartFile,
+} = require("./lib/uploads");
+const { INTERVALS, resolveRange, listBuckets, countPerBucket, buildSeries } = require("./lib/analytics");
+const { slugify, isSlug, withSuffix } = require("./lib/slugs");
+const {
+  RENDER_VERSION,
+  renderArticleContent,
+  renderCommentText,
+  toPlainText,
+  excerptOf,
+} = require("./lib/markdown");
 const app = express();
 const port = process.env.PORT || 5000;
 
@@ -32,11 +75,19 @@ try {
   }
 } catch (error) {
   console.warn("⚠️ Firebase Admin initialization warning:", error.message);
-  console.warn("⚠️ Authentication will use fallback method (headers-based)");
+  console.warn("⚠️ Only first-party access tokens will be accepted");
   firebaseAdminInitialized = false;
 }
 
 // Middleware
+// Behind a proxy (Vercel, nginx) req.ip has to come from X-Forwarded-For, otherwise every
+// client shares one rate limit. TRUST_PROXY takes a hop count, true/false or a subnet list.
+const parseTrustProxy = (value) => {
+  if (/^\d+$/.test(value)) return Number(value);
+  if (value === "true" || value === "false") return value === "true";
+  return value;
+};
+app.set("trust proxy", parseTrustProxy(process.env.TRUST_PROXY ?? (process.env.VERCEL ? "1" : "false")));
 app.use(cors({
   origin: true, // Allow all origins (or specify your frontend URL)
   credentials: true,
@@ -46,11 +97,33 @@ app.use(cors({
     'X-User-Email',
     'X-User-UID',
     'user-email',
-    'user-uid'
+    'user-uid',
+    'X-Request-Id'
   ],
-  exposedHeaders: ['Authorization']
+  exposedHeaders: [
+    'Authorization',
+    'X-Request-Id',
+    'RateLimit-Policy',
+    'RateLimit-Limit',
+    'RateLimit-Remaining',
+    'RateLimit-Reset',
+    'Retry-After'
+  ]
+}));
+app.use(express.json({
+  // Keep the raw body around so payment webhooks can verify their signatures
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
 }));
-app.use(express.json());
+
+// Every request gets an id for logs and audit entries; a sane X-Request-Id from a proxy is kept
+app.use((req, res, next) => {
+  const incoming = req.get("X-Request-Id");
+  req.id = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  next();
+});
 
 // Async error handler wrapper
 const asyncHandler = (fn) => (req, res, next) => {
@@ -71,29 +144,61 @@ app.use((err, req, res, next) => {
   });
 });
 
-// Authentication Middleware - Verifies Firebase ID Token or uses fallback
+// ** Access Tokens **
+// First-party sessions: a short-lived JWT access token plus a rotating refresh token
+// (see Session Helpers). Firebase ID tokens are still accepted as a second strategy.
+if (!process.env.JWT_SECRET) {
+  console.warn("⚠️ Warning: JWT_SECRET is not set - using a random secret, sessions will not survive a restart");
+}
+const jwtSecret = process.env.JWT_SECRET || crypto.randomBytes(32).toString("hex");
+const JWT_ISSUER = "event-booking-server";
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+
+// Trusting X-User-Email / X-User-UID headers lets anyone act as anyone - local development only
+const allowHeaderAuth =
+  process.env.ALLOW_HEADER_AUTH === "true" && process.env.NODE_ENV !== "production";
+if (allowHeaderAuth) {
+  console.warn("⚠️ Warning: ALLOW_HEADER_AUTH is on - X-User-Email/X-User-UID headers are trusted without verification");
+}
+
+const signAccessToken = (user) =>
+  jwt.sign(
+    { email: user.email, name: user.name, ver: user.tokenVersion || 0 },
+    jwtSecret,
+    { subject: user._id.toString(), issuer: JWT_ISSUER, expiresIn: ACCESS_TOKEN_TTL, algorithm: "HS256" }
+  );
+
+// Returns the decoded payload, or null when the token is not one of ours (or is invalid)
+const verifyAccessToken = (token) => {
+  try {
+    return jwt.verify(token, jwtSecret, { issuer: JWT_ISSUER, algorithms: ["HS256"] });
+  } catch (error) {
+    return null;
+  }
+};
+
+// Authentication Middleware - Verifies our JWT access token or a Firebase ID token
 const authenticateToken = async (req, res, next) => {
   try {
-    // Method 1: Try Firebase ID token from Authorization header
     const authHeader = req.headers.authorization;
     const token = authHeader?.startsWith("Bearer ") ? authHeader.split("Bearer ")[1] : null;
 
-    // Method 2: Fallback - Check for user info in headers (for frontend compatibility)
-    const userEmail = req.headers["x-user-email"] || req.headers["user-email"];
-    const userUid = req.headers["x-user-uid"] || req.headers["user-uid"];
-
-    // If we have user email and UID in headers, use that (more reliable fallback)
-    if (userEmail && userUid) {
+    // Method 1: First-party access token (email/password accounts)
+    const payload = token ? verifyAccessToken(token) : null;
+    if (payload) {
       req.user = {
-        uid: userUid,
-        email: userEmail,
-        name: userEmail?.split("@")[0],
+        uid: payload.sub,
+        email: payload.email,
+        name: payload.name || payload.email?.split("@")[0],
+        tokenVersion: payload.ver,
+        authProvider: "password",
+        // Password accounts only exist once /auth/verify-email confirmed the address
+        emailVerified: true,
       };
-      console.log("✅ Authenticated via headers:", userEmail);
-      return next();
+      return await loadAccount(req, res, next);
     }
 
-    // Try Firebase Admin token verification if we have a token
+    // Method 2: Firebase ID token
     if (token && firebaseAdminInitialized) {
       try {
         const decodedToken = await admin.auth().verifyIdToken(token);
@@ -101,37 +206,42 @@ const authenticateToken = async (req, res, next) => {
           uid: decodedToken.uid,
           email: decodedToken.email,
           name: decodedToken.name || decodedToken.email?.split("@")[0],
+          authProvider: "firebase",
+          emailVerified: decodedToken.email_verified === true,
         };
         console.log("✅ Authenticated via Firebase token:", decodedToken.email);
-        return next();
+        return await loadAccount(req, res, next);
       } catch (firebaseError) {
         console.warn("⚠️ Firebase token verification failed:", firebaseError.message);
-        // Continue to check for headers fallback below
       }
     }
 
-    // If no token and no headers, return error
-    if (!token && !userEmail) {
-      return res.status(401).json({
-        success: false,
-        error: "Unauthorized: Please log in again. No authentication token or user info provided.",
-        hint: "Include Authorization header with Bearer token, or X-User-Email and X-User-UID headers",
-      });
+    // Method 3 (development only): unverified user info headers
+    const userEmail = req.headers["x-user-email"] || req.headers["user-email"];
+    const userUid = req.headers["x-user-uid"] || req.headers["user-uid"];
+    if (allowHeaderAuth && userEmail && userUid) {
+      req.user = {
+        uid: userUid,
+        email: userEmail,
+        name: userEmail?.split("@")[0],
+        authProvider: "headers",
+        emailVerified: true,
+      };
+      console.log("✅ Authenticated via headers (development mode):", userEmail);
+      return await loadAccount(req, res, next);
     }
 
-    // If we have token but Firebase Admin failed and no headers, return error
-    if (token && !userEmail) {
+    if (!token) {
       return res.status(401).json({
         success: false,
-        error: "Unauthorized: Please log in again. Token verification failed.",
-        hint: "Try including X-User-Email and X-User-UID headers as fallback",
+        error: "Unauthorized: Please log in again. No authentication token provided.",
+        hint: "Include an Authorization header with a Bearer access token or Firebase ID token",
       });
     }
 
-    // Should not reach here, but just in case
     return res.status(401).json({
       success: false,
-      error: "Unauthorized: Authentication failed",
+      error: "Unauthorized: Please log in again. Token verification failed.",
     });
   } catch (error) {
     console.error("Authentication error:", error);
@@ -143,6 +253,15 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+// For public routes that show more to signed-in users (private groups): authenticates only
+// when credentials were sent, so anonymous requests pass through without req.user
+const optionalAuth = (req, res, next) => {
+  const hasCredentials =
+    Boolean(req.headers.authorization) ||
+    (allowHeaderAuth && Boolean(req.headers["x-user-email"] || req.headers["user-email"]));
+  return hasCredentials ? authenticateToken(req, res, next) : next();
+};
+
 // Authorization Helper - Check if user is the creator
 const isCreator = (resource, userEmail, userUid) => {
   // Check by email (most common)
@@ -170,6 +289,101 @@ const isCreator = (resource, userEmail, userUid) => {
   return false;
 };
 
+// ** Roles & Suspensions **
+// Roles live on the users document ("role": user | moderator | admin, default user).
+// ADMIN_EMAILS (comma separated) always grants admin, so the first admin can be bootstrapped.
+const ROLES = ["user", "moderator", "admin"];
+
+// User documents as the admin routes return them - credentials and private tokens stay behind
+const adminUserProjection = { calendarFeedToken: 0, passwordHash: 0, tokenVersion: 0 };
+
+const adminEmails = (process.env.ADMIN_EMAILS || "")
+  .split(",")
+  .map((email) => email.trim().toLowerCase())
+  .filter(Boolean);
+
+// The address has to be verified: some Firebase sign-in providers accept any email, and
+// signing up with an admin's address must not make someone admin. authenticateToken sets
+// req.user.emailVerified; stored user documents (admin listings) carry no such flag.
+const isBootstrapAdmin = (user) =>
+  Boolean(user?.email && user.emailVerified !== false && adminEmails.includes(user.email.toLowerCase()));
+
+const isAdmin = (user) => user?.role === "admin" || isBootstrapAdmin(user);
+
+const hasRole = (user, role) =>
+  ROLES.indexOf(isAdmin(user) ? "admin" : user?.role || "user") >= ROLES.indexOf(role);
+
+const isSuspended = (account) =>
+  Boolean(
+    account?.suspendedAt &&
+      (!account.suspendedUntil || new Date(account.suspendedUntil) > new Date())
+  );
+
+// Called by authenticateToken once the identity is known: attaches req.user.role and
+// rejects revoked sessions and suspended accounts on every protected route
+const loadAccount = async (req, res, next) => {
+  const account =
+    dbConnected && usersCollection
+      ? await usersCollection.findOne(
+          { email: req.user.email },
+          {
+            projection: {
+              role: 1,
+              suspendedAt: 1,
+              suspendedUntil: 1,
+              suspensionReason: 1,
+              tokenVersion: 1,
+            },
+          }
+        )
+      : null;
+
+  // Access tokens die with "log out everywhere" and password resets (tokenVersion bump)
+  if (
+    req.user.authProvider === "password" &&
+    dbConnected &&
+    (!account || (account.tokenVersion || 0) !== req.user.tokenVersion)
+  ) {
+    return res.status(401).json({
+      success: false,
+      error: "Unauthorized: Session has been revoked. Please log in again.",
+    });
+  }
+
+  req.user.role = isBootstrapAdmin(req.user)
+    ? "admin"
+    : ROLES.includes(account?.role)
+      ? account.role
+      : "user";
+
+  if (req.user.role !== "admin" && isSuspended(account)) {
+    return res.status(403).json({
+      success: false,
+      error: "Forbidden: Your account is suspended",
+      reason: account.suspensionReason || null,
+      suspendedUntil: account.suspendedUntil || null,
+    });
+  }
+  next();
+};
+
+// Role Middleware - use after authenticateToken, e.g. requireRole("moderator")
+const requireRole = (role) => (req, res, next) => {
+  if (!hasRole(req.user, role)) {
+    return res.status(403).json({
+      success: false,
+      error: `Forbidden: ${role[0].toUpperCase()}${role.slice(1)} access required`,
+    });
+  }
+  next();
+};
+
+const requireAdmin = requireRole("admin");
+
+// Case-insensitive "contains" match for admin search boxes
+const searchPattern = (value) =>
+  new RegExp(String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
+
 // MongoDB URI - with validation
 if (!process.env.DB_USER || !process.env.DB_PASS) {
   console.warn("⚠️ Warning: DB_USER or DB_PASS environment variables are not set");
@@ -194,9 +408,26 @@ const client = new MongoClient(uri, {
 let db = null;
 let groupCollection = null;
 let joinedCollection = null;
+let waitlistCollection = null;
 let usersCollection = null;
 let articlesCollection = null;
+let articleRevisionsCollection = null;
 let commentsCollection = null;
+let commentReactionsCollection = null;
+let ordersCollection = null;
+let jobRunsCollection = null;
+let jobLocksCollection = null;
+let notificationsCollection = null;
+let realtimeEventsCollection = null;
+let sessionsCollection = null;
+let passwordResetsCollection = null;
+let emailVerificationsCollection = null;
+let rateLimitsCollection = null;
+let auditLogCollection = null;
+let groupInvitesCollection = null;
+let joinRequestsCollection = null;
+let uploadsCollection = null;
+let jobScheduler = null;
 let dbConnected = false;
 
 // Helper function to check database connection with auto-retry
@@ -207,6 +438,7 @@ const checkDbConnection = async (res) => {
       console.log("🔄 Attempting to reconnect to MongoDB...");
       const reconnected = await connectToMongoDB(1, 1000);
       if (reconnected) {
+        startJobScheduler();
         return null; // Connection restored
       }
     }
@@ -235,765 +467,7620 @@ const checkDbConnection = async (res) => {
   return null;
 };
 
-// Initialize routes - routes are always registered
-function initializeRoutes() {
-  // Create group - Protected: Requires authentication
-  app.post("/createGroup", authenticateToken, async (req, res) => {
-      try {
-        const dbCheck = await checkDbConnection(res);
-        if (dbCheck) return dbCheck;
-        
-        const groupData = req.body;
-        
-        // Set creator info from authenticated user
-        groupData.userEmail = req.user.email;
-        groupData.userId = req.user.uid;
-        if (!groupData.creatorName) groupData.creatorName = req.user.name || "Unknown User";
-        if (!groupData.creatorImage)
-          groupData.creatorImage =
-            "https://via.placeholder.com/40?text=No+Image";
-        groupData.createdAt = new Date().toISOString();
+// ** Ticket Helpers **
+// Ticket codes look like "<groupId>.<joinId>.<signature>" and are meant to be rendered as a QR code
+if (!process.env.TICKET_SECRET) {
+  console.warn("⚠️ Warning: TICKET_SECRET is not set - using a random secret, tickets will not survive a restart");
+}
+const ticketSecret = process.env.TICKET_SECRET || crypto.randomBytes(32).toString("hex");
 
-        const result = await groupCollection.insertOne(groupData);
-        res.status(201).json({
-          success: true,
-          message: "Group created successfully",
-          data: result,
-        });
-      } catch (error) {
-        console.error("Error inserting group:", error);
-        res
-          .status(500)
-          .json({ success: false, error: "Failed to create group" });
-      }
-    });
+const signTicket = (groupId, joinId) =>
+  crypto
+    .createHmac("sha256", ticketSecret)
+    .update(`${groupId}.${joinId}`)
+    .digest("base64url");
 
-  // Get all groups or by userEmail (for MyGroups)
-  app.get("/groups", async (req, res) => {
-      try {
-        const dbCheck = await checkDbConnection(res);
-        if (dbCheck) return dbCheck;
-        
-        const { userEmail } = req.query;
-        const filter = userEmail ? { userEmail } : {};
-        const groups = await groupCollection.find(filter).toArray();
-        res.status(200).json(groups);
-      } catch (error) {
-        console.error("Error fetching groups:", error);
-        res
-          .status(500)
-          .json({ success: false, error: "Failed to fetch groups", details: error.message });
-      }
-    });
+const issueTicketCode = (groupId, joinId) =>
+  `${groupId}.${joinId}.${signTicket(groupId, joinId)}`;
 
-  // Update group - Protected: Only creator can update
-  app.put("/groups/:id", authenticateToken, async (req, res) => {
-      try {
-        const dbCheck = await checkDbConnection(res);
-        if (dbCheck) return dbCheck;
-        
-        const id = req.params.id;
-        if (!ObjectId.isValid(id)) {
-          return res.status(400).json({ success: false, message: "Invalid group ID format" });
-        }
-        
-        const updatedData = req.body;
+// Returns { groupId, joinId } for a genuine code, or null if it is malformed or forged
+const verifyTicketCode = (code) => {
+  if (typeof code !== "string") return null;
+  const [groupId, joinId, signature, ...rest] = code.trim().split(".");
+  if (rest.length > 0 || !signature) return null;
+  if (!ObjectId.isValid(groupId) || !ObjectId.isValid(joinId)) return null;
 
-        // First, check if group exists and user is the creator
-        const group = await groupCollection.findOne({ _id: new ObjectId(id) });
-        
-        if (!group) {
-          return res
-            .status(404)
-            .json({ success: false, message: "Group not found" });
-        }
+  const expected = Buffer.from(signTicket(groupId, joinId));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+  return { groupId, joinId };
+};
 
-        // Check authorization
-        if (!isCreator(group, req.user.email, req.user.uid)) {
-          return res.status(403).json({
-            success: false,
-            message: "Forbidden: You can only update your own groups",
-          });
-        }
+// Every confirmed join gets its own ticket, so the record id is generated up front
+const buildJoinRecord = (groupId, userEmail, userId, extra = {}) => {
+  const _id = new ObjectId();
+  return {
+    _id,
+    groupId,
+    userEmail,
+    userId,
+    joinedAt: new Date().toISOString(),
+    ticketCode: issueTicketCode(groupId, _id.toString()),
+    ...extra,
+  };
+};
 
-        // Prevent changing creator info
-        delete updatedData.userEmail;
-        delete updatedData.userId;
-        delete updatedData.creatorEmail;
-        delete updatedData.creatorId;
-        updatedData.updatedAt = new Date().toISOString();
+const getAttendanceStatus = (joinRecord) =>
+  joinRecord.checkedInAt ? "checked_in" : "registered";
 
-        const result = await groupCollection.updateOne(
-          { _id: new ObjectId(id) },
-          { $set: updatedData }
-        );
+// ** Session Helpers **
+// Refresh tokens are random strings stored only as SHA-256 hashes. Each use rotates the
+// token; presenting an already rotated token revokes its whole family (it was stolen).
+const REFRESH_TOKEN_TTL_MS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30) * 24 * 60 * 60 * 1000;
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+// A registration waits in `emailVerifications` until the emailed link is opened; the account
+// is only created then, so nobody can claim an address they cannot read mail for
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
+const BCRYPT_ROUNDS = 12;
+const MIN_PASSWORD_LENGTH = 8;
+// Compared against when the email is unknown, so login timing does not reveal accounts
+let dummyPasswordHash = null;
+const getDummyPasswordHash = async () => {
+  if (!dummyPasswordHash) dummyPasswordHash = await bcrypt.hash(crypto.randomUUID(), BCRYPT_ROUNDS);
+  return dummyPasswordHash;
+};
 
-        res
-          .status(200)
-          .json({ success: true, message: "Group updated successfully" });
-      } catch (error) {
-        console.error("Error updating group:", error);
-        res
-          .status(500)
-          .json({ success: false, message: "Failed to update group" });
-      }
-    });
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
 
-  // Delete group - Protected: Only creator can delete
-  app.delete("/groups/:id", authenticateToken, async (req, res) => {
-      try {
-        const dbCheck = await checkDbConnection(res);
-        if (dbCheck) return dbCheck;
-        
-        const id = req.params.id;
-        if (!ObjectId.isValid(id)) {
-          return res.status(400).json({ success: false, message: "Invalid group ID format" });
-        }
-        
-        // First, check if group exists and user is the creator
-        const group = await groupCollection.findOne({ _id: new ObjectId(id) });
-        
-        if (!group) {
-          return res.status(404).json({ success: false, message: "Group not found" });
-        }
+const normalizeEmail = (email) => (typeof email === "string" ? email.trim().toLowerCase() : "");
 
-        // Check authorization
-        if (!isCreator(group, req.user.email, req.user.uid)) {
-          return res.status(403).json({
-            success: false,
-            message: "Forbidden: You can only delete your own groups",
-          });
-        }
+const isValidEmail = (email) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
 
-        // Delete the group
-        const result = await groupCollection.deleteOne({
-          _id: new ObjectId(id),
-        });
-        
-        if (result.deletedCount === 1) {
-          // Also delete all joined records for this group
-          await joinedCollection.deleteMany({ groupId: id });
-          
-          res
-            .status(200)
-            .json({ success: true, message: "Group deleted successfully" });
-        } else {
-          res.status(404).json({ success: false, message: "Group not found" });
-        }
-      } catch (error) {
-        console.error("Error deleting group:", error);
-        res
-          .status(500)
-          .json({ success: false, message: "Failed to delete group" });
-      }
-    });
+// Returns an error message, or null when the password is acceptable
+const checkPassword = (password) => {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (password.length > 72) {
+    return "Password must be at most 72 characters";
+  }
+  return null;
+};
 
-  // Leave group - Protected: User can only leave their own join record
-  app.post("/leaveGroup", authenticateToken, async (req, res) => {
-      try {
-        const dbCheck = await checkDbConnection(res);
-        if (dbCheck) return dbCheck;
-        
-        const { groupId } = req.body;
-        if (!groupId) {
-          return res
-            .status(400)
-            .json({ success: false, message: "Group ID is required" });
-        }
+const publicAccount = (user) => ({
+  _id: user._id,
+  email: user.email,
+  name: user.name,
+  photo: user.photo,
+  role: isBootstrapAdmin(user) ? "admin" : user.role || "user",
+  createdAt: user.createdAt,
+});
 
-        // Use authenticated user's email
-        const userEmail = req.user.email;
+// Start a new session (family) or continue one after rotation
+const issueSession = async (user, req, family = crypto.randomUUID()) => {
+  const refreshToken = crypto.randomBytes(32).toString("base64url");
+  const now = new Date();
+  const session = {
+    _id: new ObjectId(),
+    userId: user._id.toString(),
+    email: user.email,
+    family,
+    tokenHash: hashToken(refreshToken),
+    createdAt: now,
+    expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS),
+    userAgent: req.get("user-agent") || null,
+    ip: req.ip,
+  };
+  await sessionsCollection.insertOne(session);
 
-        // Verify the join record belongs to the authenticated user
-        const joinRecord = await joinedCollection.findOne({
-          groupId,
-          userEmail,
-        });
+  return {
+    accessToken: signAccessToken(user),
+    tokenType: "Bearer",
+    expiresIn: ACCESS_TOKEN_TTL,
+    refreshToken,
+    refreshTokenExpiresAt: session.expiresAt,
+    user: publicAccount(user),
+  };
+};
 
-        if (!joinRecord) {
-          return res
-            .status(404)
-            .json({ success: false, message: "Join record not found" });
-        }
+const revokeSessionFamily = (family, reason) =>
+  sessionsCollection.updateMany(
+    { family, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
 
-        // Additional check: ensure the userEmail matches authenticated user
-        if (joinRecord.userEmail !== userEmail) {
-          return res.status(403).json({
-            success: false,
-            message: "Forbidden: You can only leave groups you've joined",
-          });
-        }
+// Revokes every refresh token and, through tokenVersion, every access token of a user
+const revokeAllSessions = async (user, reason) => {
+  await sessionsCollection.updateMany(
+    { userId: user._id.toString(), revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  await usersCollection.updateOne({ _id: user._id }, { $inc: { tokenVersion: 1 } });
+};
 
-        const result = await joinedCollection.deleteOne({
-          groupId,
-          userEmail,
-        });
+// Resolves to { session } for a fresh rotation, or { error, status }
+const rotateRefreshToken = async (refreshToken, req) => {
+  if (typeof refreshToken !== "string" || !refreshToken) {
+    return { status: 400, error: "Refresh token is required" };
+  }
 
-        if (result.deletedCount === 1) {
-          res
-            .status(200)
-            .json({ success: true, message: "Left group successfully" });
-        } else {
-          res
-            .status(404)
-            .json({ success: false, message: "Join record not found" });
-        }
-      } catch (error) {
-        console.error("Error leaving group:", error);
-        res
-          .status(500)
-          .json({ success: false, message: "Failed to leave group" });
-      }
-    });
+  const tokenHash = hashToken(refreshToken);
+  // Claim the token atomically so two concurrent refreshes cannot both succeed
+  const current = await sessionsCollection.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { revokedAt: new Date(), revokedReason: "rotated" } },
+    { returnDocument: "before" }
+  );
 
-    // Delete past events - Moved to a separate endpoint or scheduled job
-    // Uncomment and use this endpoint if you need to delete past events:
-    // app.delete("/cleanup-past-events", authenticateToken, async (req, res) => {
-    //   const now = new Date();
-    //   const result = await groupCollection.deleteMany({
-    //     formattedDate: { $lt: now.toISOString() },
-    //   });
-    //   res.json({ success: true, deletedCount: result.deletedCount });
-    // });
+  if (!current) {
+    const known = await sessionsCollection.findOne({ tokenHash });
+    if (known?.revokedReason === "rotated") {
+      await revokeSessionFamily(known.family, "reuse_detected");
+      console.warn(`⚠️ Refresh token reuse detected for ${known.email} - session revoked`);
+    }
+    return { status: 401, error: "Invalid or expired refresh token" };
+  }
 
-  // Join group - Protected: Requires authentication
-  app.post("/joinGroup", authenticateToken, async (req, res) => {
-      try {
-        const dbCheck = await checkDbConnection(res);
-        if (dbCheck) return dbCheck;
-        
-        const { groupId } = req.body;
-        
-        if (!groupId) {
-          return res.status(400).json({ success: false, error: "Group ID is required" });
-        }
+  const user = await usersCollection.findOne({ _id: new ObjectId(current.userId) });
+  if (!user || isSuspended(user)) {
+    await revokeSessionFamily(current.family, user ? "suspended" : "user_deleted");
+    return { status: 401, error: "Invalid or expired refresh token" };
+  }
 
-        // Use authenticated user's email
-        const userEmail = req.user.email;
-        const userId = req.user.uid;
+  const session = await issueSession(user, req, current.family);
+  await sessionsCollection.updateOne(
+    { _id: current._id },
+    { $set: { replacedBy: hashToken(session.refreshToken) } }
+  );
+  return { session };
+};
 
-        // Check if already joined
-        const existing = await joinedCollection.findOne({
-          groupId,
-          userEmail,
-        });
+// ** Payment Providers **
+// Every provider implements the same interface:
+//   createPayment({ orderId, amount, currency, description, customerEmail, paymentMethod })
+//     -> { paymentId, status: "pending" | "succeeded" | "failed", checkoutUrl? }
+//   refundPayment({ paymentId, amount, currency }) -> { refundId, status: "pending" | "succeeded" | "failed" }
+//   parseWebhook(req) -> { type: "payment.succeeded" | "payment.failed" | "refund.succeeded", paymentId }
+//     (throws if the signature does not verify)
+// The fake provider signs its simulated webhooks in-process, so a random secret works for it;
+// real providers are refused at startup without one (see below)
+const paymentWebhookSecret =
+  process.env.PAYMENT_WEBHOOK_SECRET || crypto.randomBytes(32).toString("hex");
 
-        if (existing) {
-          return res
-            .status(409)
+// Local fake gateway - no network, outcome is chosen by paymentMethod:
+//   "fake_success" (default) pays immediately, "fake_failure" declines,
+//   "fake_pending" stays pending until a simulated webhook arrives
+const createFakePaymentProvider = () => {
+  const payments = new Map();
+
+  const signPayload = (payload) =>
+    crypto.createHmac("sha256", paymentWebhookSecret).update(payload).digest("hex");
+
+  return {
+    name: "fake",
+
+    async createPayment({ orderId, amount, currency, paymentMethod = "fake_success" }) {
+      const paymentId = `fake_pay_${crypto.randomBytes(8).toString("hex")}`;
+      const status =
+        paymentMethod === "fake_failure"
+          ? "failed"
+          : paymentMethod === "fake_pending"
+            ? "pending"
+            : "succeeded";
+      payments.set(paymentId, { orderId, amount, currency, status });
+      return { paymentId, status, checkoutUrl: null };
+    },
+
+    async refundPayment({ paymentId }) {
+      const payment = payments.get(paymentId);
+      if (payment) payment.status = "refunded";
+      return { refundId: `fake_re_${crypto.randomBytes(8).toString("hex")}`, status: "succeeded" };
+    },
+
+    parseWebhook(req) {
+      const payload = req.rawBody ? req.rawBody.toString("utf8") : JSON.stringify(req.body);
+      const expected = Buffer.from(signPayload(payload));
+      const actual = Buffer.from(String(req.headers["x-fake-signature"] || ""));
+      if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        const error = new Error("Invalid webhook signature");
+        error.status = 400;
+        throw error;
+      }
+      const event = JSON.parse(payload);
+      return { type: event.type, paymentId: event.paymentId };
+    },
+
+    // Builds the signed request the gateway would send to POST /payments/webhook
+    simulateWebhook(paymentId, type) {
+      const payment = payments.get(paymentId);
+      if (payment) {
+        payment.status = type === "payment.succeeded" ? "succeeded" : type === "payment.failed" ? "failed" : payment.status;
+      }
+      const payload = JSON.stringify({ type, paymentId });
+      return {
+        rawBody: Buffer.from(payload),
+        body: JSON.parse(payload),
+        headers: { "x-fake-signature": signPayload(payload) },
+      };
+    },
+  };
+};
+
+// Real gateways register here under the name used in PAYMENT_PROVIDER
+const paymentProviderFactories = {
+  fake: createFakePaymentProvider,
+};
+
+// Payments are optional. Without PAYMENT_PROVIDER ticket sales are switched off (the order and
+// webhook routes answer 503) rather than quietly handed out through the fake gateway.
+const paymentProviderName = process.env.PAYMENT_PROVIDER || null;
+if (paymentProviderName && !paymentProviderFactories[paymentProviderName]) {
+  throw new Error(`Unknown PAYMENT_PROVIDER "${paymentProviderName}"`);
+}
+if (paymentProviderName === "fake" && process.env.NODE_ENV === "production") {
+  throw new Error("The fake payment provider cannot run in production - it never charges for paid tickets");
+}
+if (paymentProviderName && paymentProviderName !== "fake" && !process.env.PAYMENT_WEBHOOK_SECRET) {
+  throw new Error(`PAYMENT_WEBHOOK_SECRET must be set for the ${paymentProviderName} payment provider`);
+}
+const paymentProvider = paymentProviderName ? paymentProviderFactories[paymentProviderName]() : null;
+if (paymentProvider) {
+  console.log(`✅ Payment provider: ${paymentProvider.name}`);
+} else {
+  console.warn("⚠️ Warning: PAYMENT_PROVIDER is not set - ticket orders and payment webhooks are disabled");
+}
+
+// Route guard for everything that needs a payment provider
+const requirePaymentProvider = (req, res, next) => {
+  if (!paymentProvider) {
+    return res.status(503).json({ success: false, error: "Payments are not enabled on this server" });
+  }
+  next();
+};
+
+// ** Ticket Tier Helpers **
+// Tiers live on the group document: { id, name, price, currency, quantity, remaining }
+// Returns { tiers } or { error } - existing tiers keep their id and sold count
+const normalizeTicketTiers = (input, existingTiers = []) => {
+  if (!Array.isArray(input)) {
+    return { error: "ticketTiers must be an array" };
+  }
+
+  const existingById = new Map(existingTiers.map((tier) => [tier.id, tier]));
+  const tiers = [];
+
+  for (const [index, raw] of input.entries()) {
+    const name = typeof raw?.name === "string" ? raw.name.trim() : "";
+    const price = Number(raw?.price);
+    const quantity = Number(raw?.quantity);
+    const currency = typeof raw?.currency === "string" ? raw.currency.trim().toUpperCase() : "";
+
+    if (!name) return { error: `ticketTiers[${index}].name is required` };
+    if (!Number.isFinite(price) || price < 0) {
+      return { error: `ticketTiers[${index}].price must be a non-negative number` };
+    }
+    if (!/^[A-Z]{3}$/.test(currency)) {
+      return { error: `ticketTiers[${index}].currency must be a 3-letter ISO 4217 code` };
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return { error: `ticketTiers[${index}].quantity must be a positive integer` };
+    }
+
+    const existing = raw.id ? existingById.get(raw.id) : null;
+    const sold = existing ? existing.quantity - existing.remaining : 0;
+    if (quantity < sold) {
+      return { error: `ticketTiers[${index}].quantity cannot be lower than the ${sold} tickets already sold` };
+    }
+
+    tiers.push({
+      id: existing ? existing.id : new ObjectId().toString(),
+      name,
+      price,
+      currency,
+      quantity,
+      remaining: quantity - sold,
+    });
+  }
+
+  // Tiers with sales cannot be dropped
+  for (const tier of existingTiers) {
+    if (tier.remaining < tier.quantity && !tiers.some((t) => t.id === tier.id)) {
+      return { error: `Tier "${tier.name}" has sold tickets and cannot be removed` };
+    }
+  }
+
+  return { tiers };
+};
+
+const isPaidGroup = (group) =>
+  Array.isArray(group.ticketTiers) && group.ticketTiers.some((tier) => tier.price > 0);
+
+// Groups whose tiers are all free are joined directly, but their tiers still sell out.
+// Takes a ticket from the first tier with any left: resolves to its id, null when the
+// group has no tiers, or false when every tier is sold out.
+const reserveFreeTier = async (group) => {
+  const tiers = Array.isArray(group?.ticketTiers) ? group.ticketTiers : [];
+  if (tiers.length === 0) return null;
+  for (const tier of tiers) {
+    const reserved = await reserveTier(group._id.toString(), tier.id);
+    if (reserved.modifiedCount === 1) return tier.id;
+  }
+  return false;
+};
+
+// ** Capacity & Waitlist Helpers **
+// maxMembers is stored as whatever the client sent (number or numeric string).
+// Anything that is not a positive number means "no limit".
+const parseCapacity = (value) => {
+  const capacity = Number(value);
+  return Number.isFinite(capacity) && capacity > 0 ? Math.floor(capacity) : null;
+};
+
+// Mirrors parseCapacity inside MongoDB so the seat check and the increment happen in one atomic update
+const capacityExpr = {
+  $convert: { input: "$maxMembers", to: "double", onError: null, onNull: null },
+};
+const hasFreeSeatExpr = {
+  $or: [
+    { $lte: [capacityExpr, 0] }, // null or non-positive capacity = unlimited
+    { $lt: [{ $ifNull: ["$memberCount", 0] }, { $floor: capacityExpr }] },
+  ],
+};
+
+// Older groups were created before memberCount existed - backfill it from joinedGroups
+const ensureMemberCount = async (group) => {
+  if (typeof group.memberCount === "number") return group.memberCount;
+  const count = await joinedCollection.countDocuments({ groupId: group._id.toString() });
+  await groupCollection.updateOne(
+    { _id: group._id, memberCount: { $exists: false } },
+    { $set: { memberCount: count } }
+  );
+  return count;
+};
+
+// Atomically take a seat; resolves to the updated group, or null when the group is full
+const claimSeat = (groupId) =>
+  groupCollection.findOneAndUpdate(
+    { _id: new ObjectId(groupId), $expr: hasFreeSeatExpr },
+    { $inc: { memberCount: 1 } },
+    { returnDocument: "after" }
+  );
+
+const releaseSeat = (groupId) =>
+  groupCollection.updateOne(
+    { _id: new ObjectId(groupId), memberCount: { $gt: 0 } },
+    { $inc: { memberCount: -1 } }
+  );
+
+// 1-based position of a waitlist entry (entries are served in insertion order)
+const getWaitlistPosition = async (entry) =>
+  (await waitlistCollection.countDocuments({
+    groupId: entry.groupId,
+    _id: { $lt: entry._id },
+  })) + 1;
+
+// Move waitlisted users into free seats, first come first served
+const promoteFromWaitlist = async (groupId) => {
+  const promoted = [];
+  const tiered = await groupCollection.findOne({ _id: new ObjectId(groupId) }, { projection: { ticketTiers: 1 } });
+
+  while (true) {
+    const next = await waitlistCollection.findOne({ groupId }, { sort: { _id: 1 } });
+    if (!next) break;
+
+    const seat = await claimSeat(groupId);
+    if (!seat) break;
+
+    // Another request may have promoted or removed this entry in the meantime
+    // A free seat is no use once every ticket tier is sold out
+    const tierId = await reserveFreeTier(tiered);
+    if (tierId === false) {
+      await releaseSeat(groupId);
+      break;
+    }
+
+    const entry = await waitlistCollection.findOneAndDelete({ _id: next._id });
+    if (!entry) {
+      await releaseSeat(groupId);
+      if (tierId) await releaseTier(groupId, tierId);
+      continue;
+    }
+
+    const joinedGroup = buildJoinRecord(groupId, entry.userEmail, entry.userId, {
+      promotedFromWaitlist: true,
+      ...(tierId && { tierId }),
+    });
+    try {
+      await joinedCollection.insertOne(joinedGroup);
+    } catch (insertError) {
+      await releaseSeat(groupId);
+      if (tierId) await releaseTier(groupId, tierId);
+      // They got in some other way meanwhile - the seat goes to the next in line
+      if (insertError.code === 11000) continue;
+      throw insertError;
+    }
+    promoted.push(joinedGroup);
+  }
+
+  if (promoted.length > 0) {
+    console.log(`✅ Promoted ${promoted.length} waitlisted user(s) for group ${groupId}`);
+    const group = await groupCollection.findOne({ _id: new ObjectId(groupId) });
+    for (const joinRecord of promoted) {
+      await enqueueNotification(
+        "waitlist_promoted",
+        joinRecord.userEmail,
+        { event: describeGroupForNotification(group), ticketCode: joinRecord.ticketCode },
+        { dedupeKey: `waitlist_promoted:${joinRecord._id}` }
+      );
+    }
+  }
+  return promoted;
+};
+
+// Join one group (or one occurrence of a series) as a user, waitlisting when it is full.
+// Resolves to { status: "joined", joinRecord } | { status: "waitlisted", waitlistPosition }
+// | { status: "already_joined" } | { status: "already_waitlisted", waitlistPosition }
+// | { status: "sold_out" } (every free ticket tier is gone)
+const joinGroupAsUser = async (group, userEmail, userId) => {
+  const groupId = group._id.toString();
+
+  const existing = await joinedCollection.findOne({ groupId, userEmail });
+  if (existing) return { status: "already_joined" };
+
+  const existingWaitlist = await waitlistCollection.findOne({ groupId, userEmail });
+  if (existingWaitlist) {
+    return { status: "already_waitlisted", waitlistPosition: await getWaitlistPosition(existingWaitlist) };
+  }
+
+  await ensureMemberCount(group);
+
+  // Group is full - put the user on the waitlist instead
+  const seat = await claimSeat(groupId);
+  if (!seat) {
+    const waitlistEntry = {
+      groupId,
+      userEmail,
+      userId,
+      waitlistedAt: new Date().toISOString(),
+    };
+    try {
+      await waitlistCollection.insertOne(waitlistEntry);
+    } catch (insertError) {
+      if (insertError.code !== 11000) throw insertError;
+      return { status: "already_waitlisted", waitlistPosition: null };
+    }
+    await publishSeatUpdate(groupId);
+    return {
+      status: "waitlisted",
+      waitlistPosition: await getWaitlistPosition(waitlistEntry),
+      waitlistEntry,
+    };
+  }
+
+  const tierId = await reserveFreeTier(group);
+  if (tierId === false) {
+    await releaseSeat(groupId);
+    return { status: "sold_out" };
+  }
+
+  const joinRecord = buildJoinRecord(groupId, userEmail, userId, tierId ? { tierId } : {});
+  try {
+    await joinedCollection.insertOne(joinRecord);
+  } catch (insertError) {
+    await releaseSeat(groupId);
+    if (tierId) await releaseTier(groupId, tierId);
+    // A concurrent request by the same user joined first (unique groupId + userEmail)
+    if (insertError.code === 11000) return { status: "already_joined" };
+    throw insertError;
+  }
+  await publishSeatUpdate(groupId);
+  return { status: "joined", joinRecord };
+};
+
+// Leave a group (or its waitlist) and hand the freed seat on.
+// Resolves to { status: "left", promoted, record } | { status: "left_waitlist", record } |
+// { status: "not_found" } - record is the removed join record or waitlist entry
+const leaveGroupAsUser = async (groupId, userEmail) => {
+  const record = await joinedCollection.findOneAndDelete({ groupId, userEmail });
+  if (record) {
+    let promoted = [];
+    if (ObjectId.isValid(groupId)) {
+      await releaseSeat(groupId);
+      if (record.orderId) {
+        await settleLeftOrder(record);
+      } else if (record.tierId) {
+        await releaseTier(groupId, record.tierId);
+      }
+      promoted = await promoteFromWaitlist(groupId);
+      await publishSeatUpdate(groupId);
+    }
+    return { status: "left", promoted, record };
+  }
+
+  // Not a member - maybe the user is leaving the waitlist instead
+  const waitlisted = await waitlistCollection.findOneAndDelete({ groupId, userEmail });
+  if (waitlisted) {
+    if (ObjectId.isValid(groupId)) await publishSeatUpdate(groupId);
+    return { status: "left_waitlist", record: waitlisted };
+  }
+
+  return { status: "not_found" };
+};
+
+// Remove groups together with their join records and waitlist entries
+const deleteGroupsCascade = async (groupIds) => {
+  if (groupIds.length === 0) return 0;
+  const groups = await groupCollection
+    .find({ _id: { $in: groupIds.map((id) => new ObjectId(id)) } })
+    .toArray();
+  await notifyGroupsDeleted(groups);
+
+  const result = await groupCollection.deleteMany({
+    _id: { $in: groupIds.map((id) => new ObjectId(id)) },
+  });
+  await joinedCollection.deleteMany({ groupId: { $in: groupIds } });
+  await waitlistCollection.deleteMany({ groupId: { $in: groupIds } });
+  await releaseUploads(groups);
+  for (const group of groups) {
+    await publishRealtime(`group:${group._id}`, "group_deleted", { groupId: group._id.toString() });
+  }
+  return result.deletedCount;
+};
+
+// Attach live seat counts and waitlist length to group documents
+const attachSeatInfo = async (groups) => {
+  if (groups.length === 0) return groups;
+  const ids = groups.map((group) => group._id.toString());
+
+  const [memberCounts, waitlistCounts] = await Promise.all([
+    joinedCollection
+      .aggregate([
+        { $match: { groupId: { $in: ids } } },
+        { $group: { _id: "$groupId", count: { $sum: 1 } } },
+      ])
+      .toArray(),
+    waitlistCollection
+      .aggregate([
+        { $match: { groupId: { $in: ids } } },
+        { $group: { _id: "$groupId", count: { $sum: 1 } } },
+      ])
+      .toArray(),
+  ]);
+  const members = new Map(memberCounts.map((row) => [row._id, row.count]));
+  const waiting = new Map(waitlistCounts.map((row) => [row._id, row.count]));
+
+  return groups.map((group) => {
+    const id = group._id.toString();
+    const capacity = parseCapacity(group.maxMembers);
+    const taken = members.get(id) || 0;
+    return {
+      ...group,
+      seats: {
+        capacity,
+        taken,
+        available: capacity === null ? null : Math.max(capacity - taken, 0),
+      },
+      waitlistLength: waiting.get(id) || 0,
+    };
+  });
+};
+
+// ** Recurring Series Helpers **
+// A series is a parent group (isSeries: true) holding the template fields and the
+// recurrence rule. Its occurrences are ordinary group documents with seriesId and
+// recurrenceId (the original start, like RECURRENCE-ID in iCalendar), so joining,
+// capacity, tickets and archiving work on them unchanged. Occurrences are generated
+// up to SERIES_HORIZON_MS ahead and on demand beyond that.
+const SERIES_HORIZON_MS = 90 * 24 * 60 * 60 * 1000;
+
+// Fields that only belong to the parent, or to one concrete occurrence
+const SERIES_ONLY_FIELDS = [
+  "_id",
+  "isSeries",
+  "recurrence",
+  "splitFrom",
+  "memberCount",
+  "createdAt",
+  "updatedAt",
+  "archived",
+  "archivedAt",
+  "managerInvites",
+];
+const OCCURRENCE_ONLY_FIELDS = ["seriesId", "recurrenceId", "detached"];
+const SCHEDULE_FIELDS = ["startsAt", "endsAt", "timezone", "formattedDate", "formatHour", "day"];
+
+// Validate { rrule, exdates } from a request. Returns { recurrence } or { error }.
+const normalizeRecurrence = (input, timezone) => {
+  if (!input || typeof input !== "object") {
+    return { error: "recurrence must be an object with an rrule" };
+  }
+
+  let rrule;
+  try {
+    rrule = formatRRule(parseRRule(input.rrule));
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  const exdates = [];
+  for (const value of input.exdates || []) {
+    const date = parseEventTime(value, timezone);
+    if (!date) return { error: `Invalid exdate "${value}"` };
+    exdates.push(date);
+  }
+  return { recurrence: { rrule, exdates } };
+};
+
+const seriesDuration = (series) =>
+  series.endsAt ? new Date(series.endsAt) - new Date(series.startsAt) : null;
+
+const buildOccurrence = (series, start) => {
+  const template = { ...series };
+  for (const field of SERIES_ONLY_FIELDS) delete template[field];
+  const duration = seriesDuration(series);
+
+  return {
+    ...template,
+    // Each occurrence sells its own inventory
+    ...(Array.isArray(series.ticketTiers) && {
+      ticketTiers: series.ticketTiers.map((tier) => ({ ...tier, remaining: tier.quantity })),
+    }),
+    seriesId: series._id.toString(),
+    recurrenceId: start,
+    startsAt: start,
+    endsAt: duration === null ? null : new Date(start.getTime() + duration),
+    ...deriveLegacyFields(start, series.timezone),
+    createdAt: new Date().toISOString(),
+  };
+};
+
+const getSeriesSubscribers = (seriesId) =>
+  joinedCollection.find({ groupId: seriesId, scope: "series" }).toArray();
+
+// Upsert one occurrence; new ones are joined by everyone subscribed to the whole series
+const upsertOccurrence = async (series, start, subscribers) => {
+  const seriesId = series._id.toString();
+  let result;
+  try {
+    result = await groupCollection.updateOne(
+      { seriesId, recurrenceId: start },
+      { $setOnInsert: buildOccurrence(series, start) },
+      { upsert: true }
+    );
+  } catch (error) {
+    // A concurrent request generated the same occurrence first
+    if (error.code !== 11000) throw error;
+    return groupCollection.findOne({ seriesId, recurrenceId: start });
+  }
+
+  const occurrence = await groupCollection.findOne({ seriesId, recurrenceId: start });
+  if (result.upsertedCount === 1) {
+    const members = subscribers || (await getSeriesSubscribers(seriesId));
+    for (const member of members) {
+      await joinGroupAsUser(occurrence, member.userEmail, member.userId);
+    }
+  }
+  return occurrence;
+};
+
+// Generate the upcoming occurrences of a series up to `until`
+const materializeOccurrences = async (series, until = new Date(Date.now() + SERIES_HORIZON_MS)) => {
+  const from = new Date(Math.max(Date.now(), new Date(series.startsAt).getTime()));
+  const starts = expandRecurrence(
+    {
+      rrule: series.recurrence.rrule,
+      startsAt: series.startsAt,
+      timezone: series.timezone,
+      exdates: series.recurrence.exdates,
+    },
+    { from, to: until }
+  );
+
+  const subscribers = await getSeriesSubscribers(series._id.toString());
+  for (const start of starts) {
+    await upsertOccurrence(series, start, subscribers);
+  }
+  await groupCollection.updateOne(
+    { _id: series._id },
+    { $set: { "recurrence.materializedUntil": until } }
+  );
+  return starts.length;
+};
+
+// On-demand generation of a single occurrence - null if the series has none at `start`
+const materializeOccurrence = async (series, start) => {
+  const seriesId = series._id.toString();
+  const existing = await groupCollection.findOne({ seriesId, recurrenceId: start });
+  if (existing) return existing;
+
+  const excluded = (series.recurrence.exdates || []).some(
+    (date) => new Date(date).getTime() === start.getTime()
+  );
+  const ruleInput = { rrule: series.recurrence.rrule, startsAt: series.startsAt, timezone: series.timezone };
+  if (excluded || !isOccurrence(ruleInput, start)) return null;
+
+  return upsertOccurrence(series, start);
+};
+
+// Subscribe to the whole series and join every upcoming occurrence.
+// Resolves to null if already subscribed.
+const joinSeriesAsUser = async (series, userEmail, userId) => {
+  const seriesId = series._id.toString();
+  const existing = await joinedCollection.findOne({ groupId: seriesId, userEmail, scope: "series" });
+  if (existing) return null;
+
+  const subscription = {
+    _id: new ObjectId(),
+    groupId: seriesId,
+    userEmail,
+    userId,
+    scope: "series",
+    joinedAt: new Date().toISOString(),
+  };
+  try {
+    await joinedCollection.insertOne(subscription);
+  } catch (insertError) {
+    if (insertError.code === 11000) return null;
+    throw insertError;
+  }
+
+  const upcoming = await groupCollection
+    .find({ seriesId, startsAt: { $gte: new Date() }, archived: { $ne: true } })
+    .sort({ startsAt: 1 })
+    .toArray();
+
+  const occurrences = { joined: 0, waitlisted: 0 };
+  for (const occurrence of upcoming) {
+    const result = await joinGroupAsUser(occurrence, userEmail, userId);
+    if (result.status === "joined") occurrences.joined++;
+    if (result.status === "waitlisted") occurrences.waitlisted++;
+  }
+  return { subscription, occurrences };
+};
+
+// Drop the series subscription and leave every upcoming occurrence.
+// Resolves to null if the user was not subscribed.
+const leaveSeriesAsUser = async (series, userEmail) => {
+  const seriesId = series._id.toString();
+  const subscription = await joinedCollection.findOneAndDelete({ groupId: seriesId, userEmail, scope: "series" });
+  if (!subscription) return null;
+
+  const upcoming = await groupCollection
+    .find({ seriesId, startsAt: { $gte: new Date() } }, { projection: { _id: 1 } })
+    .toArray();
+
+  let occurrencesLeft = 0;
+  for (const occurrence of upcoming) {
+    const result = await leaveGroupAsUser(occurrence._id.toString(), userEmail);
+    if (result.status !== "not_found") occurrencesLeft++;
+  }
+  return { subscription, occurrencesLeft };
+};
+
+// Re-time the upcoming, non-detached occurrences after the schedule of a series changed.
+// Occurrences keep their attendees: the n-th upcoming occurrence moves to the n-th new date.
+const retimeOccurrences = async (series) => {
+  const seriesId = series._id.toString();
+  const now = new Date();
+
+  const [current, detached] = await Promise.all([
+    groupCollection
+      .find({ seriesId, startsAt: { $gte: now }, detached: { $ne: true } })
+      .sort({ recurrenceId: 1 })
+      .toArray(),
+    groupCollection
+      .find({ seriesId, detached: true }, { projection: { recurrenceId: 1 } })
+      .toArray(),
+  ]);
+  const taken = new Set(detached.map((occurrence) => new Date(occurrence.recurrenceId).getTime()));
+
+  const until = series.recurrence.materializedUntil || new Date(now.getTime() + SERIES_HORIZON_MS);
+  const starts = expandRecurrence(
+    {
+      rrule: series.recurrence.rrule,
+      startsAt: series.startsAt,
+      timezone: series.timezone,
+      exdates: series.recurrence.exdates,
+    },
+    { from: new Date(Math.max(now.getTime(), new Date(series.startsAt).getTime())), to: until }
+  ).filter((start) => !taken.has(start.getTime()));
+
+  const paired = Math.min(current.length, starts.length);
+  const duration = seriesDuration(series);
+
+  // Two passes so swapping recurrenceIds never trips the unique index
+  if (paired > 0) {
+    await groupCollection.updateMany(
+      { _id: { $in: current.slice(0, paired).map((occurrence) => occurrence._id) } },
+      { $unset: { recurrenceId: "" } }
+    );
+    await groupCollection.bulkWrite(
+      current.slice(0, paired).map((occurrence, index) => {
+        const start = starts[index];
+        return {
+          updateOne: {
+            filter: { _id: occurrence._id },
+            update: {
+              $set: {
+                recurrenceId: start,
+                startsAt: start,
+                endsAt: duration === null ? null : new Date(start.getTime() + duration),
+                timezone: series.timezone,
+                ...deriveLegacyFields(start, series.timezone),
+                updatedAt: now.toISOString(),
+              },
+            },
+          },
+        };
+      })
+    );
+  }
+
+  // Dates that disappeared from the schedule are cancelled
+  const removedIds = current.slice(paired).map((occurrence) => occurrence._id.toString());
+  const cancelled = await deleteGroupsCascade(removedIds);
+
+  let added = 0;
+  for (const start of starts.slice(paired)) {
+    await upsertOccurrence(series, start);
+    added++;
+  }
+  return { moved: paired, cancelled, added };
+};
+
+// Apply an edit to a series. `splitAt` (a recurrenceId) makes it "this and following":
+// the original series ends just before splitAt and a new series takes over from there.
+// `changes` is the sanitized request body. Returns { series } or { error }.
+const updateSeries = async (series, changes, splitAt = null) => {
+  const now = new Date().toISOString();
+  let target = series;
+
+  if (splitAt && new Date(splitAt) > new Date(series.startsAt)) {
+    const split = splitRRule(
+      { rrule: series.recurrence.rrule, startsAt: series.startsAt, timezone: series.timezone },
+      new Date(splitAt)
+    );
+    const duration = seriesDuration(series);
+    const { _id, memberCount, ...rest } = series;
+    target = {
+      ...rest,
+      _id: new ObjectId(),
+      startsAt: new Date(splitAt),
+      endsAt: duration === null ? null : new Date(new Date(splitAt).getTime() + duration),
+      recurrence: {
+        rrule: split.after,
+        exdates: (series.recurrence.exdates || []).filter((date) => new Date(date) >= new Date(splitAt)),
+        materializedUntil: series.recurrence.materializedUntil,
+      },
+      splitFrom: series._id.toString(),
+      createdAt: now,
+    };
+
+    // Validate the edit against the new series before touching anything
+    const preview = await buildSeriesUpdate(target, changes);
+    if (preview.error) return preview;
+
+    await groupCollection.insertOne(target);
+    await groupCollection.updateOne(
+      { _id: series._id },
+      {
+        $set: {
+          "recurrence.rrule": split.before,
+          "recurrence.exdates": (series.recurrence.exdates || []).filter(
+            (date) => new Date(date) < new Date(splitAt)
+          ),
+          updatedAt: now,
+        },
+      }
+    );
+
+    const newSeriesId = target._id.toString();
+    await groupCollection.updateMany(
+      { seriesId: series._id.toString(), recurrenceId: { $gte: new Date(splitAt) } },
+      { $set: { seriesId: newSeriesId } }
+    );
+    // Whole-series attendees follow the new series too
+    const subscribers = await getSeriesSubscribers(series._id.toString());
+    if (subscribers.length > 0) {
+      await joinedCollection.insertMany(
+        subscribers.map(({ _id, ...subscription }) => ({ ...subscription, groupId: newSeriesId }))
+      );
+    }
+  }
+
+  const update = await buildSeriesUpdate(target, changes);
+  if (update.error) return update;
+
+  await groupCollection.updateOne({ _id: target._id }, { $set: { ...update.fields, updatedAt: now } });
+  const updated = await groupCollection.findOne({ _id: target._id });
+  const seriesId = updated._id.toString();
+
+  // Template fields flow into upcoming occurrences that were not edited on their own
+  const templateFields = { ...update.fields };
+  for (const field of [...SCHEDULE_FIELDS, "recurrence", "ticketTiers"]) delete templateFields[field];
+  if (Object.keys(templateFields).length > 0) {
+    await groupCollection.updateMany(
+      { seriesId, startsAt: { $gte: new Date() }, detached: { $ne: true } },
+      { $set: { ...templateFields, updatedAt: now } }
+    );
+    if (templateFields.maxMembers !== undefined) {
+      const upcoming = await groupCollection
+        .find({ seriesId, startsAt: { $gte: new Date() } }, { projection: { _id: 1 } })
+        .toArray();
+      for (const occurrence of upcoming) {
+        await promoteFromWaitlist(occurrence._id.toString());
+      }
+    }
+  }
+
+  let schedule = null;
+  if (update.scheduleChanged) {
+    schedule = await retimeOccurrences(updated);
+  }
+  return { series: updated, schedule };
+};
+
+// Work out the $set for a series edit. Returns { fields, scheduleChanged } or { error }.
+const buildSeriesUpdate = async (series, changes) => {
+  const fields = { ...changes };
+  for (const field of [...OCCURRENCE_ONLY_FIELDS, "isSeries", "recurrence"]) delete fields[field];
+
+  const schedule = normalizeSchedule(changes, series);
+  if (schedule.error) return { error: schedule.error };
+  Object.assign(fields, schedule.fields);
+
+  let scheduleChanged = Object.keys(schedule.fields).length > 0;
+  if (changes.recurrence !== undefined) {
+    const timezone = schedule.fields.timezone || series.timezone;
+    const { recurrence, error } = normalizeRecurrence(changes.recurrence, timezone);
+    if (error) return { error };
+    fields["recurrence.rrule"] = recurrence.rrule;
+    fields["recurrence.exdates"] = recurrence.exdates;
+    scheduleChanged = true;
+  }
+
+  if (changes.ticketTiers !== undefined) {
+    const { tiers, error } = normalizeTicketTiers(changes.ticketTiers, series.ticketTiers || []);
+    if (error) return { error };
+    fields.ticketTiers = tiers;
+  }
+
+  return { fields, scheduleChanged };
+};
+
+// Edits made on one occurrence describe that occurrence's new time. For series-wide
+// edits the same shift is applied to `base` (the start of the series being edited).
+// Returns { changes } or { error }.
+const shiftOccurrenceSchedule = (changes, occurrence, base) => {
+  if (!SCHEDULE_FIELDS.some((field) => changes[field] !== undefined)) return { changes };
+
+  const schedule = normalizeSchedule(changes, occurrence);
+  if (schedule.error) return { error: schedule.error };
+
+  const { startsAt, endsAt, timezone } = schedule.fields;
+  const start = new Date(new Date(base).getTime() + (startsAt - new Date(occurrence.startsAt)));
+  const shifted = { ...changes };
+  for (const field of SCHEDULE_FIELDS) delete shifted[field];
+
+  return {
+    changes: {
+      ...shifted,
+      startsAt: start,
+      endsAt: endsAt ? new Date(start.getTime() + (endsAt - startsAt)) : null,
+      timezone,
+    },
+  };
+};
+
+// Delete a series with all of its occurrences
+const deleteSeries = async (series) => {
+  const occurrences = await groupCollection
+    .find({ seriesId: series._id.toString() }, { projection: { _id: 1 } })
+    .toArray();
+  return deleteGroupsCascade([
+    series._id.toString(),
+    ...occurrences.map((occurrence) => occurrence._id.toString()),
+  ]);
+};
+
+// Occurrence starts of a series within [from, to] (virtual - nothing is written)
+const listSeriesOccurrences = (series, from, to, limit) =>
+  expandRecurrence(
+    {
+      rrule: series.recurrence.rrule,
+      startsAt: series.startsAt,
+      timezone: series.timezone,
+      exdates: series.recurrence.exdates,
+    },
+    { from, to, limit }
+  );
+
+// ** Calendar Helpers **
+// Public base URL used in calendar feed links (falls back to the request host)
+const publicBaseUrl = (process.env.PUBLIC_BASE_URL || "").replace(/\/$/, "");
+const CALENDAR_UID_DOMAIN = process.env.CALENDAR_UID_DOMAIN || "event-booking";
+const CALENDAR_FEED_REFRESH = "PT1H";
+
+const getBaseUrl = (req) => publicBaseUrl || `${req.protocol}://${req.get("host")}`;
+
+const generateFeedToken = () => crypto.randomBytes(24).toString("base64url");
+
+// Map a group document to an iCalendar event (series parents carry their RRULE)
+const groupToCalendarEvent = (group) => ({
+  uid: `${group._id}@${CALENDAR_UID_DOMAIN}`,
+  startsAt: group.startsAt,
+  endsAt: group.endsAt,
+  timezone: group.timezone,
+  summary: group.groupName,
+  description: group.description,
+  location: group.location,
+  categories: group.category,
+  createdAt: group.createdAt,
+  updatedAt: group.updatedAt,
+  ...(group.isSeries && {
+    rrule: group.recurrence.rrule,
+    exdates: group.recurrence.exdates,
+    rangeEnd: group.recurrence.materializedUntil || new Date(Date.now() + SERIES_HORIZON_MS),
+  }),
+});
+
+const buildFeedUrls = (req, token) => {
+  const url = `${getBaseUrl(req)}/calendar/feed/${token}.ics`;
+  return { url, webcalUrl: url.replace(/^https?:/, "webcal:") };
+};
+
+// ** Location Helpers **
+// Groups carry a GeoJSON point in `geo` ({ type: "Point", coordinates: [lng, lat] }, indexed
+// 2dsphere) for "events near me" and map views. Organizers may send coordinates themselves;
+// otherwise the configured geocoder resolves the free-text `location`. geoSource ("manual"
+// or "geocoder") keeps a pin placed by hand from being overwritten when the location changes.
+const geocoder = createGeocoder(process.env.GEOCODER || "none", {
+  file: process.env.GEOCODER_FIXTURE_FILE,
+  url: process.env.NOMINATIM_URL,
+  userAgent: process.env.GEOCODER_USER_AGENT,
+  email: process.env.GEOCODER_EMAIL,
+});
+console.log(`✅ Geocoder: ${geocoder.name}`);
+
+const DEFAULT_NEARBY_RADIUS_KM = 25;
+const MAX_NEARBY_RADIUS_KM = 500;
+// Locations repeat a lot and public geocoders are rate limited
+const geocodeCache = createTtlCache({ ttlMs: 24 * 60 * 60 * 1000, maxEntries: 5000 });
+
+const toGeoPoint = ({ lat, lng }) => ({ type: "Point", coordinates: [lng, lat] });
+
+// Never throws - a failed lookup leaves the group without coordinates instead of failing the write
+const geocodeLocation = async (location) => {
+  const key = normalizePlace(location);
+  if (!key) return null;
+  const cached = geocodeCache.get(key);
+  if (cached !== undefined) return cached;
+  try {
+    return geocodeCache.set(key, await geocoder.geocode(location));
+  } catch (error) {
+    console.error(`⚠️ Failed to geocode "${location}":`, error.message);
+    return null;
+  }
+};
+
+// Geo fields to store for a create or update. `coordinates: null` removes the pin; without
+// coordinates a new or changed location is geocoded unless the current pin was set by hand.
+// Returns { fields } or { error }; a removed pin is stored as geo: null, which the index skips.
+const resolveGroupGeo = async (changes, current = {}) => {
+  const { coordinates } = changes;
+  if (coordinates === null) return { fields: { geo: null, geoSource: null } };
+  if (coordinates !== undefined) {
+    if (typeof coordinates.lat !== "number" || typeof coordinates.lng !== "number") {
+      return { error: "coordinates must include both lat and lng" };
+    }
+    return { fields: { geo: toGeoPoint(coordinates), geoSource: "manual" } };
+  }
+
+  const locationChanged = changes.location !== undefined && changes.location !== current.location;
+  if (!locationChanged || current.geoSource === "manual") return { fields: {} };
+  const point = await geocodeLocation(changes.location);
+  if (point) return { fields: { geo: toGeoPoint(point), geoSource: "geocoder" } };
+  // The old geocoded pin belongs to the old location
+  return { fields: current.geo ? { geo: null, geoSource: null } : {} };
+};
+
+// "minLng,minLat,maxLng,maxLat" (the GeoJSON bbox order) into a $geoWithin geometry.
+// Boxes crossing the antimeridian (minLng > maxLng) or wider than half the globe are split,
+// because a polygon edge always takes the shorter way around.
+const parseBoundingBox = (bbox) => {
+  const parts = String(bbox).split(",").map((part) => Number(part.trim()));
+  if (parts.length !== 4 || parts.some((part) => !Number.isFinite(part))) {
+    return { error: "bbox must be minLng,minLat,maxLng,maxLat" };
+  }
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  const outOfRange =
+    [minLng, maxLng].some((lng) => lng < -180 || lng > 180) ||
+    [minLat, maxLat].some((lat) => lat < -90 || lat > 90);
+  if (outOfRange) {
+    return { error: "bbox longitudes must be within -180..180 and latitudes within -90..90" };
+  }
+  if (minLat >= maxLat || minLng === maxLng) {
+    return { error: "bbox must have a minimum below its maximum" };
+  }
+
+  const spans = minLng < maxLng ? [[minLng, maxLng]] : [[minLng, 180], [-180, maxLng]];
+  const polygons = [];
+  for (const [west, east] of spans) {
+    const pieces = Math.ceil((east - west) / 120);
+    const step = (east - west) / pieces;
+    for (let i = 0; i < pieces; i++) {
+      const [w, e] = [west + i * step, west + (i + 1) * step];
+      polygons.push([[[w, minLat], [e, minLat], [e, maxLat], [w, maxLat], [w, minLat]]]);
+    }
+  }
+  const geometry =
+    polygons.length === 1
+      ? { type: "Polygon", coordinates: polygons[0] }
+      : { type: "MultiPolygon", coordinates: polygons };
+  return { filter: { $geoWithin: { $geometry: geometry } } };
+};
+
+// ** Group Listing Helpers **
+// Sort options for GET /groups - each sorts on one field, with _id as the tie breaker
+const groupSortOptions = {
+  newest: { field: "createdAt", direction: -1 },
+  oldest: { field: "createdAt", direction: 1 },
+  date: { field: "startsAt", direction: 1 },
+  name: { field: "groupName", direction: 1 },
+  relevance: { field: "score", direction: -1 }, // only with q
+  distance: { field: "distanceKm", direction: 1 }, // only with lat/lng
+};
+
+// Dates are tagged so they come back as Dates and still compare against BSON dates
+const encodeCursor = ({ value, id }) =>
+  Buffer.from(
+    JSON.stringify({
+      value: value instanceof Date ? value.toISOString() : value,
+      isDate: value instanceof Date,
+      id,
+    })
+  ).toString("base64url");
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (!decoded || !ObjectId.isValid(decoded.id) || !("value" in decoded)) return null;
+    if (decoded.isDate) decoded.value = new Date(decoded.value);
+    return decoded;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Translate GET /groups query params into an aggregation pipeline (without the $limit stage).
+// Returns { pipeline, limit } or { error }.
+// viewer: the signed-in user, if any - their own unlisted and private groups stay listed for them
+const buildGroupsQuery = (query, viewer) => {
+  const { q, userEmail, category, from, to, hasSeats, cursor, lat, lng, bbox } = query;
+  const nearby = lat !== undefined || lng !== undefined;
+  if (nearby && (lat === undefined || lng === undefined)) {
+    return { error: "lat and lng must be given together" };
+  }
+  // $geoNear and $text both have to be the first stage of the pipeline
+  if (nearby && q) {
+    return { error: "q cannot be combined with lat/lng" };
+  }
+  if (nearby && bbox) {
+    return { error: "bbox cannot be combined with lat/lng" };
+  }
+  if (query.radius !== undefined && !nearby) {
+    return { error: "radius needs lat and lng" };
+  }
+
+  const sortName = query.sort || (q ? "relevance" : nearby ? "distance" : "newest");
+  const sort = groupSortOptions[sortName];
+  if (!sort || (sortName === "relevance" && !q) || (sortName === "distance" && !nearby)) {
+    return { error: `Invalid sort "${sortName}"` };
+  }
+
+  const limit = query.limit === undefined ? 20 : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    return { error: "limit must be an integer between 1 and 100" };
+  }
+
+  // $text has to be the first stage of the pipeline
+  const match = {};
+  if (q) match.$text = { $search: String(q) };
+  if (userEmail) match.userEmail = String(userEmail);
+  // Groups someone owns or co-hosts
+  if (query.managedBy) {
+    match.$or = [
+      { userEmail: String(query.managedBy) },
+      { "managers.email": String(query.managedBy).toLowerCase() },
+    ];
+  }
+  if (category) match.category = String(category);
+  if (bbox) {
+    const box = parseBoundingBox(bbox);
+    if (box.error) return { error: box.error };
+    match.geo = box.filter;
+  }
+
+  if (from || to) {
+    match.startsAt = {};
+    for (const [key, value, operator] of [["from", from, "$gte"], ["to", to, "$lte"]]) {
+      if (!value) continue;
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) {
+        return { error: `${key} must be a valid date` };
+      }
+      match.startsAt[operator] = date;
+    }
+  }
+
+  if (hasSeats === "true") match.$expr = hasFreeSeatExpr;
+  const ownListing =
+    viewer?.email &&
+    [userEmail, query.managedBy].some(
+      (email) => email && String(email).toLowerCase() === viewer.email.toLowerCase()
+    );
+  // Finished events are archived by the archive-past-events job. Organizers still see
+  // their own archived events, which they need for attendees, check-in and exports.
+  if (!ownListing && query.includeArchived !== "true") match.archived = { $ne: true };
+  // Content hidden by a moderator is never listed
+  match.hidden = { $ne: true };
+  if (!ownListing) Object.assign(match, listedGroupFilter);
+  // Series parents are templates - their occurrences are the listed events
+  if (query.seriesId) match.seriesId = String(query.seriesId);
+  if (query.includeSeries !== "true") match.isSeries = { $ne: true };
+
+  const pipeline = [{ $match: match }, { $project: publicGroupProjection }];
+  // Nearest first within the radius; only groups with coordinates can match
+  if (nearby) {
+    const radiusKm = query.radius ?? DEFAULT_NEARBY_RADIUS_KM;
+    pipeline[0] = {
+      $geoNear: {
+        near: toGeoPoint({ lat, lng }),
+        key: "geo",
+        distanceField: "distanceKm",
+        distanceMultiplier: 0.001,
+        maxDistance: radiusKm * 1000,
+        spherical: true,
+        query: match,
+      },
+    };
+  }
+  // Missing sort fields sort as "" so the cursor comparison never meets null.
+  // The cursor match below uses $expr, which compares across BSON types in sort order.
+  pipeline.push({
+    $addFields: {
+      _sortKey:
+        sort.field === "score"
+          ? { $meta: "textScore" }
+          : { $ifNull: [`$${sort.field}`, ""] },
+    },
+  });
+
+  if (cursor) {
+    const position = decodeCursor(cursor);
+    if (!position) {
+      return { error: "Invalid cursor" };
+    }
+    const operator = sort.direction === 1 ? "$gt" : "$lt";
+    const id = new ObjectId(position.id);
+    pipeline.push({
+      $match: {
+        $expr: {
+          $or: [
+            { [operator]: ["$_sortKey", position.value] },
+            {
+              $and: [
+                { $eq: ["$_sortKey", position.value] },
+                { [operator]: ["$_id", id] },
+              ],
+            },
+          ],
+        },
+      },
+    });
+  }
+
+  pipeline.push({ $sort: { _sortKey: sort.direction, _id: sort.direction } });
+
+  return { pipeline, limit };
+};
+
+// ** Order Helpers **
+// Orders move pending -> paid -> refunded (or pending -> failed, or pending -> expired when
+// checkout is abandoned). Each transition is guarded on the current status so retried
+// webhooks are harmless.
+// A pending order holds a tier ticket and a seat; the expire-pending-orders job frees them
+// once the order is ORDER_HOLD_MINUTES old.
+const ORDER_HOLD_MS = (Number(process.env.ORDER_HOLD_MINUTES) || 30) * 60 * 1000;
+const reserveTier = (groupId, tierId) =>
+  groupCollection.updateOne(
+    { _id: new ObjectId(groupId), ticketTiers: { $elemMatch: { id: tierId, remaining: { $gt: 0 } } } },
+    { $inc: { "ticketTiers.$.remaining": -1 } }
+  );
+
+const releaseTier = (groupId, tierId) =>
+  groupCollection.updateOne(
+    { _id: new ObjectId(groupId), "ticketTiers.id": tierId },
+    { $inc: { "ticketTiers.$.remaining": 1 } }
+  );
+
+const markOrderPaid = async (order) => {
+  const joinRecord = buildJoinRecord(order.groupId, order.userEmail, order.userId, {
+    orderId: order._id.toString(),
+    tierId: order.tierId,
+  });
+  const paid = await ordersCollection.findOneAndUpdate(
+    { _id: order._id, status: "pending" },
+    { $set: { status: "paid", paidAt: new Date().toISOString(), joinId: joinRecord._id } },
+    { returnDocument: "after" }
+  );
+  if (!paid) return null;
+
+  try {
+    await joinedCollection.insertOne(joinRecord);
+  } catch (insertError) {
+    if (insertError.code !== 11000) throw insertError;
+    // Already an attendee (joined another way meanwhile): this order gets no ticket of its
+    // own, so its seat and tier ticket go back on sale and the charge is refunded
+    await releaseSeat(order.groupId);
+    await releaseTier(order.groupId, order.tierId);
+    await publishSeatUpdate(order.groupId);
+    const refunded = await refundUnfulfilledOrder(paid, "paid", "Already attending this event");
+    return { order: refunded, joinRecord: null };
+  }
+  const group = await groupCollection.findOne({ _id: new ObjectId(order.groupId) });
+  if (group) await notifyJoinConfirmed(group, joinRecord);
+  await publishSeatUpdate(order.groupId);
+  return { order: paid, joinRecord };
+};
+
+const markOrderFailed = async (order, reason) => {
+  const failed = await ordersCollection.findOneAndUpdate(
+    { _id: order._id, status: "pending" },
+    { $set: { status: "failed", failedAt: new Date().toISOString(), failureReason: reason } },
+    { returnDocument: "after" }
+  );
+  if (!failed) return null;
+
+  await releaseTier(order.groupId, order.tierId);
+  await releaseSeat(order.groupId);
+  return failed;
+};
+
+const markOrderExpired = async (order) => {
+  const expired = await ordersCollection.findOneAndUpdate(
+    { _id: order._id, status: "pending" },
+    { $set: { status: "expired", expiredAt: new Date().toISOString() } },
+    { returnDocument: "after" }
+  );
+  if (!expired) return null;
+
+  await releaseTier(order.groupId, order.tierId);
+  await releaseSeat(order.groupId);
+  return expired;
+};
+
+// Give the money back for an order that was charged but will not get a ticket. The caller
+// has already released (or never held) its seat and tier ticket.
+const refundUnfulfilledOrder = async (order, status, reason) => {
+  const refund = order.providerPaymentId
+    ? await paymentProvider.refundPayment({
+        paymentId: order.providerPaymentId,
+        amount: order.amount,
+        currency: order.currency,
+      })
+    : { refundId: null };
+  return ordersCollection.findOneAndUpdate(
+    { _id: order._id, status },
+    {
+      $set: {
+        status: "refunded",
+        refundedAt: new Date().toISOString(),
+        refundId: refund.refundId,
+        joinId: null,
+        failureReason: reason,
+      },
+    },
+    { returnDocument: "after" }
+  );
+};
+
+// The provider charged an order after its hold ran out and the seat went back on sale -
+// give the money back instead of issuing a ticket the event may no longer have room for
+const refundExpiredOrder = (order) => refundUnfulfilledOrder(order, "expired", "Paid after the checkout expired");
+
+// A paid attendee left: their tier ticket goes back on sale and the order is refunded.
+// Without a provider to refund through the order is only cancelled. Never throws - the
+// attendee has already left, so a failed refund is logged for the organizer to redo.
+const settleLeftOrder = async (record) => {
+  try {
+    if (!ObjectId.isValid(record.orderId)) return null;
+    const order = await ordersCollection.findOne({ _id: new ObjectId(record.orderId), status: "paid" });
+    if (!order) return null;
+
+    const settled =
+      order.providerPaymentId && !paymentProvider
+        ? await ordersCollection.findOneAndUpdate(
+            { _id: order._id, status: "paid" },
+            {
+              $set: {
+                status: "cancelled",
+                cancelledAt: new Date().toISOString(),
+                joinId: null,
+                failureReason: "Left the event",
+              },
+            },
+            { returnDocument: "after" }
+          )
+        : await refundUnfulfilledOrder(order, "paid", "Left the event");
+    if (settled) await releaseTier(order.groupId, order.tierId);
+    return settled;
+  } catch (error) {
+    console.error(`⚠️ Failed to settle order ${record.orderId} after leaving:`, error.message);
+    return null;
+  }
+};
+
+const markOrderRefunded = async (order) => {
+  const refunded = await ordersCollection.findOneAndUpdate(
+    { _id: order._id, status: "paid" },
+    { $set: { status: "refunded", refundedAt: new Date().toISOString() } },
+    { returnDocument: "after" }
+  );
+  if (!refunded) return null;
+
+  // The attendee may already have left - only free the seat if the join record was still there
+  const removed = await joinedCollection.deleteOne({ _id: order.joinId });
+  if (removed.deletedCount === 1) {
+    await releaseSeat(order.groupId);
+    await publishSeatUpdate(order.groupId);
+  }
+  await releaseTier(order.groupId, order.tierId);
+  return refunded;
+};
+
+// Apply a verified provider event to the matching order
+const handlePaymentEvent = async (event) => {
+  const order = await ordersCollection.findOne({
+    provider: paymentProvider.name,
+    providerPaymentId: event.paymentId,
+  });
+  if (!order) return null;
+
+  switch (event.type) {
+    case "payment.succeeded":
+      return order.status === "expired" ? refundExpiredOrder(order) : markOrderPaid(order);
+    case "payment.failed":
+      return markOrderFailed(order, "Payment declined");
+    case "refund.succeeded":
+      return markOrderRefunded(order);
+    default:
+      return null;
+  }
+};
+
+// ** Group Manager Helpers **
+// A group is run by its owner (the creator fields userEmail/userId) and the co-hosts listed
+// in `managers`. Co-hosts can do everything the owner can except manage co-hosts and hand
+// over ownership. Invites wait in `managerInvites` until the invitee accepts or declines.
+// A series keeps all of this on the parent and copies owner and co-hosts onto its occurrences.
+const MANAGER_INVITE_TTL_MS = 14 * 24 * 60 * 60 * 1000;
+// Copied from a series onto its occurrences whenever its managers change
+const GROUP_MANAGEMENT_FIELDS = ["userEmail", "userId", "creatorEmail", "creatorId", "creatorName", "managers"];
+
+// Invitee emails are private to the group's managers
+const publicGroupProjection = { managerInvites: 0 };
+
+// "owner", "cohost" or null
+const groupRoleOf = (group, user) => {
+  if (!group || !user?.email) return null;
+  if (isCreator(group, user.email, user.uid)) return "owner";
+  const email = user.email.toLowerCase();
+  return (group.managers || []).some((manager) => manager.email === email) ? "cohost" : null;
+};
+
+// Use instead of isCreator for groups; ownerOnly for co-host management and transfers
+const canManageGroup = (group, user, { ownerOnly = false } = {}) => {
+  const role = groupRoleOf(group, user);
+  return ownerOnly ? role === "owner" : role !== null;
+};
+
+// Manager changes made through an occurrence apply to its whole series
+const loadManagementTarget = async (group) => {
+  if (!group.seriesId || !ObjectId.isValid(group.seriesId)) return group;
+  return (await groupCollection.findOne({ _id: new ObjectId(group.seriesId) })) || group;
+};
+
+// Apply a manager change to a group (or series) and keep its occurrences in step.
+// filter narrows the update, e.g. to guard against a concurrent change; null when it missed.
+const updateGroupManagement = async (target, update, filter = {}) => {
+  const updated = await groupCollection.findOneAndUpdate({ _id: target._id, ...filter }, update, {
+    returnDocument: "after",
+  });
+  if (updated?.isSeries) {
+    const fields = {};
+    for (const field of GROUP_MANAGEMENT_FIELDS) {
+      if (updated[field] !== undefined) fields[field] = updated[field];
+    }
+    await groupCollection.updateMany({ seriesId: updated._id.toString() }, { $set: fields });
+  }
+  return updated;
+};
+
+const listGroupManagers = (group) => [
+  {
+    email: group.userEmail || group.creatorEmail || null,
+    name: group.creatorName || null,
+    role: "owner",
+  },
+  ...(group.managers || []).map(({ email, name, addedAt }) => ({
+    email,
+    name: name || null,
+    role: "cohost",
+    addedAt,
+  })),
+];
+
+const pendingManagerInvites = (group, now = new Date()) =>
+  (group.managerInvites || []).filter((invite) => new Date(invite.expiresAt) > now);
+
+// Only the parts of a group the audit entry of a manager change needs
+const managementSnapshot = (group) =>
+  group && {
+    userEmail: group.userEmail,
+    managers: (group.managers || []).map((manager) => manager.email),
+    managerInvites: (group.managerInvites || []).map((invite) => invite.email),
+  };
+
+// ** Group Access Helpers **
+// visibility: "public" groups are listed, "unlisted" ones are left out of listings but open
+// to anyone with the link, and "private" ones are invite-only - only managers, invitees,
+// approved requesters and attendees can see or join them. Groups from before visibility
+// existed are public. With requiresApproval, joins without an invite become join requests
+// the managers approve or reject. Occurrences carry their series' settings and also accept
+// the series' invites and approvals.
+const GROUP_VISIBILITIES = ["public", "unlisted", "private"];
+const GROUP_INVITE_TTL_DAYS = 7;
+const MAX_GROUP_INVITE_TTL_DAYS = 90;
+const listedGroupFilter = { visibility: { $nin: ["unlisted", "private"] } };
+
+const isPrivateGroup = (group) => group.visibility === "private";
+
+// Invites and join requests of an occurrence may also be stored on its series
+const accessGroupIds = (group) => [group._id.toString(), ...(group.seriesId ? [group.seriesId] : [])];
+
+const usableInviteFilter = (now = new Date()) => ({
+  revokedAt: null,
+  expiresAt: { $gt: now },
+  $or: [{ maxUses: null }, { $expr: { $lt: ["$uses", "$maxUses"] } }],
+});
+
+// Invite links carry the token; only its hash is stored. Email-bound invites work only for that email.
+const findUsableInvite = async (group, token, user) => {
+  const invite = await groupInvitesCollection.findOne({
+    groupId: { $in: accessGroupIds(group) },
+    tokenHash: hashToken(token),
+    ...usableInviteFilter(),
+  });
+  if (invite?.email && invite.email !== user?.email?.toLowerCase()) return null;
+  return invite;
+};
+
+// How the user gets into a group beyond what its visibility allows everyone:
+// { via: "manager" | "invite" | "approved" | "member" | null, invite, request }
+const resolveGroupAccess = async (group, user, inviteToken) => {
+  if (canManageGroup(group, user)) return { via: "manager" };
+  const groupIds = accessGroupIds(group);
+
+  const invite = inviteToken
+    ? await findUsableInvite(group, inviteToken, user)
+    : user &&
+      (await groupInvitesCollection.findOne({
+        groupId: { $in: groupIds },
+        email: user.email.toLowerCase(),
+        ...usableInviteFilter(),
+      }));
+  if (invite) return { via: "invite", invite };
+  if (!user) return { via: null };
+
+  const request = await joinRequestsCollection.findOne({ groupId: { $in: groupIds }, userEmail: user.email });
+  if (request?.status === "approved") return { via: "approved", request };
+
+  const filter = { groupId: { $in: groupIds }, userEmail: user.email };
+  const member =
+    (await joinedCollection.countDocuments(filter, { limit: 1 })) > 0 ||
+    (await waitlistCollection.countDocuments(filter, { limit: 1 })) > 0;
+  return { via: member ? "member" : null, request };
+};
+
+const canViewGroup = async (group, user, inviteToken) =>
+  !isPrivateGroup(group) || (await resolveGroupAccess(group, user, inviteToken)).via !== null;
+
+// Batch canViewGroup for lists of groups (no invite tokens here, only email invites)
+const filterViewableGroups = async (groups, user) => {
+  const restricted = groups.filter((group) => isPrivateGroup(group) && !canManageGroup(group, user));
+  if (restricted.length === 0) return groups;
+
+  const allowed = new Set();
+  if (user) {
+    const groupId = { $in: [...new Set(restricted.flatMap(accessGroupIds))] };
+    const lookups = [
+      joinedCollection.distinct("groupId", { groupId, userEmail: user.email }),
+      waitlistCollection.distinct("groupId", { groupId, userEmail: user.email }),
+      joinRequestsCollection.distinct("groupId", { groupId, userEmail: user.email, status: "approved" }),
+      groupInvitesCollection.distinct("groupId", {
+        groupId,
+        email: user.email.toLowerCase(),
+        ...usableInviteFilter(),
+      }),
+    ];
+    for (const ids of await Promise.all(lookups)) ids.forEach((id) => allowed.add(id));
+  }
+  return groups.filter(
+    (group) => !restricted.includes(group) || accessGroupIds(group).some((id) => allowed.has(id))
+  );
+};
+
+// Count one use of an invite; false when it ran out (or expired) meanwhile
+const consumeInvite = async (invite) => {
+  const result = await groupInvitesCollection.updateOne(
+    { _id: invite._id, ...usableInviteFilter() },
+    { $inc: { uses: 1 }, $set: { lastUsedAt: new Date() } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Ask to join an approval-only group; existing is the user's earlier request, if any.
+// Resolves to { status: "pending", request } | { status: "already_pending" } | { status: "rejected" }
+const requestToJoin = async (group, user, { occurrence = null, message = null } = {}, existing = null) => {
+  if (existing?.status === "pending") return { status: "already_pending" };
+  if (existing?.status === "rejected") return { status: "rejected" };
+
+  const request = {
+    groupId: group._id.toString(),
+    // Lets the managers of a series find requests for single occurrences
+    seriesId: group.seriesId || null,
+    userEmail: user.email,
+    userId: user.uid,
+    userName: user.name || null,
+    occurrence,
+    message,
+    status: "pending",
+    requestedAt: new Date(),
+  };
+  try {
+    await joinRequestsCollection.insertOne(request);
+  } catch (insertError) {
+    if (insertError.code !== 11000) throw insertError;
+    return { status: "already_pending" };
+  }
+  await enqueueNotification("join_request", group.userEmail || group.creatorEmail, {
+    event: describeGroupForNotification(group),
+    requesterName: request.userName || user.email,
+    message,
+  });
+  return { status: "pending", request };
+};
+
+// Join an approved requester to the group (or series, or series date) they asked for.
+// Resolves to the joinGroupAsUser result, or { status: "joined", subscription } for a
+// whole series; { status: "unavailable" } when the date is gone or the event has ended.
+const joinApprovedRequest = async (group, request) => {
+  if (group.isSeries && !request.occurrence) {
+    const joinedSeries = await joinSeriesAsUser(group, request.userEmail, request.userId);
+    return joinedSeries ? { status: "joined", subscription: joinedSeries.subscription } : { status: "already_joined" };
+  }
+  const target = group.isSeries ? await materializeOccurrence(group, new Date(request.occurrence)) : group;
+  if (!target || target.archived) return { status: "unavailable" };
+  return joinGroupAsUser(target, request.userEmail, request.userId);
+};
+
+const describeJoinRequest = (request) => ({
+  id: request._id,
+  groupId: request.groupId,
+  userEmail: request.userEmail,
+  userName: request.userName,
+  occurrence: request.occurrence,
+  message: request.message,
+  status: request.status,
+  requestedAt: request.requestedAt,
+  decidedAt: request.decidedAt || null,
+  decidedBy: request.decidedBy || null,
+  reason: request.reason || null,
+});
+
+const inviteLink = (group, token) => {
+  const link = groupLink(group._id.toString());
+  return link && `${link}?invite=${token}`;
+};
+
+const inviteStatus = (invite, now = new Date()) => {
+  if (invite.revokedAt) return "revoked";
+  if (new Date(invite.expiresAt) <= now) return "expired";
+  if (invite.maxUses !== null && invite.uses >= invite.maxUses) return "used_up";
+  return "active";
+};
+
+// Tokens are shown once, when the invite is created
+const describeGroupInvite = (invite) => ({
+  id: invite._id,
+  email: invite.email,
+  maxUses: invite.maxUses,
+  uses: invite.uses,
+  expiresAt: invite.expiresAt,
+  createdBy: invite.createdBy,
+  createdAt: invite.createdAt,
+  status: inviteStatus(invite),
+});
+
+// ** Attendee Helpers **
+// Aggregation over a group's join records with each attendee's name and photo from users.
+// Filters: q (email or name contains), status ("registered" | "checked_in").
+const buildAttendeesPipeline = (groupId, { q, status } = {}) => {
+  const match = { groupId };
+  if (status === "checked_in") match.checkedInAt = { $ne: null };
+  else if (status === "registered") match.checkedInAt = null;
+
+  const pipeline = [
+    { $match: match },
+    {
+      $lookup: {
+        from: "users",
+        localField: "userEmail",
+        foreignField: "email",
+        pipeline: [{ $project: { _id: 0, name: 1, photo: 1 } }],
+        as: "user",
+      },
+    },
+    { $set: { user: { $first: "$user" } } },
+  ];
+  if (q) {
+    const pattern = searchPattern(q);
+    pipeline.push({ $match: { $or: [{ userEmail: pattern }, { "user.name": pattern }] } });
+  }
+  pipeline.push({ $sort: { joinedAt: 1, _id: 1 } });
+  return pipeline;
+};
+
+const describeAttendee = (record) => ({
+  joinId: record._id,
+  userEmail: record.userEmail,
+  userId: record.userId,
+  name: record.user?.name || null,
+  photo: record.user?.photo || null,
+  joinedAt: record.joinedAt,
+  status: getAttendanceStatus(record),
+  checkedInAt: record.checkedInAt || null,
+  ...(record.scope && { scope: record.scope }),
+  ...(record.tierId && { tierId: record.tierId }),
+  ...(record.orderId && { orderId: record.orderId }),
+});
+
+const attendeeCsvColumns = (group) => {
+  const tierNames = new Map((group.ticketTiers || []).map((tier) => [tier.id, tier.name]));
+  return [
+    { header: "Name", value: (attendee) => attendee.name },
+    { header: "Email", value: (attendee) => attendee.userEmail },
+    { header: "Joined at", value: (attendee) => attendee.joinedAt },
+    { header: "Status", value: (attendee) => attendee.status },
+    { header: "Checked in at", value: (attendee) => attendee.checkedInAt },
+    { header: "Ticket", value: (attendee) => tierNames.get(attendee.tierId) || attendee.tierId },
+  ];
+};
+
+// ** Article Helpers **
+// status: draft | scheduled | published | archived. Articles from before statuses existed have
+// none and count as published. "scheduled" is a published article whose publishDate is still
+// ahead; the publish-scheduled-articles job flips it to published once that time passes.
+const ARTICLE_STATUSES = ["draft", "published", "archived"]; // what authors can ask for
+const listedArticleFilter = { hidden: { $ne: true }, status: { $in: [null, "published"] } };
+// Archived articles leave the listing but old links keep working
+const readableArticleFilter = { hidden: { $ne: true }, status: { $in: [null, "published", "archived"] } };
+
+// Content kept in every revision
+const ARTICLE_REVISION_FIELDS = ["title", "shortDescription", "content", "coverImage", "category"];
+
+// Work out status / publishDate / publishedAt from the requested status and publishDate.
+// current is the stored article ({} when creating). Returns { fields } or { error }.
+const resolveArticlePublication = ({ status, publishDate }, current = {}) => {
+  const now = new Date();
+  const requested =
+    status || (current.status === "scheduled" ? "published" : current.status) || "published";
+
+  let date = null;
+  if (publishDate !== undefined) {
+    date = new Date(publishDate);
+    if (Number.isNaN(date.getTime())) return { error: "Invalid publishDate" };
+  } else if (current.publishDate) {
+    // Free-form dates on legacy articles count as already published
+    const stored = new Date(current.publishDate);
+    date = Number.isNaN(stored.getTime()) ? null : stored;
+  }
+
+  const fields = {};
+  if (publishDate !== undefined) fields.publishDate = date.toISOString();
+
+  if (requested === "published") {
+    if (date && date > now) {
+      fields.status = "scheduled";
+    } else {
+      fields.status = "published";
+      if (!current.publishDate && !fields.publishDate) fields.publishDate = now.toISOString();
+      fields.publishedAt = current.publishedAt || now.toISOString();
+    }
+  } else {
+    fields.status = requested;
+    if (requested === "archived" && current.status !== "archived") {
+      fields.archivedAt = now.toISOString();
+    }
+  }
+  return { fields };
+};
+
+// Slugs stay reserved after a rename so old links keep resolving
+const isArticleSlugTaken = async (slug, excludeId = null) =>
+  Boolean(
+    await articlesCollection.findOne(
+      {
+        $or: [{ slug }, { previousSlugs: slug }],
+        ...(excludeId && { _id: { $ne: excludeId } }),
+      },
+      { projection: { _id: 1 } }
+    )
+  );
+
+// A free slug derived from source: "title", then "title-2", "title-3"...
+// The unique index on slug still catches two writers racing for the same one.
+const uniqueArticleSlug = async (source, excludeId = null) => {
+  const base = slugify(source);
+  for (let n = 1; n <= 50; n++) {
+    const candidate = withSuffix(base, n);
+    if (!(await isArticleSlugTaken(candidate, excludeId))) return candidate;
+  }
+  return withSuffix(base, crypto.randomInt(1000, 1000000));
+};
+
+// Look an article up by id or slug (current or previous)
+const findArticleByRef = async (ref, filter = {}) => {
+  if (/^[a-f0-9]{24}$/i.test(ref)) {
+    const article = await articlesCollection.findOne({ _id: new ObjectId(ref), ...filter });
+    if (article) return article;
+  }
+  if (!isSlug(ref)) return null;
+  return articlesCollection.findOne({ ...filter, $or: [{ slug: ref }, { previousSlugs: ref }] });
+};
+
+// Articles stored before rendering existed (or by an older renderer) are rendered on the way
+// out until scripts/migrate-render-markdown.js has caught up with them
+const withRenderedContent = (article) =>
+  article.renderVersion === RENDER_VERSION ? article : { ...article, ...renderArticleContent(article.content) };
+
+const articleRevisionContent = (article) =>
+  Object.fromEntries(ARTICLE_REVISION_FIELDS.map((field) => [field, article[field] ?? null]));
+
+// Store the article's current content as revision article.revision
+const saveArticleRevision = async (article, user, { restoredFrom = null, createdAt = new Date() } = {}) => {
+  const revision = {
+    articleId: article._id.toString(),
+    revision: article.revision,
+    ...articleRevisionContent(article),
+    status: article.status || "published",
+    editedBy: user ? { email: user.email, name: user.name || null } : null,
+    ...(restoredFrom && { restoredFrom }),
+    createdAt,
+  };
+  await articleRevisionsCollection.insertOne(revision);
+  return revision;
+};
+
+// Articles created before revisions existed get their stored content as revision 1
+const ensureBaselineRevision = async (article) => {
+  if (article.revision) return;
+  const result = await articlesCollection.updateOne(
+    { _id: article._id, revision: { $exists: false } },
+    { $set: { revision: 1 } }
+  );
+  if (result.modifiedCount === 1) {
+    const author = article.authorEmail ? { email: article.authorEmail, name: article.authorName } : null;
+    const createdAt = new Date(article.updatedAt || article.createdAt || Date.now());
+    await saveArticleRevision({ ...article, revision: 1 }, author, {
+      createdAt: Number.isNaN(createdAt.getTime()) ? new Date() : createdAt,
+    });
+  }
+};
+
+// Apply $set to an article as a new revision. Returns the updated article (null if it is gone).
+const updateArticleWithRevision = async (article, update, user, options = {}) => {
+  await ensureBaselineRevision(article);
+  const updated = await articlesCollection.findOneAndUpdate(
+    { _id: article._id },
+    { ...update, $inc: { revision: 1 } },
+    { returnDocument: "after" }
+  );
+  if (updated) await saveArticleRevision(updated, user, options);
+  return updated;
+};
+
+// ** Comment Helpers **
+// Comments form threads: replies carry parentId (direct parent), rootId (top-level comment)
+// and depth (0 for top-level). Comments from before threading have none of these and are
+// top-level. replyCount counts direct replies; reactions holds one counter per reaction.
+const MAX_COMMENT_DEPTH = 3; // top-level plus two levels of replies
+const COMMENT_REACTIONS = ["like", "love", "laugh", "wow", "sad", "celebrate"];
+const COMMENT_HISTORY_LIMIT = 20;
+
+// Public shape of a comment. Deleted comments (and hidden ones that still hold replies)
+// stay in the tree as placeholders without text or author.
+const publicComment = (comment, { placeholder = false } = {}) => {
+  const { history, deleted, deletedAt, hidden, hiddenAt, hiddenBy, hiddenReason, ...visible } = comment;
+  const thread = {
+    parentId: comment.parentId || null,
+    rootId: comment.rootId || null,
+    depth: comment.depth || 0,
+    replyCount: comment.replyCount || 0,
+  };
+  if (placeholder || deleted) {
+    return {
+      _id: comment._id,
+      articleId: comment.articleId,
+      ...thread,
+      deleted: true,
+      text: null,
+      createdAt: comment.createdAt,
+    };
+  }
+  return {
+    ...visible,
+    ...(comment.renderVersion !== RENDER_VERSION && renderCommentText(comment.text)),
+    ...thread,
+    reactions: comment.reactions || {},
+  };
+};
+
+// Nest replies under their parents, oldest first, below the given top-level comments
+const buildCommentTree = (roots, replies) => {
+  const byParent = new Map();
+  for (const reply of replies) {
+    if (!byParent.has(reply.parentId)) byParent.set(reply.parentId, []);
+    byParent.get(reply.parentId).push(reply);
+  }
+
+  const attach = (comment) => {
+    const children = (byParent.get(comment._id.toString()) || [])
+      .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)))
+      .map(attach)
+      .filter(Boolean);
+    // Hidden comments only show up to hold their visible replies together
+    if (comment.hidden && children.length === 0) return null;
+    return { ...publicComment(comment, { placeholder: comment.hidden }), replies: children };
+  };
+  return roots.map(attach).filter(Boolean);
+};
+
+// Delete a comment. One with replies becomes a placeholder so the thread stays readable;
+// one without is removed, and a placeholder parent left without replies goes with it.
+// Resolves to "placeholder" or "deleted".
+const removeComment = async (comment) => {
+  if (comment.replyCount > 0) {
+    await commentsCollection.updateOne(
+      { _id: comment._id },
+      {
+        $set: { deleted: true, deletedAt: new Date().toISOString(), text: null, textHtml: null },
+        $unset: { history: "" },
+      }
+    );
+    return "placeholder";
+  }
+
+  await commentsCollection.deleteOne({ _id: comment._id });
+  await commentReactionsCollection.deleteMany({ commentId: comment._id.toString() });
+  if (comment.parentId && ObjectId.isValid(comment.parentId)) {
+    const parent = await commentsCollection.findOneAndUpdate(
+      { _id: new ObjectId(comment.parentId) },
+      { $inc: { replyCount: -1 } },
+      { returnDocument: "after" }
+    );
+    if (parent?.deleted && parent.replyCount <= 0) await removeComment(parent);
+  }
+  return "deleted";
+};
+
+// Add or remove one reaction of one user; the counter only moves when the reaction changed.
+// Resolves to { reactions, myReactions } or null when the comment is gone.
+const setCommentReaction = async (comment, userEmail, reaction, active) => {
+  const commentId = comment._id.toString();
+  let changed;
+  if (active) {
+    try {
+      await commentReactionsCollection.insertOne({
+        commentId,
+        articleId: comment.articleId,
+        userEmail,
+        reaction,
+        createdAt: new Date(),
+      });
+      changed = true;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      changed = false;
+    }
+  } else {
+    const removed = await commentReactionsCollection.deleteOne({ commentId, userEmail, reaction });
+    changed = removed.deletedCount === 1;
+  }
+
+  const updated = changed
+    ? await commentsCollection.findOneAndUpdate(
+        { _id: comment._id },
+        { $inc: { [`reactions.${reaction}`]: active ? 1 : -1 } },
+        { returnDocument: "after" }
+      )
+    : await commentsCollection.findOne({ _id: comment._id });
+  if (!updated) return null;
+
+  const mine = await commentReactionsCollection
+    .find({ commentId, userEmail }, { projection: { reaction: 1 } })
+    .toArray();
+  return { changed, reactions: updated.reactions || {}, myReactions: mine.map((row) => row.reaction) };
+};
+
+// ** Upload Helpers **
+// Images are uploaded with POST /uploads and linked by URL from groups, articles, comments and
+// profiles. The `uploads` collection records owner and size for quotas; the bytes live in the
+// storage adapter. When a group or article is deleted, the uploads it linked to are deleted
+// too unless something else still links to them.
+const uploadStorage = createStorage(process.env.UPLOAD_STORAGE || "local", {
+  directory: process.env.UPLOAD_DIR,
+});
+console.log(`✅ Upload storage: ${uploadStorage.name}`);
+
+const UPLOAD_MAX_BYTES = Number(process.env.UPLOAD_MAX_BYTES) || 5 * 1024 * 1024;
+const UPLOAD_QUOTA_BYTES = Number(process.env.UPLOAD_QUOTA_BYTES) || 100 * 1024 * 1024;
+// Multipart boundaries and part headers around the file itself
+const MULTIPART_OVERHEAD_BYTES = 64 * 1024;
+
+const uploadUrl = (req, key) => uploadStorage.publicUrl(key) || `${getBaseUrl(req)}/uploads/${key}`;
+const defaultImageUrl = (req, name) => `${getBaseUrl(req)}/defaults/${name}.svg`;
+
+const describeUpload = (upload) => ({
+  id: upload._id,
+  url: upload.url,
+  contentType: upload.contentType,
+  size: upload.size,
+  originalName: upload.originalName,
+  createdAt: upload.createdAt,
+});
+
+const getUploadUsage = async (userEmail) => {
+  const [usage] = await uploadsCollection
+    .aggregate([
+      { $match: { userEmail } },
+      { $group: { _id: null, bytes: { $sum: "$size" }, count: { $sum: 1 } } },
+    ])
+    .toArray();
+  return { bytes: usage?.bytes || 0, count: usage?.count || 0 };
+};
+
+// Any document still linking to the upload. Image fields hold the URL the upload was
+// served under; Markdown can link it anywhere, so articles list the keys they link in
+// `uploadKeys`. Every lookup here is an indexed equality match.
+const isUploadInUse = async (upload) => {
+  const url = upload.url;
+  const references = [
+    [groupCollection, { $or: [{ image: url }, { creatorImage: url }] }],
+    [articlesCollection, { $or: [{ coverImage: url }, { authorImage: url }, { uploadKeys: upload.key }] }],
+    [commentsCollection, { authorImage: url }],
+    [usersCollection, { photo: url }],
+  ];
+  for (const [collection, filter] of references) {
+    if (await collection.findOne(filter, { projection: { _id: 1 } })) return true;
+  }
+  return false;
+};
+
+const deleteUpload = async (upload) => {
+  await uploadStorage.delete(upload.key);
+  await uploadsCollection.deleteOne({ _id: upload._id });
+};
+
+// Delete the uploads linked from just-deleted documents that nothing links to any more.
+// Never throws - a failed cleanup leaves an orphaned file but must not fail the delete itself.
+const releaseUploads = async (documents) => {
+  const keys = uploadKeysIn(documents);
+  if (keys.length === 0) return 0;
+  try {
+    const uploads = await uploadsCollection.find({ key: { $in: keys } }).toArray();
+    let removed = 0;
+    for (const upload of uploads) {
+      if (await isUploadInUse(upload)) continue;
+      await deleteUpload(upload);
+      removed++;
+    }
+    return removed;
+  } catch (error) {
+    console.error("⚠️ Failed to clean up uploads:", error.message);
+    return 0;
+  }
+};
+
+// ** Real-time Helpers **
+// Clients subscribe over Server-Sent Events to "group:<id>" and "article:<id>" channels.
+// Run with PUBSUB_BACKEND=mongo when more than one server instance serves traffic.
+const realtime = createPubSub(process.env.PUBSUB_BACKEND || "memory", {
+  getCollection: () => realtimeEventsCollection,
+});
+console.log(`✅ Real-time backend: ${realtime.name}`);
+
+// Comment lines keep proxies from closing idle streams
+const SSE_HEARTBEAT_MS = 25 * 1000;
+
+// Never throws - a failed push must not fail the request that caused it
+const publishRealtime = async (channel, type, data) => {
+  try {
+    await realtime.publish(channel, { type, data });
+  } catch (error) {
+    console.error(`⚠️ Failed to publish ${type} on ${channel}:`, error.message);
+  }
+};
+
+const getSeatSnapshot = async (groupId) => {
+  const group = await groupCollection.findOne(
+    { _id: new ObjectId(groupId) },
+    { projection: { maxMembers: 1 } }
+  );
+  if (!group) return null;
+  const [withSeats] = await attachSeatInfo([group]);
+  return { groupId, seats: withSeats.seats, waitlistLength: withSeats.waitlistLength };
+};
+
+const publishSeatUpdate = async (groupId) => {
+  try {
+    const snapshot = await getSeatSnapshot(groupId);
+    if (snapshot) await publishRealtime(`group:${groupId}`, "seats", snapshot);
+  } catch (error) {
+    console.error(`⚠️ Failed to publish seat update for ${groupId}:`, error.message);
+  }
+};
+
+// Stream a channel to the client as Server-Sent Events until it disconnects
+const streamChannel = (req, res, channel, initialEvents = []) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  let eventId = 0;
+  const send = ({ type, data }) => {
+    eventId++;
+    res.write(`id: ${eventId}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  res.write("retry: 5000\n\n");
+  initialEvents.forEach(send);
+  const unsubscribe = realtime.subscribe(channel, send);
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), SSE_HEARTBEAT_MS);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+};
+
+// ** Notification Helpers **
+// Notifications are rendered into the `notifications` outbox and sent by the
+// deliver-notifications job, so a slow or failing mail server never blocks a request.
+const mailTransportName = process.env.MAIL_TRANSPORT || "console";
+// The console transport delivers nothing - verification and password reset mails would never arrive
+if (mailTransportName === "console" && process.env.NODE_ENV === "production") {
+  throw new Error("MAIL_TRANSPORT must be set to a real transport (smtp) in production - console never delivers mail");
+}
+const mailTransport = createMailTransport(mailTransportName, {
+  host: process.env.SMTP_HOST,
+  port: process.env.SMTP_PORT,
+  secure: process.env.SMTP_SECURE === "true",
+  user: process.env.SMTP_USER,
+  pass: process.env.SMTP_PASS,
+  directory: process.env.MAIL_FILE_DIR,
+});
+console.log(`✅ Mail transport: ${mailTransport.name}`);
+
+const mailFrom = process.env.MAIL_FROM || "Event Booking <no-reply@event-booking.local>";
+const clientUrl = (process.env.CLIENT_URL || "").replace(/\/$/, "");
+const NOTIFICATION_BATCH_SIZE = 50;
+// A message stuck in "sending" this long (crashed instance) is picked up again
+const SEND_LOCK_MS = 5 * 60 * 1000;
+const REMINDER_LEAD_MS = 24 * 60 * 60 * 1000;
+
+// Unsubscribe links carry "<base64url email>.<type>.<signature>" so they work without logging in.
+// They get their own key (UNSUBSCRIBE_SECRET, else one derived from the ticket secret) so the
+// links mailed out never act as signatures made with the key that guards tickets.
+const unsubscribeSecret =
+  process.env.UNSUBSCRIBE_SECRET || crypto.createHmac("sha256", ticketSecret).update("unsubscribe").digest();
+
+const signUnsubscribe = (email, type) =>
+  crypto.createHmac("sha256", unsubscribeSecret).update(`${email}.${type}`).digest("base64url");
+
+const issueUnsubscribeToken = (email, type) =>
+  `${Buffer.from(email).toString("base64url")}.${type}.${signUnsubscribe(email, type)}`;
+
+// Returns { email, type } for a genuine token, or null
+const verifyUnsubscribeToken = (token) => {
+  if (typeof token !== "string") return null;
+  const [encodedEmail, type, signature, ...rest] = token.split(".");
+  if (rest.length > 0 || !signature || !NOTIFICATION_TYPES.includes(type)) return null;
+
+  const email = Buffer.from(encodedEmail, "base64url").toString();
+  const expected = Buffer.from(signUnsubscribe(email, type));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  return { email, type };
+};
+
+const groupLink = (groupId) => (clientUrl ? `${clientUrl}/groups/${groupId}` : null);
+
+// Template-facing summary of a group
+const describeGroupForNotification = (group) => ({
+  id: group._id.toString(),
+  name: group.groupName || "Untitled event",
+  startsAt: group.startsAt,
+  timezone: group.timezone,
+  location: group.location,
+  url: groupLink(group._id.toString()),
+});
+
+// Queue one message. Skipped when the user unsubscribed from this type, or when
+// dedupeKey was already used. Transactional messages (password reset) ignore preferences
+// and carry no unsubscribe link. Never throws - a notification must not fail the action.
+const enqueueNotification = async (type, userEmail, data, { dedupeKey, transactional = false } = {}) => {
+  try {
+    if (!userEmail) return null;
+    const user = await usersCollection.findOne(
+      { email: userEmail },
+      { projection: { name: 1, notificationPreferences: 1 } }
+    );
+    if (!transactional && user?.notificationPreferences?.[type] === false) return null;
+
+    const canUnsubscribe = !transactional && Boolean(publicBaseUrl);
+    const token = canUnsubscribe ? issueUnsubscribeToken(userEmail, type) : null;
+    const unsubscribeUrl = `${publicBaseUrl}/notifications/unsubscribe?token=${token}`;
+    const content = renderNotification(type, { ...(user?.name && { name: user.name }), ...data }, {
+      unsubscribeUrl: canUnsubscribe ? unsubscribeUrl : null,
+    });
+
+    const now = new Date();
+    const message = {
+      type,
+      to: userEmail,
+      ...content,
+      ...(canUnsubscribe && {
+        headers: {
+          "List-Unsubscribe": `<${unsubscribeUrl}>`,
+          "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+        },
+      }),
+      status: "pending",
+      attempts: 0,
+      maxAttempts: MAX_ATTEMPTS,
+      nextAttemptAt: now,
+      createdAt: now,
+      ...(dedupeKey && { dedupeKey }),
+    };
+    await notificationsCollection.insertOne(message);
+    return message;
+  } catch (error) {
+    if (error.code === 11000) return null;
+    console.error(`⚠️ Failed to queue ${type} notification for ${userEmail}:`, error.message);
+    return null;
+  }
+};
+
+const notifyJoinConfirmed = async (group, joinRecord) =>
+  enqueueNotification(
+    "join_confirmed",
+    joinRecord.userEmail,
+    { event: describeGroupForNotification(group), ticketCode: joinRecord.ticketCode },
+    { dedupeKey: `join_confirmed:${joinRecord._id}` }
+  );
+
+// Fields whose change is worth telling attendees about
+const NOTIFY_ON_CHANGE_FIELDS = ["groupName", "startsAt", "endsAt", "timezone", "location"];
+
+const getChangedFields = (before, after) =>
+  NOTIFY_ON_CHANGE_FIELDS.filter(
+    (field) => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null)
+  );
+
+// Tell attendees (and, for a series, its subscribers) that the organizer changed the event
+const notifyGroupUpdated = async (group, changedFields) => {
+  if (changedFields.length === 0) return;
+  const groupId = group._id.toString();
+  const rows = await joinedCollection.find({ groupId }, { projection: { userEmail: 1 } }).toArray();
+
+  const data = { event: describeGroupForNotification(group), changedFields };
+  for (const email of new Set(rows.map((row) => row.userEmail))) {
+    if (email === group.userEmail) continue;
+    await enqueueNotification("event_updated", email, data);
+  }
+};
+
+// One message per attendee, listing every deleted event they had joined or were waitlisted for
+const notifyGroupsDeleted = async (groups) => {
+  const byId = new Map(groups.map((group) => [group._id.toString(), group]));
+  const ids = [...byId.keys()];
+  const [joined, waitlisted] = await Promise.all([
+    joinedCollection.find({ groupId: { $in: ids }, scope: { $ne: "series" } }).toArray(),
+    waitlistCollection.find({ groupId: { $in: ids } }).toArray(),
+  ]);
+
+  const eventsByEmail = new Map();
+  for (const row of [...joined, ...waitlisted]) {
+    const group = byId.get(row.groupId);
+    if (!group || row.userEmail === group.userEmail) continue;
+    if (!eventsByEmail.has(row.userEmail)) eventsByEmail.set(row.userEmail, new Map());
+    eventsByEmail.get(row.userEmail).set(row.groupId, describeGroupForNotification(group));
+  }
+
+  for (const [email, events] of eventsByEmail) {
+    await enqueueNotification("event_deleted", email, { events: [...events.values()] });
+  }
+};
+
+// Queue reminders for events starting within REMINDER_LEAD_MS. The group remembers which
+// start time it was reminded for, so a rescheduled event gets a fresh reminder.
+const sendEventReminders = async () => {
+  const now = new Date();
+  const groups = await groupCollection
+    .find({
+      archived: { $ne: true },
+      isSeries: { $ne: true },
+      startsAt: { $gt: now, $lte: new Date(now.getTime() + REMINDER_LEAD_MS) },
+      $expr: { $ne: ["$remindersQueuedFor", "$startsAt"] },
+    })
+    .toArray();
+
+  let queued = 0;
+  for (const group of groups) {
+    const groupId = group._id.toString();
+    const rows = await joinedCollection.find({ groupId }, { projection: { userEmail: 1 } }).toArray();
+    const data = { event: describeGroupForNotification(group) };
+    for (const email of new Set(rows.map((row) => row.userEmail))) {
+      const message = await enqueueNotification("event_reminder", email, data, {
+        dedupeKey: `event_reminder:${groupId}:${email}:${new Date(group.startsAt).toISOString()}`,
+      });
+      if (message) queued++;
+    }
+    await groupCollection.updateOne(
+      { _id: group._id },
+      { $set: { remindersQueuedFor: group.startsAt } }
+    );
+  }
+  return { groupCount: groups.length, queued };
+};
+
+// Send due messages from the outbox. Failed sends are retried with exponential backoff
+// (retryDelayMs) and marked "failed" after maxAttempts.
+const deliverNotifications = async () => {
+  const result = { sent: 0, retrying: 0, failed: 0 };
+
+  for (let i = 0; i < NOTIFICATION_BATCH_SIZE; i++) {
+    const now = new Date();
+    const message = await notificationsCollection.findOneAndUpdate(
+      {
+        $or: [
+          { status: "pending", nextAttemptAt: { $lte: now } },
+          { status: "sending", lockedUntil: { $lt: now } },
+        ],
+      },
+      {
+        $set: { status: "sending", lockedUntil: new Date(now.getTime() + SEND_LOCK_MS) },
+        $inc: { attempts: 1 },
+      },
+      { sort: { nextAttemptAt: 1 }, returnDocument: "after" }
+    );
+    if (!message) break;
+
+    try {
+      const { messageId } = await mailTransport.send({
+        from: mailFrom,
+        to: message.to,
+        subject: message.subject,
+        text: message.text,
+        html: message.html,
+        ...(message.headers && { headers: message.headers }),
+      });
+      await notificationsCollection.updateOne(
+        { _id: message._id },
+        {
+          $set: { status: "sent", sentAt: new Date(), messageId, transport: mailTransport.name },
+          $unset: { lockedUntil: "", lastError: "" },
+        }
+      );
+      result.sent++;
+    } catch (error) {
+      const giveUp = message.attempts >= (message.maxAttempts || MAX_ATTEMPTS);
+      await notificationsCollection.updateOne(
+        { _id: message._id },
+        {
+          $set: {
+            status: giveUp ? "failed" : "pending",
+            lastError: error.message,
+            ...(giveUp
+              ? { failedAt: new Date() }
+              : { nextAttemptAt: new Date(Date.now() + retryDelayMs(message.attempts)) }),
+          },
+          $unset: { lockedUntil: "" },
+        }
+      );
+      if (giveUp) {
+        console.error(`❌ Giving up on notification ${message._id} after ${message.attempts} attempts:`, error.message);
+        result.failed++;
+      } else {
+        result.retrying++;
+      }
+    }
+  }
+  return result;
+};
+
+// ** Scheduled Jobs **
+// Events without an end time count as finished this long after they start
+const ARCHIVE_GRACE_MS = 12 * 60 * 60 * 1000;
+
+// Archive (never delete) events that have finished - joinedGroups history stays intact
+const archivePastEvents = async () => {
+  const now = new Date();
+  const result = await groupCollection.updateMany(
+    {
+      archived: { $ne: true },
+      isSeries: { $ne: true },
+      $or: [
+        { endsAt: { $lt: now } },
+        { endsAt: null, startsAt: { $lt: new Date(now.getTime() - ARCHIVE_GRACE_MS) } },
+      ],
+    },
+    { $set: { archived: true, archivedAt: now.toISOString() } }
+  );
+  if (result.modifiedCount > 0) {
+    console.log(`✅ Archived ${result.modifiedCount} past event(s)`);
+  }
+  return { archivedCount: result.modifiedCount };
+};
+
+// Keep every open-ended series materialized SERIES_HORIZON_MS ahead
+const extendRecurringSeries = async () => {
+  const until = new Date(Date.now() + SERIES_HORIZON_MS);
+  const seriesList = await groupCollection.find({ isSeries: true, archived: { $ne: true } }).toArray();
+
+  let generated = 0;
+  for (const series of seriesList) {
+    generated += await materializeOccurrences(series, until);
+  }
+  return { seriesCount: seriesList.length, occurrencesChecked: generated };
+};
+
+// Scheduled articles store publishDate as an ISO string, so plain string comparison works
+const publishScheduledArticles = async () => {
+  const now = new Date().toISOString();
+  const result = await articlesCollection.updateMany(
+    { status: "scheduled", publishDate: { $lte: now } },
+    { $set: { status: "published", publishedAt: now } }
+  );
+  if (result.modifiedCount > 0) {
+    console.log(`✅ Published ${result.modifiedCount} scheduled article(s)`);
+  }
+  return { publishedCount: result.modifiedCount };
+};
+
+// Release the tier ticket and seat held by checkouts that were never paid. Orders from before
+// expiresAt existed are matched by their age.
+const expirePendingOrders = async () => {
+  const now = new Date();
+  const stale = await ordersCollection
+    .find({
+      status: "pending",
+      $or: [
+        { expiresAt: { $lte: now } },
+        {
+          expiresAt: { $exists: false },
+          createdAt: { $lte: new Date(now.getTime() - ORDER_HOLD_MS).toISOString() },
+        },
+      ],
+    })
+    .toArray();
+
+  let expiredCount = 0;
+  const groupIds = new Set();
+  for (const order of stale) {
+    if (!(await markOrderExpired(order))) continue;
+    expiredCount++;
+    groupIds.add(order.groupId);
+  }
+  // Freed seats go to the waitlist first
+  for (const groupId of groupIds) {
+    await promoteFromWaitlist(groupId);
+    await publishSeatUpdate(groupId);
+  }
+  if (expiredCount > 0) {
+    console.log(`✅ Expired ${expiredCount} abandoned order(s)`);
+  }
+  return { expiredCount };
+};
+
+const registerJobs = (scheduler) => {
+  scheduler.define("archive-past-events", "*/15 * * * *", archivePastEvents, {
+    description: "Archive groups whose event has finished",
+  });
+  scheduler.define("extend-recurring-series", "30 2 * * *", extendRecurringSeries, {
+    description: "Generate upcoming occurrences of recurring series",
+  });
+  scheduler.define("deliver-notifications", "* * * * *", deliverNotifications, {
+    description: "Send queued notification emails, retrying failures with backoff",
+  });
+  scheduler.define("send-event-reminders", "*/15 * * * *", sendEventReminders, {
+    description: "Queue reminders for events starting within 24 hours",
+  });
+  scheduler.define("publish-scheduled-articles", "* * * * *", publishScheduledArticles, {
+    description: "Publish scheduled articles whose publish date has passed",
+  });
+  scheduler.define("expire-pending-orders", "*/5 * * * *", expirePendingOrders, {
+    description: "Cancel unpaid orders whose hold has run out and release their seats",
+  });
+};
+
+// Serverless deployments (Vercel) have no long-lived process - trigger jobs via the admin API there
+const startJobScheduler = () => {
+  if (jobScheduler || !dbConnected) return;
+  jobScheduler = createJobScheduler({
+    runsCollection: jobRunsCollection,
+    locksCollection: jobLocksCollection,
+  });
+  registerJobs(jobScheduler);
+
+  if (process.env.VERCEL || process.env.DISABLE_JOB_SCHEDULER === "true") {
+    console.log("ℹ️ Job scheduler timer disabled - jobs can still be run via /admin/jobs");
+    return;
+  }
+  jobScheduler.start();
+};
+
+// ** Audit Log **
+// Append-only record of every mutation: who (actor), through which route and request,
+// and what the document looked like before and after. Entries are never updated or deleted.
+const AUDIT_RESOURCES = ["group", "article", "comment", "membership", "user", "order", "join_request", "group_invite"];
+
+// Never throws - a failed audit write must not fail the mutation it describes.
+// `details` holds context that is not part of the document (scope, counts, reasons).
+const recordAudit = async (req, { action, resource, resourceId, before = null, after = null, details }) => {
+  try {
+    if (!auditLogCollection) return;
+    const diff = diffSnapshots(before, after);
+    await auditLogCollection.insertOne({
+      action,
+      resource,
+      resourceId: resourceId == null ? null : String(resourceId),
+      actor: req.user
+        ? { email: req.user.email, uid: req.user.uid || null, role: req.user.role || "user" }
+        : null,
+      route: `${req.method} ${req.route?.path ?? req.path}`,
+      requestId: req.id,
+      ip: req.ip,
+      ...diff,
+      ...(details && { details }),
+      createdAt: new Date(),
+    });
+  } catch (error) {
+    console.error(`⚠️ Failed to record audit entry for ${resource} ${action}:`, error.message);
+  }
+};
+
+// ** Analytics Helpers **
+// GET /dashboard-stats results are cached per query and dropped after every successful write
+// to this instance (see initializeRoutes); other instances catch up when their entries expire.
+const analyticsCache = createTtlCache({ ttlMs: Number(process.env.ANALYTICS_CACHE_TTL_MS) || 5 * 60 * 1000 });
+const ANALYTICS_TOP_GROUPS = 10;
+const ANALYTICS_BREAKDOWN_LIMIT = 20;
+
+// Breakdowns and rankings only cover events anyone can see; series parents are templates
+const analyticsEventFilter = { hidden: { $ne: true }, isSeries: { $ne: true }, ...listedGroupFilter };
+
+// Counts per bucket of range, plus breakdowns of the events that start within it
+const computeDashboardStats = async (range) => {
+  const { from, to } = range;
+  const [users, groups, joins, leaves, comments, articles, [events]] = await Promise.all([
+    usersCollection.aggregate(countPerBucket("createdAt", range)).toArray(),
+    // A series counts once - generated occurrences are not new groups
+    groupCollection.aggregate(countPerBucket("createdAt", range, { seriesId: { $exists: false } })).toArray(),
+    // Seats taken; series subscriptions show up through their occurrences
+    joinedCollection.aggregate(countPerBucket("joinedAt", range, { scope: { $ne: "series" } })).toArray(),
+    // Join records are deleted on leave, so leaves come from the audit log
+    auditLogCollection
+      .aggregate(
+        countPerBucket("createdAt", range, {
+          action: { $in: ["leave", "remove_attendee"] },
+          resource: "membership",
+          "details.waitlist": { $ne: true },
+        })
+      )
+      .toArray(),
+    commentsCollection.aggregate(countPerBucket("createdAt", range)).toArray(),
+    articlesCollection.aggregate(countPerBucket("createdAt", range)).toArray(),
+    groupCollection
+      .aggregate([
+        { $match: { startsAt: { $gte: from, $lt: to }, ...analyticsEventFilter } },
+        {
+          $lookup: {
+            from: "joinedGroups",
+            let: { groupId: { $toString: "$_id" } },
+            pipeline: [{ $match: { $expr: { $eq: ["$groupId", "$$groupId"] } } }, { $count: "count" }],
+            as: "joined",
+          },
+        },
+        { $set: { taken: { $ifNull: [{ $first: "$joined.count" }, 0] }, capacity: capacityExpr } },
+        {
+          $facet: {
+            byCategory: [
+              { $group: { _id: "$category", events: { $sum: 1 }, attendees: { $sum: "$taken" } } },
+              { $sort: { events: -1, _id: 1 } },
+              { $limit: ANALYTICS_BREAKDOWN_LIMIT },
+            ],
+            // Free-text locations are grouped case- and whitespace-insensitively
+            byLocation: [
+              {
+                $group: {
+                  _id: { $toLower: { $trim: { input: { $ifNull: ["$location", ""] } } } },
+                  location: { $first: "$location" },
+                  events: { $sum: 1 },
+                  attendees: { $sum: "$taken" },
+                },
+              },
+              { $sort: { events: -1, _id: 1 } },
+              { $limit: ANALYTICS_BREAKDOWN_LIMIT },
+            ],
+            topGroups: [
+              { $match: { capacity: { $gt: 0 } } },
+              { $set: { fillRate: { $divide: ["$taken", "$capacity"] } } },
+              { $sort: { fillRate: -1, taken: -1, _id: 1 } },
+              { $limit: ANALYTICS_TOP_GROUPS },
+            ],
+          },
+        },
+      ])
+      .toArray(),
+  ]);
+
+  const { series, totals } = buildSeries(listBuckets(range), {
+    users,
+    groups,
+    joins,
+    leaves,
+    comments,
+    articles,
+  });
+  return {
+    range,
+    totals,
+    series,
+    byCategory: events.byCategory.map((row) => ({
+      category: row._id ?? null,
+      events: row.events,
+      attendees: row.attendees,
+    })),
+    byLocation: events.byLocation.map((row) => ({
+      location: row._id ? row.location.trim() : null,
+      events: row.events,
+      attendees: row.attendees,
+    })),
+    topGroups: events.topGroups.map((group) => ({
+      groupId: group._id,
+      groupName: group.groupName,
+      category: group.category || null,
+      location: group.location || null,
+      startsAt: group.startsAt,
+      capacity: group.capacity,
+      taken: group.taken,
+      fillRate: Math.round(group.fillRate * 1000) / 1000,
+    })),
+    generatedAt: new Date(),
+  };
+};
+
+// The original /dashboard-stats response: all-time signups per day and groups per event day
+const computeDailyStats = async () => {
+  const [usersPerDay, groupsPerDay] = await Promise.all([
+    usersCollection
+      .aggregate([
+        { $match: { createdAt: { $exists: true, $ne: null } } },
+        {
+          $group: {
+            _id: { $dateToString: { format: "%Y-%m-%d", date: { $toDate: "$createdAt" } } },
+            users: { $sum: 1 },
+          },
+        },
+      ])
+      .toArray(),
+    groupCollection
+      .aggregate([
+        {
+          $group: {
+            // Event day in the event's own timezone; unmigrated groups fall back to the legacy string
+            _id: {
+              $ifNull: [
+                {
+                  $dateToString: {
+                    format: "%Y-%m-%d",
+                    date: "$startsAt",
+                    timezone: { $ifNull: ["$timezone", "UTC"] },
+                  },
+                },
+                "$formattedDate",
+              ],
+            },
+            groups: { $sum: 1 },
+          },
+        },
+      ])
+      .toArray(),
+  ]);
+
+  const byDate = new Map();
+  for (const { _id, users } of usersPerDay) byDate.set(_id, { date: _id, users, groups: 0 });
+  for (const { _id, groups } of groupsPerDay) {
+    if (byDate.has(_id)) byDate.get(_id).groups = groups;
+    else byDate.set(_id, { date: _id, users: 0, groups });
+  }
+  return [...byDate.values()].sort((a, b) => String(a.date).localeCompare(String(b.date)));
+};
+
+// Groups someone owns or co-hosts (same rule as canManageGroup)
+const managedGroupsFilter = (user) => ({
+  $or: [{ userEmail: user.email }, { "managers.email": user.email.toLowerCase() }],
+});
+
+// How an organizer's events and articles perform in range. Events are the ones starting in
+// the range; joins and comments are counted when they happened.
+const computeOrganizerInsights = async (user, range) => {
+  const { from, to } = range;
+  const managed = await groupCollection
+    .find(
+      { ...managedGroupsFilter(user), isSeries: { $ne: true } },
+      { projection: { groupName: 1, startsAt: 1, endsAt: 1, maxMembers: 1, archived: 1 } }
+    )
+    .toArray();
+  const managedIds = managed.map((group) => group._id.toString());
+  const events = managed.filter((group) => group.startsAt && group.startsAt >= from && group.startsAt < to);
+  const eventIds = events.map((group) => group._id.toString());
+
+  const articles = await articlesCollection
+    .find({ authorEmail: user.email }, { projection: { title: 1, slug: 1, status: 1, publishDate: 1 } })
+    .toArray();
+  const articleIds = articles.map((article) => article._id.toString());
+
+  const [joins, comments, seatRows, waitlistRows, [attendees], commentRows] = await Promise.all([
+    joinedCollection
+      .aggregate(countPerBucket("joinedAt", range, { groupId: { $in: managedIds }, scope: { $ne: "series" } }))
+      .toArray(),
+    commentsCollection.aggregate(countPerBucket("createdAt", range, { articleId: { $in: articleIds } })).toArray(),
+    joinedCollection
+      .aggregate([
+        { $match: { groupId: { $in: eventIds } } },
+        {
+          $group: {
+            _id: "$groupId",
+            taken: { $sum: 1 },
+            checkedIn: { $sum: { $cond: [{ $ifNull: ["$checkedInAt", false] }, 1, 0] } },
+          },
+        },
+      ])
+      .toArray(),
+    waitlistCollection
+      .aggregate([{ $match: { groupId: { $in: eventIds } } }, { $group: { _id: "$groupId", count: { $sum: 1 } } }])
+      .toArray(),
+    // A repeat attendee of an event in the range has joined at least one other of the organizer's events
+    joinedCollection
+      .aggregate([
+        { $match: { groupId: { $in: managedIds }, scope: { $ne: "series" } } },
+        {
+          $group: {
+            _id: "$userEmail",
+            events: { $addToSet: "$groupId" },
+            inRange: { $max: { $in: ["$groupId", eventIds] } },
+          },
+        },
+        { $match: { inRange: true } },
+        {
+          $group: {
+            _id: null,
+            total: { $sum: 1 },
+            repeat: { $sum: { $cond: [{ $gt: [{ $size: "$events" }, 1] }, 1, 0] } },
+          },
+        },
+      ])
+      .toArray(),
+    commentsCollection
+      .aggregate([
+        { $match: { articleId: { $in: articleIds } } },
+        {
+          $group: {
+            _id: "$articleId",
+            total: { $sum: 1 },
+            inRange: {
+              $sum: {
+                $cond: [
+                  { $and: [{ $gte: [{ $toDate: "$createdAt" }, from] }, { $lt: [{ $toDate: "$createdAt" }, to] }] },
+                  1,
+                  0,
+                ],
+              },
+            },
+          },
+        },
+      ])
+      .toArray(),
+  ]);
+
+  const seats = new Map(seatRows.map((row) => [row._id, row]));
+  const waitlists = new Map(waitlistRows.map((row) => [row._id, row.count]));
+  const now = new Date();
+  const eventRows = events
+    .map((group) => {
+      const id = group._id.toString();
+      const capacity = parseCapacity(group.maxMembers);
+      const { taken = 0, checkedIn = 0 } = seats.get(id) || {};
+      const ended = group.archived || new Date(group.endsAt || group.startsAt) < now;
+      return {
+        groupId: id,
+        groupName: group.groupName,
+        startsAt: group.startsAt,
+        capacity,
+        taken,
+        fillRate: capacity ? Math.round((taken / capacity) * 1000) / 1000 : null,
+        waitlisted: waitlists.get(id) || 0,
+        checkedIn,
+        // Only known for finished events that used check-in at all
+        noShows: ended && checkedIn > 0 ? taken - checkedIn : null,
+      };
+    })
+    .sort((a, b) => new Date(a.startsAt) - new Date(b.startsAt));
+
+  const sum = (rows, field) => rows.reduce((total, row) => total + (row[field] || 0), 0);
+  const withCapacity = eventRows.filter((row) => row.capacity);
+  const withNoShows = eventRows.filter((row) => row.noShows !== null);
+  const commentCounts = new Map(commentRows.map((row) => [row._id, row]));
+  const { series, totals } = buildSeries(listBuckets(range), { joins, comments });
+
+  return {
+    range,
+    summary: {
+      events: eventRows.length,
+      capacity: sum(withCapacity, "capacity"),
+      taken: sum(eventRows, "taken"),
+      fillRate: withCapacity.length
+        ? Math.round((sum(withCapacity, "taken") / sum(withCapacity, "capacity")) * 1000) / 1000
+        : null,
+      waitlisted: sum(eventRows, "waitlisted"),
+      checkedIn: sum(eventRows, "checkedIn"),
+      noShows: withNoShows.length ? sum(withNoShows, "noShows") : null,
+      attendees: attendees?.total || 0,
+      repeatAttendees: attendees?.repeat || 0,
+      repeatAttendeeRate: attendees?.total ? Math.round((attendees.repeat / attendees.total) * 1000) / 1000 : null,
+      joins: totals.joins,
+      articles: articles.length,
+      comments: totals.comments,
+    },
+    series,
+    events: eventRows,
+    articles: articles.map((article) => ({
+      articleId: article._id.toString(),
+      title: article.title,
+      slug: article.slug || null,
+      status: article.status || "published",
+      commentsInRange: commentCounts.get(article._id.toString())?.inRange || 0,
+      totalComments: commentCounts.get(article._id.toString())?.total || 0,
+    })),
+  };
+};
+
+// CSV tables of GET /my-insights?format=csv
+const INSIGHTS_CSV_COLUMNS = {
+  events: [
+    { header: "Event", value: (row) => row.groupName },
+    { header: "Starts at", value: (row) => row.startsAt },
+    { header: "Capacity", value: (row) => row.capacity },
+    { header: "Attendees", value: (row) => row.taken },
+    { header: "Fill rate", value: (row) => row.fillRate },
+    { header: "Waitlisted", value: (row) => row.waitlisted },
+    { header: "Checked in", value: (row) => row.checkedIn },
+    { header: "No-shows", value: (row) => row.noShows },
+  ],
+  series: [
+    { header: "Period", value: (row) => row.period },
+    { header: "Joins", value: (row) => row.joins },
+    { header: "Comments", value: (row) => row.comments },
+  ],
+  articles: [
+    { header: "Article", value: (row) => row.title },
+    { header: "Status", value: (row) => row.status },
+    { header: "Comments in range", value: (row) => row.commentsInRange },
+    { header: "Total comments", value: (row) => row.totalComments },
+  ],
+};
+
+// ** Rate Limiting **
+// Per-route limits on write endpoints: perUser requests per signed-in account and perIp
+// requests per client IP in each window. Override any of them with RATE_LIMITS, e.g.
+// RATE_LIMITS='{"joinGroup":{"perUser":5},"saveUser":{"perIp":0}}' (0 turns a counter off).
+// Run with RATE_LIMIT_STORE=mongo when more than one server instance serves traffic.
+const defaultRateLimits = {
+  createGroup: { windowMs: 60 * 60 * 1000, perUser: 10, perIp: 30 },
+  joinGroup: { windowMs: 60 * 1000, perUser: 10, perIp: 30 },
+  createComment: { windowMs: 60 * 1000, perUser: 5, perIp: 20 },
+  upload: { windowMs: 60 * 60 * 1000, perUser: 30, perIp: 60 },
+  saveUser: { windowMs: 60 * 1000, perIp: 20 },
+  register: { windowMs: 60 * 60 * 1000, perIp: 10 },
+  login: { windowMs: 15 * 60 * 1000, perIp: 20 },
+  passwordReset: { windowMs: 60 * 60 * 1000, perIp: 5 },
+  // Reset tokens are guessed here, so this one is tighter than the request limit
+  passwordResetConfirm: { windowMs: 15 * 60 * 1000, perIp: 10 },
+  refresh: { windowMs: 15 * 60 * 1000, perIp: 60 },
+};
+
+const parseRateLimitOverrides = () => {
+  if (!process.env.RATE_LIMITS) return {};
+  try {
+    const overrides = JSON.parse(process.env.RATE_LIMITS);
+    for (const name of Object.keys(overrides)) {
+      if (!defaultRateLimits[name]) console.warn(`⚠️ RATE_LIMITS: unknown route "${name}" ignored`);
+    }
+    return overrides;
+  } catch (error) {
+    console.warn("⚠️ RATE_LIMITS is not valid JSON - using the default limits");
+    return {};
+  }
+};
+
+const rateLimitOverrides = parseRateLimitOverrides();
+const rateLimitRules = Object.fromEntries(
+  Object.entries(defaultRateLimits).map(([name, rule]) => [name, { ...rule, ...rateLimitOverrides[name] }])
+);
+
+// Service accounts (e.g. integration tests, importers) listed here are never throttled
+const rateLimitAllowlist = (process.env.RATE_LIMIT_ALLOWLIST || "")
+  .split(",")
+  .map((email) => email.trim().toLowerCase())
+  .filter(Boolean);
+
+const isRateLimitExempt = (req) =>
+  Boolean(req.user && (isAdmin(req.user) || rateLimitAllowlist.includes(req.user.email?.toLowerCase())));
+
+const rateLimitStore = createRateLimitStore(process.env.RATE_LIMIT_STORE || "memory", {
+  getCollection: () => rateLimitsCollection,
+});
+console.log(`✅ Rate limit store: ${rateLimitStore.name}`);
+
+// Use after authenticateToken on protected routes so accounts and admins are recognized
+const rateLimit = (name) =>
+  createRateLimiter(rateLimitStore, { name, ...rateLimitRules[name], skip: isRateLimitExempt });
+
+// ** Request Schemas **
+// Declared input of every route, checked by validate() from lib/validation.js. Schemas guard
+// shape and types and strip unknown fields; rules that depend on stored data (schedules,
+// tier inventory, rrules, ownership) stay in the helpers and handlers.
+const requiredCheck = { exists: { errorMessage: "Required", bail: true } };
+const presence = (required) => (required ? requiredCheck : { optional: true });
+
+// Arrays would slip through the string validators below, which check every element
+const isScalar = {
+  custom: (value) => typeof value === "string" || typeof value === "number",
+  errorMessage: "Must be a single value",
+  bail: true,
+};
+
+const textField = (max, { required = false, trim = true } = {}) => ({
+  ...presence(required),
+  isString: { errorMessage: "Must be a string", bail: true },
+  ...(trim && { trim: true }),
+  ...(required && { notEmpty: { errorMessage: "Must not be empty" } }),
+  isLength: { options: { max }, errorMessage: `Must be at most ${max} characters` },
+});
+
+// Empty strings count as "not sent", so handlers fall back to their placeholder images
+const urlField = {
+  optional: { options: { values: "falsy" } },
+  isString: { errorMessage: "Must be a string", bail: true },
+  isURL: {
+    options: { protocols: ["http", "https"], require_protocol: true },
+    errorMessage: "Must be an http(s) URL",
+  },
+};
+
+const emailField = {
+  ...requiredCheck,
+  isString: { errorMessage: "Must be a string", bail: true },
+  trim: true,
+  custom: { options: isValidEmail, errorMessage: "Must be a valid email" },
+};
+
+const passwordField = ({ min = 1, max }) => ({
+  ...requiredCheck,
+  isString: { errorMessage: "Must be a string", bail: true },
+  isLength: {
+    options: { min, max },
+    errorMessage: min > 1 ? `Must be ${min} to ${max} characters` : `Must be at most ${max} characters`,
+  },
+});
+
+// Event times may be local wall times read in the group's timezone, so only the type is checked
+const dateTimeField = ({ nullable = false } = {}) => ({
+  optional: true,
+  custom: {
+    options: (value) => (nullable && value === null) || (typeof value === "string" && value.trim() !== ""),
+    errorMessage: nullable ? "Must be a date-time string or null" : "Must be a date-time string",
+  },
+});
+
+const isoDateField = {
+  optional: true,
+  isString: { errorMessage: "Must be a string", bail: true },
+  isISO8601: { errorMessage: "Must be an ISO 8601 date" },
+};
+
+const integerField = (min, max, { required = false } = {}) => ({
+  ...presence(required),
+  isScalar,
+  isInt: {
+    options: { min, max },
+    errorMessage: max === undefined ? `Must be an integer >= ${min}` : `Must be an integer from ${min} to ${max}`,
+  },
+  toInt: true,
+});
+
+const floatField = (min, max, { required = false } = {}) => ({
+  ...presence(required),
+  isScalar,
+  isFloat: { options: { min, max }, errorMessage: `Must be a number from ${min} to ${max}` },
+  toFloat: true,
+});
+
+const oneOfField = (values, { required = false } = {}) => ({
+  ...presence(required),
+  isString: { errorMessage: "Must be a string", bail: true },
+  isIn: { options: [values], errorMessage: `Must be one of: ${values.join(", ")}` },
+});
+
+const objectIdField = ({ required = true } = {}) => ({
+  ...presence(required),
+  isString: { errorMessage: "Must be a string", bail: true },
+  isMongoId: { errorMessage: "Must be a valid ID" },
+});
+
+const flagField = oneOfField(["true", "false"]);
+
+// JSON booleans in request bodies (query strings use flagField)
+const booleanField = {
+  optional: true,
+  custom: { options: (value) => typeof value === "boolean", errorMessage: "Must be true or false" },
+};
+
+// Token from an invite link (see POST /groups/:id/invites)
+const inviteTokenField = {
+  optional: true,
+  isString: { errorMessage: "Must be a string", bail: true },
+  matches: { options: [/^[\w-]{16,128}$/], errorMessage: "Must be an invite token" },
+};
+
+const inQuery = (fields) =>
+  Object.fromEntries(Object.entries(fields).map(([name, field]) => [name, { in: ["query"], ...field }]));
+
+const idParams = (...names) =>
+  Object.fromEntries(names.map((name) => [name, { in: ["params"], ...objectIdField() }]));
+
+const pagingQuery = inQuery({ limit: integerField(1, 200), skip: integerField(0) });
+const seriesScopeQuery = inQuery({ scope: oneOfField(["this", "following", "all"]) });
+
+// Nothing is required on create either: createGroup has always accepted partial groups
+// (only the schedule is checked, by normalizeSchedule) and existing clients rely on that.
+const groupFields = {
+  groupName: textField(200),
+  description: textField(5000),
+  location: textField(300),
+  maxMembers: integerField(0),
+  image: urlField,
+  category: textField(100),
+  startsAt: dateTimeField(),
+  endsAt: dateTimeField({ nullable: true }),
+  timezone: textField(100),
+  // Legacy schedule strings still sent by older clients
+  formattedDate: textField(50),
+  formatHour: textField(50),
+  day: textField(50),
+  ticketTiers: {
+    optional: true,
+    isArray: { options: { max: 20 }, errorMessage: "Must be an array of at most 20 tiers" },
+  },
+  "ticketTiers.*": { isObject: { errorMessage: "Must be an object" } },
+  "ticketTiers.*.id": textField(50),
+  "ticketTiers.*.name": textField(100),
+  "ticketTiers.*.price": {
+    optional: true,
+    isScalar,
+    isFloat: { options: { min: 0 }, errorMessage: "Must be a non-negative number" },
+    toFloat: true,
+  },
+  "ticketTiers.*.currency": textField(3),
+  "ticketTiers.*.quantity": integerField(1),
+  recurrence: { optional: true, isObject: { errorMessage: "Must be an object with an rrule" } },
+  "recurrence.rrule": textField(500),
+  "recurrence.exdates": {
+    optional: true,
+    isArray: { options: { max: 1000 }, errorMessage: "Must be an array of at most 1000 dates" },
+  },
+  "recurrence.exdates.*": dateTimeField(),
+  visibility: oneOfField(GROUP_VISIBILITIES),
+  requiresApproval: booleanField,
+  // Explicit pin for map search; null removes it. Without it `location` is geocoded.
+  coordinates: {
+    optional: true,
+    custom: {
+      options: (value) => value === null || (typeof value === "object" && !Array.isArray(value)),
+      errorMessage: "Must be an object with lat and lng, or null",
+    },
+  },
+  "coordinates.lat": floatField(-90, 90),
+  "coordinates.lng": floatField(-180, 180),
+  creatorName: textField(100),
+  creatorImage: urlField,
+};
+
+const articleFields = ({ create }) => ({
+  title: textField(300, { required: create }),
+  shortDescription: textField(1000),
+  content: textField(200000),
+  coverImage: urlField,
+  category: textField(100),
+  publishDate: isoDateField,
+  status: oneOfField(ARTICLE_STATUSES),
+  slug: {
+    optional: true,
+    custom: { options: isSlug, errorMessage: "Must be lowercase letters, digits and single hyphens" },
+  },
+  ...(create && { authorName: textField(100), authorImage: urlField }),
+});
+
+const schemas = {
+  // Routes that take no input - anything sent is stripped before the handler runs
+  noInput: {},
+  createGroup: groupFields,
+  listGroups: inQuery({
+    q: textField(200),
+    userEmail: textField(320),
+    managedBy: textField(320),
+    category: textField(100),
+    from: isoDateField,
+    to: isoDateField,
+    hasSeats: flagField,
+    includeArchived: flagField,
+    includeSeries: flagField,
+    seriesId: objectIdField({ required: false }),
+    lat: floatField(-90, 90),
+    lng: floatField(-180, 180),
+    radius: floatField(0.1, MAX_NEARBY_RADIUS_KM),
+    bbox: textField(200),
+    sort: oneOfField(Object.keys(groupSortOptions)),
+    limit: integerField(1, 100),
+    cursor: textField(500),
+  }),
+  getGroup: {
+    ...idParams("id"),
+    ...inQuery({ format: oneOfField(["ics", "json"]), invite: inviteTokenField }),
+  },
+  groupStream: { ...idParams("id"), ...inQuery({ invite: inviteTokenField }) },
+  byId: idParams("id"),
+  inviteManager: { ...idParams("id"), email: emailField },
+  managerInvite: idParams("id", "inviteId"),
+  listAttendees: {
+    ...idParams("id"),
+    ...inQuery({
+      q: textField(200),
+      status: oneOfField(["registered", "checked_in"]),
+      format: oneOfField(["json", "csv"]),
+    }),
+    ...pagingQuery,
+  },
+  removeAttendee: { ...idParams("id", "joinId"), reason: textField(500) },
+  createGroupInvite: {
+    ...idParams("id"),
+    email: { ...emailField, optional: true },
+    expiresInDays: integerField(1, MAX_GROUP_INVITE_TTL_DAYS),
+    maxUses: integerField(1, 10000),
+  },
+  groupInvite: idParams("id", "inviteId"),
+  listJoinRequests: {
+    ...idParams("id"),
+    ...inQuery({ status: oneOfField(["pending", "approved", "rejected"]) }),
+    ...pagingQuery,
+  },
+  decideJoinRequest: { ...idParams("id", "requestId"), reason: textField(500) },
+  removeManager: { ...idParams("id"), email: { in: ["params"], ...emailField } },
+  transferOwnership: { ...idParams("id"), email: emailField, keepAsCohost: booleanField },
+  listOccurrences: {
+    ...idParams("id"),
+    ...inQuery({
+      from: isoDateField,
+      to: isoDateField,
+      limit: integerField(1, 500),
+      invite: inviteTokenField,
+    }),
+  },
+  updateGroup: { ...idParams("id"), ...seriesScopeQuery, ...groupFields },
+  deleteGroup: { ...idParams("id"), ...seriesScopeQuery },
+  leaveGroup: { groupId: objectIdField() },
+  joinGroup: {
+    groupId: objectIdField(),
+    occurrence: dateTimeField(),
+    inviteToken: inviteTokenField,
+    message: textField(500),
+  },
+  checkIn: { ...idParams("id"), code: textField(500, { required: true }) },
+  createOrder: {
+    ...idParams("id"),
+    tierId: textField(50, { required: true }),
+    paymentMethod: textField(50),
+    inviteToken: inviteTokenField,
+  },
+  simulatePayment: {
+    orderId: objectIdField(),
+    type: oneOfField(["payment.succeeded", "payment.failed", "refund.succeeded"], { required: true }),
+  },
+  uploadKey: {
+    key: {
+      in: ["params"],
+      matches: { options: [UPLOAD_KEY_PATTERN], errorMessage: "Must be an upload key" },
+    },
+  },
+  listUploads: pagingQuery,
+  defaultImage: { name: { in: ["params"], ...oneOfField(Object.keys(DEFAULT_IMAGES)) } },
+  calendarFeed: {
+    token: {
+      in: ["params"],
+      matches: { options: [/^[\w-]{16,128}$/], errorMessage: "Must be a calendar feed token" },
+    },
+  },
+  dashboardStats: inQuery({
+    from: isoDateField,
+    to: isoDateField,
+    interval: oneOfField(INTERVALS),
+    timezone: textField(100),
+  }),
+  myInsights: inQuery({
+    from: isoDateField,
+    to: isoDateField,
+    interval: oneOfField(INTERVALS),
+    timezone: textField(100),
+    format: oneOfField(["json", "csv"]),
+    table: oneOfField(Object.keys(INSIGHTS_CSV_COLUMNS)),
+  }),
+  groupsByIds: {
+    ids: {
+      ...requiredCheck,
+      isArray: { options: { min: 1, max: 200 }, errorMessage: "Must be an array of 1 to 200 IDs" },
+    },
+    "ids.*": objectIdField(),
+  },
+  register: {
+    email: emailField,
+    password: passwordField({ min: MIN_PASSWORD_LENGTH, max: 72 }),
+    name: textField(100),
+    photo: urlField,
+  },
+  login: { email: emailField, password: passwordField({ max: 1024 }) },
+  refreshToken: { refreshToken: textField(500, { required: true, trim: false }) },
+  verifyEmail: { token: textField(500, { required: true, trim: false }) },
+  passwordResetRequest: { email: emailField },
+  passwordResetConfirm: {
+    token: textField(500, { required: true, trim: false }),
+    password: passwordField({ min: MIN_PASSWORD_LENGTH, max: 72 }),
+  },
+  saveUser: { name: textField(100), photo: urlField },
+  createArticle: articleFields({ create: true }),
+  updateArticle: { ...idParams("id"), ...articleFields({ create: false }) },
+  articleRef: {
+    id: {
+      in: ["params"],
+      custom: {
+        options: (value) => /^[a-f0-9]{24}$/i.test(value) || isSlug(value),
+        errorMessage: "Must be an article ID or slug",
+      },
+    },
+  },
+  myArticles: inQuery({ status: oneOfField(["draft", "scheduled", "published", "archived"]) }),
+  articleRevision: {
+    ...idParams("id"),
+    revision: { in: ["params"], ...integerField(1, undefined, { required: true }) },
+  },
+  articleRevisionDiff: {
+    ...idParams("id"),
+    revision: { in: ["params"], ...integerField(1, undefined, { required: true }) },
+    ...inQuery({ against: integerField(1) }),
+  },
+  createComment: {
+    ...idParams("id"),
+    text: textField(5000),
+    // Older clients send the text as "comment"
+    comment: textField(5000),
+    authorName: textField(100),
+    authorImage: urlField,
+    timestamp: dateTimeField(),
+    parentId: objectIdField({ required: false }),
+  },
+  listComments: { ...idParams("id"), ...inQuery({ limit: integerField(1, 100), cursor: textField(500) }) },
+  updateComment: { ...idParams("id", "commentId"), text: textField(5000, { required: true }) },
+  byCommentId: idParams("id", "commentId"),
+  commentReaction: {
+    ...idParams("id", "commentId"),
+    reaction: { in: ["params"], ...oneOfField(COMMENT_REACTIONS, { required: true }) },
+  },
+  moderationList: {
+    ...inQuery({ hidden: flagField, q: textField(200), articleId: objectIdField({ required: false }) }),
+    ...pagingQuery,
+  },
+  moderationAction: { ...idParams("id"), reason: textField(500) },
+  listUsers: {
+    ...inQuery({ role: oneOfField(ROLES), suspended: flagField, q: textField(200) }),
+    ...pagingQuery,
+  },
+  changeRole: { ...idParams("id"), role: oneOfField(ROLES, { required: true }) },
+  suspendUser: { ...idParams("id"), reason: textField(500), until: isoDateField },
+  jobByName: { name: { in: ["params"], ...textField(100, { required: true }) } },
+  jobRuns: {
+    name: { in: ["params"], ...textField(100, { required: true }) },
+    ...inQuery({ limit: integerField(1, 100) }),
+  },
+  notificationPreferences: Object.fromEntries(
+    NOTIFICATION_TYPES.map((type) => [
+      type,
+      {
+        optional: true,
+        custom: { options: (value) => typeof value === "boolean", errorMessage: "Must be true or false" },
+      },
+    ])
+  ),
+  unsubscribe: inQuery({ token: textField(1000, { required: true, trim: false }) }),
+  listNotifications: {
+    ...inQuery({
+      status: oneOfField(["pending", "sending", "sent", "failed"]),
+      type: textField(100),
+      to: textField(320),
+    }),
+    ...pagingQuery,
+  },
+  listAuditLog: {
+    ...inQuery({
+      actor: textField(320),
+      resource: oneOfField(AUDIT_RESOURCES),
+      resourceId: textField(100),
+      action: textField(50),
+      requestId: textField(128),
+      from: isoDateField,
+      to: isoDateField,
+    }),
+    ...pagingQuery,
+  },
+};
+
+// Initialize routes - routes are always registered
+function initializeRoutes() {
+  // Successful writes drop the cached analytics of GET /dashboard-stats
+  app.use((req, res, next) => {
+    if (!["GET", "HEAD", "OPTIONS"].includes(req.method)) {
+      res.on("finish", () => {
+        if (res.statusCode < 400) analyticsCache.clear();
+      });
+    }
+    next();
+  });
+
+  // Create group - Protected: Requires authentication
+  app.post("/createGroup", authenticateToken, rateLimit("createGroup"), validate(schemas.createGroup), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+        
+        const groupData = req.body;
+        
+        // Set creator info from authenticated user
+        groupData.userEmail = req.user.email;
+        groupData.userId = req.user.uid;
+        if (!groupData.creatorName) groupData.creatorName = req.user.name || "Unknown User";
+        if (!groupData.creatorImage) groupData.creatorImage = defaultImageUrl(req, "avatar");
+        groupData.createdAt = new Date().toISOString();
+        delete groupData.memberCount;
+        groupData.visibility = groupData.visibility || "public";
+        groupData.requiresApproval = groupData.requiresApproval === true;
+
+        if (groupData.ticketTiers !== undefined) {
+          const { tiers, error } = normalizeTicketTiers(groupData.ticketTiers);
+          if (error) {
+            return res.status(400).json({ success: false, error });
+          }
+          groupData.ticketTiers = tiers;
+        }
+
+        // startsAt/endsAt/timezone are the source of truth, legacy date strings are derived
+        const schedule = normalizeSchedule(groupData);
+        if (schedule.error) {
+          return res.status(400).json({ success: false, error: schedule.error });
+        }
+        Object.assign(groupData, schedule.fields);
+
+        const geo = await resolveGroupGeo(groupData);
+        if (geo.error) {
+          return res.status(400).json({ success: false, error: geo.error });
+        }
+        delete groupData.coordinates;
+        Object.assign(groupData, geo.fields);
+
+        // Series bookkeeping is server-owned
+        for (const field of [...OCCURRENCE_ONLY_FIELDS, "isSeries"]) delete groupData[field];
+        if (groupData.recurrence !== undefined) {
+          const { recurrence, error } = normalizeRecurrence(groupData.recurrence, groupData.timezone);
+          if (error) {
+            return res.status(400).json({ success: false, error });
+          }
+          groupData.isSeries = true;
+          groupData.recurrence = recurrence;
+        }
+
+        const result = await groupCollection.insertOne(groupData);
+
+        let occurrenceCount;
+        if (groupData.isSeries) {
+          occurrenceCount = await materializeOccurrences(groupData);
+        }
+        await recordAudit(req, {
+          action: "create",
+          resource: "group",
+          resourceId: result.insertedId,
+          after: groupData,
+          ...(groupData.isSeries && { details: { occurrenceCount } }),
+        });
+
+        res.status(201).json({
+          success: true,
+          message: groupData.isSeries ? "Series created successfully" : "Group created successfully",
+          data: result,
+          ...(groupData.isSeries && { occurrenceCount }),
+        });
+      } catch (error) {
+        console.error("Error inserting group:", error);
+        res
+          .status(500)
+          .json({ success: false, error: "Failed to create group" });
+      }
+    });
+
+  // Get all groups or by userEmail (for MyGroups)
+  app.get("/groups", optionalAuth, validate(schemas.listGroups), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+        
+        const { limit, cursor } = req.query;
+
+        // Legacy clients (no limit/cursor) still get the full array
+        if (limit === undefined && cursor === undefined) {
+          const { pipeline, error } = buildGroupsQuery(req.query, req.user);
+          if (error) {
+            return res.status(400).json({ success: false, error });
+          }
+          const groups = await groupCollection
+            .aggregate([...pipeline, { $project: { _sortKey: 0 } }])
+            .toArray();
+          return res.status(200).json(await attachSeatInfo(groups));
+        }
+
+        const { pipeline, limit: pageSize, error } = buildGroupsQuery(req.query, req.user);
+        if (error) {
+          return res.status(400).json({ success: false, error });
+        }
+
+        // Fetch one extra row to know whether another page exists
+        const rows = await groupCollection
+          .aggregate([...pipeline, { $limit: pageSize + 1 }])
+          .toArray();
+        const hasMore = rows.length > pageSize;
+        const page = rows.slice(0, pageSize);
+        const last = page[page.length - 1];
+        const nextCursor =
+          hasMore && last ? encodeCursor({ value: last._sortKey, id: last._id.toString() }) : null;
+
+        const groups = page.map(({ _sortKey, ...group }) => group);
+        res.status(200).json({
+          success: true,
+          data: await attachSeatInfo(groups),
+          nextCursor,
+        });
+      } catch (error) {
+        console.error("Error fetching groups:", error);
+        res
+          .status(500)
+          .json({ success: false, error: "Failed to fetch groups", details: error.message });
+      }
+    });
+
+  // Get group by ID (includes live seat counts); private groups need access or ?invite=<token>
+  app.get("/groups/:id", optionalAuth, validate(schemas.getGroup), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+
+        const { id } = req.params;
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).json({ success: false, message: "Invalid group ID format" });
+        }
+
+        const group = await groupCollection.findOne(
+          { _id: new ObjectId(id), hidden: { $ne: true } },
+          { projection: publicGroupProjection }
+        );
+        // Private groups look exactly like missing ones to outsiders
+        if (!group || !(await canViewGroup(group, req.user, req.query.invite))) {
+          return res.status(404).json({ success: false, message: "Group not found" });
+        }
+
+        // iCalendar download: ?format=ics or Accept: text/calendar
+        if (req.query.format === "ics" || req.accepts(["json", "text/calendar"]) === "text/calendar") {
+          if (!group.startsAt) {
+            return res.status(409).json({ success: false, message: "Group has no schedule" });
+          }
+          const filename = `${String(group.groupName || "event").replace(/[^\w-]+/g, "-")}.ics`;
+          res.set("Content-Type", "text/calendar; charset=utf-8");
+          res.set("Content-Disposition", `attachment; filename="${filename}"`);
+          return res
+            .status(200)
+            .send(buildCalendar([groupToCalendarEvent(group)], { method: "PUBLISH" }));
+        }
+
+        const [groupWithSeats] = await attachSeatInfo([group]);
+        res.status(200).json(groupWithSeats);
+      } catch (error) {
+        console.error("Error fetching group:", error);
+        res.status(500).json({ success: false, message: "Failed to fetch group" });
+      }
+    });
+
+  // Live seat counts and edits for a group (Server-Sent Events) - Public
+  app.get("/groups/:id/events", optionalAuth, validate(schemas.groupStream), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+
+        const { id } = req.params;
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).json({ success: false, message: "Invalid group ID format" });
+        }
+        const group = await groupCollection.findOne({ _id: new ObjectId(id) }, { projection: publicGroupProjection });
+        if (group && !(await canViewGroup(group, req.user, req.query.invite))) {
+          return res.status(404).json({ success: false, message: "Group not found" });
+        }
+
+        // The current counts go first so clients do not need a separate fetch
+        const snapshot = await getSeatSnapshot(id);
+        if (!snapshot) {
+          return res.status(404).json({ success: false, message: "Group not found" });
+        }
+
+        streamChannel(req, res, `group:${id}`, [{ type: "seats", data: snapshot }]);
+      } catch (error) {
+        console.error("Error opening group event stream:", error);
+        res.status(500).json({ success: false, message: "Failed to open event stream" });
+      }
+    });
+
+  // List occurrences of a series - expanded on demand, merged with generated ones
+  app.get("/groups/:id/occurrences", optionalAuth, validate(schemas.listOccurrences), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+
+        const { id } = req.params;
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).json({ success: false, message: "Invalid group ID format" });
+        }
+
+        const series = await groupCollection.findOne({
+          _id: new ObjectId(id),
+          isSeries: true,
+          hidden: { $ne: true },
+        });
+        if (!series || !(await canViewGroup(series, req.user, req.query.invite))) {
+          return res.status(404).json({ success: false, message: "Series not found" });
+        }
+
+        const from = req.query.from ? new Date(req.query.from) : new Date();
+        const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + SERIES_HORIZON_MS);
+        const limit = Math.min(Number(req.query.limit) || 100, 500);
+        if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || to < from) {
+          return res.status(400).json({ success: false, message: "from/to must be valid dates with from <= to" });
+        }
+
+        const starts = listSeriesOccurrences(series, from, to, limit);
+        const generated = await groupCollection
+          .find({ seriesId: id, recurrenceId: { $in: starts } })
+          .toArray();
+        const byStart = new Map(
+          (await attachSeatInfo(generated)).map((occurrence) => [
+            new Date(occurrence.recurrenceId).getTime(),
+            occurrence,
+          ])
+        );
+
+        const duration = seriesDuration(series);
+        const occurrences = starts.map(
+          (start) =>
+            byStart.get(start.getTime()) || {
+              seriesId: id,
+              recurrenceId: start,
+              startsAt: start,
+              endsAt: duration === null ? null : new Date(start.getTime() + duration),
+              timezone: series.timezone,
+              generated: false,
+            }
+        );
+
+        res.status(200).json({ success: true, data: occurrences });
+      } catch (error) {
+        console.error("Error fetching occurrences:", error);
+        res.status(500).json({ success: false, message: "Failed to fetch occurrences" });
+      }
+    });
+
+  // Update group - Protected: Owner or co-host
+  app.put("/groups/:id", authenticateToken, validate(schemas.updateGroup), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+        
+        const id = req.params.id;
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).json({ success: false, message: "Invalid group ID format" });
+        }
+        
+        const updatedData = req.body;
+
+        // First, check if group exists and user organizes it
+        const group = await groupCollection.findOne({ _id: new ObjectId(id) });
+        
+        if (!group) {
+          return res
+            .status(404)
+            .json({ success: false, message: "Group not found" });
+        }
+
+        // Check authorization
+        if (!canManageGroup(group, req.user)) {
+          return res.status(403).json({
+            success: false,
+            message: "Forbidden: You can only update groups you organize",
+          });
+        }
+
+        // Prevent changing creator info
+        delete updatedData.userEmail;
+        delete updatedData.userId;
+        delete updatedData.creatorEmail;
+        delete updatedData.creatorId;
+        // Seat counter is maintained by join/leave only
+        delete updatedData.memberCount;
+        for (const field of [...OCCURRENCE_ONLY_FIELDS, "isSeries"]) delete updatedData[field];
+        updatedData.updatedAt = new Date().toISOString();
+
+        // Series edits follow calendar semantics: this occurrence only, this and following, or all
+        const scope = req.query.scope || (group.seriesId ? "this" : "all");
+        if (!["this", "following", "all"].includes(scope)) {
+          return res.status(400).json({ success: false, message: "scope must be this, following or all" });
+        }
+
+        const geo = await resolveGroupGeo(updatedData, group);
+        if (geo.error) {
+          return res.status(400).json({ success: false, message: geo.error });
+        }
+        delete updatedData.coordinates;
+        Object.assign(updatedData, geo.fields);
+
+        if (group.isSeries || (group.seriesId && scope !== "this")) {
+          if (group.isSeries && scope !== "all") {
+            return res.status(400).json({
+              success: false,
+              message: "Edit an occurrence to change only part of a series",
+            });
+          }
+
+          const series = group.isSeries
+            ? group
+            : await groupCollection.findOne({ _id: new ObjectId(group.seriesId) });
+          if (!series) {
+            return res.status(404).json({ success: false, message: "Series not found" });
+          }
+
+          const splitAt = scope === "following" ? group.recurrenceId : null;
+          let changes = updatedData;
+          if (!group.isSeries) {
+            const shifted = shiftOccurrenceSchedule(updatedData, group, splitAt || series.startsAt);
+            if (shifted.error) {
+              return res.status(400).json({ success: false, message: shifted.error });
+            }
+            changes = shifted.changes;
+          }
+
+          const result = await updateSeries(series, changes, splitAt);
+          if (result.error) {
+            return res.status(400).json({ success: false, message: result.error });
+          }
+          await recordAudit(req, {
+            action: "update",
+            resource: "group",
+            resourceId: result.series._id,
+            before: series,
+            after: result.series,
+            details: { scope, ...(!group.isSeries && { occurrenceId: id }) },
+          });
+          // Series subscribers get one message instead of one per occurrence
+          await notifyGroupUpdated(result.series, getChangedFields(series, result.series));
+          await publishRealtime(`group:${result.series._id}`, "group_updated", {
+            groupId: result.series._id.toString(),
+            group: result.series,
+          });
+
+          return res.status(200).json({
+            success: true,
+            message: "Series updated successfully",
+            scope,
+            seriesId: result.series._id,
+            schedule: result.schedule,
+          });
+        }
+
+        if (updatedData.recurrence !== undefined) {
+          return res.status(400).json({
+            success: false,
+            message: group.seriesId
+              ? "recurrence can only be changed with scope=following or scope=all"
+              : "An existing group cannot be turned into a series",
+          });
+        }
+        // An occurrence edited on its own no longer follows series-wide edits
+        if (group.seriesId) updatedData.detached = true;
+
+        if (updatedData.ticketTiers !== undefined) {
+          const { tiers, error } = normalizeTicketTiers(updatedData.ticketTiers, group.ticketTiers || []);
+          if (error) {
+            return res.status(400).json({ success: false, message: error });
+          }
+          updatedData.ticketTiers = tiers;
+        }
+
+        const schedule = normalizeSchedule(updatedData, group);
+        if (schedule.error) {
+          return res.status(400).json({ success: false, message: schedule.error });
+        }
+        Object.assign(updatedData, schedule.fields);
+
+        const result = await groupCollection.updateOne(
+          { _id: new ObjectId(id) },
+          { $set: updatedData }
+        );
+
+        // Raising maxMembers frees seats for people on the waitlist
+        let promoted = [];
+        if (updatedData.maxMembers !== undefined) {
+          await ensureMemberCount(group);
+          promoted = await promoteFromWaitlist(id);
+        }
+
+        const updatedGroup = { ...group, ...updatedData };
+        await recordAudit(req, { action: "update", resource: "group", resourceId: id, before: group, after: updatedGroup });
+        await notifyGroupUpdated(updatedGroup, getChangedFields(group, updatedGroup));
+        await publishRealtime(`group:${id}`, "group_updated", { groupId: id, group: updatedGroup });
+        if (updatedData.maxMembers !== undefined) await publishSeatUpdate(id);
+
+        res.status(200).json({
+          success: true,
+          message: "Group updated successfully",
+          promotedCount: promoted.length,
+        });
+      } catch (error) {
+        console.error("Error updating group:", error);
+        res
+          .status(500)
+          .json({ success: false, message: "Failed to update group" });
+      }
+    });
+
+  // Delete group - Protected: Owner or co-host
+  app.delete("/groups/:id", authenticateToken, validate(schemas.deleteGroup), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+        
+        const id = req.params.id;
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).json({ success: false, message: "Invalid group ID format" });
+        }
+        
+        // First, check if group exists and user organizes it
+        const group = await groupCollection.findOne({ _id: new ObjectId(id) });
+        
+        if (!group) {
+          return res.status(404).json({ success: false, message: "Group not found" });
+        }
+
+        // Check authorization
+        if (!canManageGroup(group, req.user)) {
+          return res.status(403).json({
+            success: false,
+            message: "Forbidden: You can only delete groups you organize",
+          });
+        }
+
+        const scope = req.query.scope || (group.seriesId ? "this" : "all");
+        if (!["this", "following", "all"].includes(scope)) {
+          return res.status(400).json({ success: false, message: "scope must be this, following or all" });
+        }
+
+        if (group.isSeries || group.seriesId) {
+          const series = group.isSeries
+            ? group
+            : await groupCollection.findOne({ _id: new ObjectId(group.seriesId) });
+
+          const wholeSeries =
+            group.isSeries ||
+            scope === "all" ||
+            (scope === "following" && series && new Date(group.recurrenceId) <= new Date(series.startsAt));
+          if (series && wholeSeries) {
+            const deletedCount = await deleteSeries(series);
+            await recordAudit(req, {
+              action: "delete",
+              resource: "group",
+              resourceId: series._id,
+              before: series,
+              details: { scope, deletedCount },
+            });
+            return res
+              .status(200)
+              .json({ success: true, message: "Series deleted successfully", deletedCount });
+          }
+
+          if (series && scope === "following") {
+            // End the series just before this occurrence and drop everything from here on
+            const { before } = splitRRule(
+              { rrule: series.recurrence.rrule, startsAt: series.startsAt, timezone: series.timezone },
+              new Date(group.recurrenceId)
+            );
+            await groupCollection.updateOne(
+              { _id: series._id },
+              { $set: { "recurrence.rrule": before, updatedAt: new Date().toISOString() } }
+            );
+            const following = await groupCollection
+              .find(
+                { seriesId: series._id.toString(), recurrenceId: { $gte: new Date(group.recurrenceId) } },
+                { projection: { _id: 1 } }
+              )
+              .toArray();
+            const deletedCount = await deleteGroupsCascade(following.map((o) => o._id.toString()));
+            await recordAudit(req, {
+              action: "delete",
+              resource: "group",
+              resourceId: id,
+              before: group,
+              details: { scope, seriesId: series._id.toString(), deletedCount },
+            });
+            return res
+              .status(200)
+              .json({ success: true, message: "Occurrences deleted successfully", deletedCount });
+          }
+
+          // This occurrence only - remember it as an EXDATE so it is never generated again
+          if (series) {
+            await groupCollection.updateOne(
+              { _id: series._id },
+              { $addToSet: { "recurrence.exdates": new Date(group.recurrenceId) } }
+            );
+          }
+        }
+
+        // Delete the group (with its joined records and waitlist entries)
+        const deletedCount = await deleteGroupsCascade([id]);
+
+        if (deletedCount === 1) {
+          await recordAudit(req, {
+            action: "delete",
+            resource: "group",
+            resourceId: id,
+            before: group,
+            ...(group.seriesId && { details: { scope, seriesId: group.seriesId } }),
+          });
+          res
+            .status(200)
+            .json({ success: true, message: "Group deleted successfully" });
+        } else {
+          res.status(404).json({ success: false, message: "Group not found" });
+        }
+      } catch (error) {
+        console.error("Error deleting group:", error);
+        res
+          .status(500)
+          .json({ success: false, message: "Failed to delete group" });
+      }
+    });
+
+  // Leave group - Protected: User can only leave their own join record
+  app.post("/leaveGroup", authenticateToken, validate(schemas.leaveGroup), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+        
+        const { groupId } = req.body;
+        if (!groupId) {
+          return res
+            .status(400)
+            .json({ success: false, message: "Group ID is required" });
+        }
+
+        // Use authenticated user's email
+        const userEmail = req.user.email;
+
+        // Leaving before approval withdraws the pending join request
+        const withdrawn = await joinRequestsCollection.findOneAndDelete({ groupId, userEmail, status: "pending" });
+        if (withdrawn) {
+          await recordAudit(req, {
+            action: "withdraw_request",
+            resource: "join_request",
+            resourceId: withdrawn._id,
+            before: withdrawn,
+            details: { groupId },
+          });
+          return res.status(200).json({ success: true, message: "Join request withdrawn" });
+        }
+
+        // Leaving a series drops the subscription and every upcoming occurrence
+        const series = ObjectId.isValid(groupId)
+          ? await groupCollection.findOne({ _id: new ObjectId(groupId), isSeries: true })
+          : null;
+        if (series) {
+          const left = await leaveSeriesAsUser(series, userEmail);
+          if (!left) {
+            return res
+              .status(404)
+              .json({ success: false, message: "Join record not found" });
+          }
+          await recordAudit(req, {
+            action: "leave",
+            resource: "membership",
+            resourceId: left.subscription._id,
+            before: left.subscription,
+            details: { groupId, occurrencesLeft: left.occurrencesLeft },
+          });
+          return res.status(200).json({
+            success: true,
+            message: "Left series successfully",
+            occurrencesLeft: left.occurrencesLeft,
+          });
+        }
+
+        // Only the authenticated user's own join record is ever removed
+        const result = await leaveGroupAsUser(groupId, userEmail);
+        if (result.record) {
+          await recordAudit(req, {
+            action: "leave",
+            resource: "membership",
+            resourceId: result.record._id,
+            before: result.record,
+            details: { groupId, waitlist: result.status === "left_waitlist" },
+          });
+        }
+
+        if (result.status === "left") {
+          res.status(200).json({
+            success: true,
+            message: "Left group successfully",
+            promotedCount: result.promoted.length,
+          });
+        } else if (result.status === "left_waitlist") {
+          res
+            .status(200)
+            .json({ success: true, message: "Left waitlist successfully" });
+        } else {
+          res
+            .status(404)
+            .json({ success: false, message: "Join record not found" });
+        }
+      } catch (error) {
+        console.error("Error leaving group:", error);
+        res
+          .status(500)
+          .json({ success: false, message: "Failed to leave group" });
+      }
+    });
+
+  // Join group - Protected: Requires authentication
+  app.post("/joinGroup", authenticateToken, rateLimit("joinGroup"), validate(schemas.joinGroup), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+        
+        const { groupId, occurrence, inviteToken, message } = req.body;
+        
+        if (!groupId) {
+          return res.status(400).json({ success: false, error: "Group ID is required" });
+        }
+
+        // Use authenticated user's email
+        const userEmail = req.user.email;
+        const userId = req.user.uid;
+
+        // Verify group exists
+        if (!ObjectId.isValid(groupId)) {
+          return res.status(400).json({ success: false, error: "Invalid group ID format" });
+        }
+        let group = await groupCollection.findOne({ _id: new ObjectId(groupId), hidden: { $ne: true } });
+        if (!group) {
+          return res.status(404).json({ success: false, error: "Group not found" });
+        }
+
+        // Private groups need an invite; approval-only groups turn other joins into requests
+        const restricted = isPrivateGroup(group) || group.requiresApproval;
+        const access = restricted ? await resolveGroupAccess(group, req.user, inviteToken) : { via: null };
+        if (restricted && !access.via) {
+          if (isPrivateGroup(group)) {
+            return inviteToken
+              ? res.status(403).json({ success: false, error: "This invite link is invalid, used up or expired" })
+              : res.status(404).json({ success: false, error: "Group not found" });
+          }
+
+          // A request for one date of a series is checked now, so approving it cannot fail on the date
+          let occurrenceStart = null;
+          if (group.isSeries && occurrence !== undefined) {
+            occurrenceStart = new Date(occurrence);
+            if (Number.isNaN(occurrenceStart.getTime()) || !(await materializeOccurrence(group, occurrenceStart))) {
+              return res.status(404).json({
+                success: false,
+                error: "This series has no occurrence at the given time",
+              });
+            }
+          }
+
+          const requested = await requestToJoin(
+            group,
+            req.user,
+            { occurrence: occurrenceStart, message: message || null },
+            access.request
+          );
+          if (requested.status === "already_pending") {
+            return res.status(409).json({ success: false, message: "Your request to join is awaiting approval" });
+          }
+          if (requested.status === "rejected") {
+            return res.status(403).json({ success: false, message: "Your request to join was declined" });
+          }
+          await recordAudit(req, {
+            action: "request_join",
+            resource: "join_request",
+            resourceId: requested.request._id,
+            after: requested.request,
+            details: { groupId },
+          });
+          return res.status(202).json({
+            success: true,
+            status: "pending",
+            message: "The organizer has to approve your request to join",
+            requestId: requested.request._id,
+          });
+        }
+        const inviteDetails = access.invite ? { inviteId: access.invite._id } : {};
+
+        if (group.isSeries) {
+          if (occurrence === undefined) {
+            if (isPaidGroup(group)) {
+              return res.status(402).json({
+                success: false,
+                error: "Paid series are booked per occurrence - buy a ticket for each date",
+              });
+            }
+            const joinedSeries = await joinSeriesAsUser(group, userEmail, userId);
+            if (!joinedSeries) {
+              return res
+                .status(409)
+                .json({ success: false, message: "Already joined" });
+            }
+            await recordAudit(req, {
+              action: "join",
+              resource: "membership",
+              resourceId: joinedSeries.subscription._id,
+              after: joinedSeries.subscription,
+              details: { groupId, occurrences: joinedSeries.occurrences, ...inviteDetails },
+            });
+            if (access.invite) await consumeInvite(access.invite);
+            await notifyJoinConfirmed(group, joinedSeries.subscription);
+            return res.status(201).json({
+              success: true,
+              status: "joined",
+              scope: "series",
+              data: { acknowledged: true, insertedId: joinedSeries.subscription._id },
+              occurrences: joinedSeries.occurrences,
+            });
+          }
+          // Joining a single occurrence - generate it if it is beyond the materialized window
+          const occurrenceStart = new Date(occurrence);
+          group = Number.isNaN(occurrenceStart.getTime())
+            ? null
+            : await materializeOccurrence(group, occurrenceStart);
+          if (!group) {
+            return res.status(404).json({
+              success: false,
+              error: "This series has no occurrence at the given time",
+            });
+          }
+        }
+
+        if (group.archived) {
+          return res.status(409).json({ success: false, error: "This event has already ended" });
+        }
+
+        // Paid events are joined by buying a ticket (POST /groups/:id/orders)
+        if (isPaidGroup(group)) {
+          return res.status(402).json({
+            success: false,
+            error: "This event requires a ticket purchase",
+            ticketTiers: group.ticketTiers,
+          });
+        }
+
+        const joined = await joinGroupAsUser(group, userEmail, userId);
+
+        if (joined.status === "sold_out") {
+          return res.status(409).json({ success: false, message: "All tickets for this event are taken" });
+        }
+        if (joined.status === "already_joined") {
+          return res
+            .status(409)
             .json({ success: false, message: "Already joined" });
         }
+        if (joined.status === "already_waitlisted") {
+          return res.status(409).json({
+            success: false,
+            message: "Already on the waitlist",
+            waitlistPosition: joined.waitlistPosition,
+          });
+        }
+        if (joined.status === "waitlisted") {
+          await recordAudit(req, {
+            action: "join",
+            resource: "membership",
+            resourceId: joined.waitlistEntry._id,
+            after: joined.waitlistEntry,
+            details: { groupId: group._id.toString(), waitlist: true, ...inviteDetails },
+          });
+          if (access.invite) await consumeInvite(access.invite);
+          return res.status(202).json({
+            success: true,
+            status: "waitlisted",
+            message: "Group is full - you have been added to the waitlist",
+            waitlistPosition: joined.waitlistPosition,
+          });
+        }
+
+        await recordAudit(req, {
+          action: "join",
+          resource: "membership",
+          resourceId: joined.joinRecord._id,
+          after: joined.joinRecord,
+          details: { groupId: group._id.toString(), ...inviteDetails },
+        });
+        if (access.invite) await consumeInvite(access.invite);
+        await notifyJoinConfirmed(group, joined.joinRecord);
+
+        res.status(201).json({
+          success: true,
+          status: "joined",
+          data: { acknowledged: true, insertedId: joined.joinRecord._id },
+          ...(group.seriesId && { groupId: group._id, occurrence: group.recurrenceId }),
+          ticket: { code: joined.joinRecord.ticketCode },
+        });
+      } catch (err) {
+        console.error("Error joining group:", err);
+        res.status(500).json({ success: false, error: "Failed to join group" });
+      }
+    });
+
+  // ** Group Managers API **
+  // Owner and co-hosts of a group; requests for an occurrence act on its whole series.
+  // Loads the management target of :id and answers 404/403 itself; null when it did.
+  const loadManagedGroup = async (req, res, { ownerOnly = false } = {}) => {
+    const group = await groupCollection.findOne({ _id: new ObjectId(req.params.id) });
+    if (!group) {
+      res.status(404).json({ success: false, message: "Group not found" });
+      return null;
+    }
+    const target = await loadManagementTarget(group);
+    if (!canManageGroup(target, req.user, { ownerOnly })) {
+      res.status(403).json({
+        success: false,
+        message: ownerOnly
+          ? "Forbidden: Only the group owner can do this"
+          : "Forbidden: You can only manage groups you organize",
+      });
+      return null;
+    }
+    return target;
+  };
+
+  // List owner, co-hosts and pending invites - Protected: Owner or co-host
+  app.get("/groups/:id/managers", authenticateToken, validate(schemas.byId), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+
+        const group = await loadManagedGroup(req, res);
+        if (!group) return;
+
+        res.status(200).json({
+          success: true,
+          data: {
+            groupId: group._id.toString(),
+            yourRole: groupRoleOf(group, req.user),
+            managers: listGroupManagers(group),
+            invites: pendingManagerInvites(group).map(({ _id, ...invite }) => ({
+              id: _id.toString(),
+              ...invite,
+            })),
+          },
+        });
+      } catch (error) {
+        console.error("Error fetching group managers:", error);
+        res.status(500).json({ success: false, message: "Failed to fetch group managers" });
+      }
+    });
+
+  // Invite someone to co-host - Protected: Owner only
+  app.post("/groups/:id/managers/invites", authenticateToken, validate(schemas.inviteManager), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+
+        const group = await loadManagedGroup(req, res, { ownerOnly: true });
+        if (!group) return;
+
+        const email = req.body.email.toLowerCase();
+        if (groupRoleOf(group, { email })) {
+          return res.status(409).json({ success: false, message: "This user already manages the group" });
+        }
+        if (pendingManagerInvites(group).some((invite) => invite.email === email)) {
+          return res.status(409).json({ success: false, message: "This user has already been invited" });
+        }
+
+        const now = new Date();
+        const invite = {
+          _id: new ObjectId(),
+          email,
+          role: "cohost",
+          invitedBy: req.user.email,
+          invitedAt: now,
+          expiresAt: new Date(now.getTime() + MANAGER_INVITE_TTL_MS),
+        };
+        // Expired invites for the same address are replaced
+        const updated = await updateGroupManagement(group, {
+          $set: {
+            managerInvites: [
+              ...(group.managerInvites || []).filter((existing) => existing.email !== email),
+              invite,
+            ],
+          },
+        });
+        if (!updated) {
+          return res.status(404).json({ success: false, message: "Group not found" });
+        }
+
+        await recordAudit(req, {
+          action: "invite_manager",
+          resource: "group",
+          resourceId: group._id,
+          before: managementSnapshot(group),
+          after: managementSnapshot(updated),
+          details: { email, role: invite.role },
+        });
+        await enqueueNotification(
+          "manager_invite",
+          email,
+          {
+            inviterName: req.user.name || req.user.email,
+            event: describeGroupForNotification(group),
+            expiresAt: invite.expiresAt,
+          },
+          { transactional: true }
+        );
+
+        res.status(201).json({
+          success: true,
+          message: "Invite sent",
+          data: { id: invite._id.toString(), email, role: invite.role, expiresAt: invite.expiresAt },
+        });
+      } catch (error) {
+        console.error("Error inviting group manager:", error);
+        res.status(500).json({ success: false, message: "Failed to invite manager" });
+      }
+    });
+
+  // Withdraw an invite - Protected: Owner only
+  app.delete("/groups/:id/managers/invites/:inviteId", authenticateToken, validate(schemas.managerInvite), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+
+        const group = await loadManagedGroup(req, res, { ownerOnly: true });
+        if (!group) return;
+
+        const invite = (group.managerInvites || []).find(
+          (candidate) => candidate._id.toString() === req.params.inviteId
+        );
+        if (!invite) {
+          return res.status(404).json({ success: false, message: "Invite not found" });
+        }
+
+        const updated = await updateGroupManagement(group, {
+          $pull: { managerInvites: { _id: invite._id } },
+        });
+        await recordAudit(req, {
+          action: "revoke_invite",
+          resource: "group",
+          resourceId: group._id,
+          before: managementSnapshot(group),
+          after: managementSnapshot(updated),
+          details: { email: invite.email },
+        });
+        res.status(200).json({ success: true, message: "Invite withdrawn" });
+      } catch (error) {
+        console.error("Error withdrawing manager invite:", error);
+        res.status(500).json({ success: false, message: "Failed to withdraw invite" });
+      }
+    });
+
+  // Accept or decline an invite addressed to the signed-in user - Protected: Invitee only
+  const handleManagerInvite = (accept) => async (req, res) => {
+    try {
+      const dbCheck = await checkDbConnection(res);
+      if (dbCheck) return dbCheck;
+
+      const group = await groupCollection.findOne({ _id: new ObjectId(req.params.id) });
+      if (!group) {
+        return res.status(404).json({ success: false, message: "Group not found" });
+      }
+      const target = await loadManagementTarget(group);
+      const email = req.user.email.toLowerCase();
+      const invite = pendingManagerInvites(target).find((candidate) => candidate.email === email);
+      if (!invite) {
+        return res.status(404).json({ success: false, message: "No pending invite for this group" });
+      }
+
+      const update = { $pull: { managerInvites: { email } } };
+      if (accept && !groupRoleOf(target, req.user)) {
+        update.$push = {
+          managers: {
+            email,
+            userId: req.user.uid,
+            name: req.user.name || null,
+            role: invite.role,
+            invitedBy: invite.invitedBy,
+            addedAt: new Date(),
+          },
+        };
+      }
+      const updated = await updateGroupManagement(target, update);
+      if (!updated) {
+        return res.status(404).json({ success: false, message: "Group not found" });
+      }
+
+      await recordAudit(req, {
+        action: accept ? "accept_invite" : "decline_invite",
+        resource: "group",
+        resourceId: target._id,
+        before: managementSnapshot(target),
+        after: managementSnapshot(updated),
+        details: { email, role: invite.role },
+      });
+      res.status(200).json({
+        success: true,
+        message: accept ? "You are now a co-host of this group" : "Invite declined",
+        ...(accept && { data: { groupId: target._id.toString(), role: invite.role } }),
+      });
+    } catch (error) {
+      console.error("Error answering manager invite:", error);
+      res.status(500).json({ success: false, message: "Failed to answer invite" });
+    }
+  };
+
+  app.post("/groups/:id/managers/invites/accept", authenticateToken, validate(schemas.byId), handleManagerInvite(true));
+  app.post("/groups/:id/managers/invites/decline", authenticateToken, validate(schemas.byId), handleManagerInvite(false));
+
+  // Pending co-host invites for the signed-in user - Protected
+  app.get("/manager-invites", authenticateToken, validate(schemas.noInput), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+
+        const email = req.user.email.toLowerCase();
+        const now = new Date();
+        const groups = await groupCollection
+          .find(
+            { managerInvites: { $elemMatch: { email, expiresAt: { $gt: now } } }, hidden: { $ne: true } },
+            { projection: { groupName: 1, startsAt: 1, creatorName: 1, isSeries: 1, managerInvites: 1 } }
+          )
+          .toArray();
+
+        const invites = groups.map((group) => {
+          const invite = pendingManagerInvites(group, now).find((candidate) => candidate.email === email);
+          return {
+            groupId: group._id.toString(),
+            groupName: group.groupName || null,
+            startsAt: group.startsAt || null,
+            isSeries: Boolean(group.isSeries),
+            ownerName: group.creatorName || null,
+            role: invite.role,
+            invitedBy: invite.invitedBy,
+            expiresAt: invite.expiresAt,
+          };
+        });
+        res.status(200).json({ success: true, data: invites });
+      } catch (error) {
+        console.error("Error fetching manager invites:", error);
+        res.status(500).json({ success: false, message: "Failed to fetch invites" });
+      }
+    });
+
+  // Remove a co-host - Protected: Owner, or a co-host stepping down
+  app.delete("/groups/:id/managers/:email", authenticateToken, validate(schemas.removeManager), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+
+        const email = req.params.email.toLowerCase();
+        const steppingDown = email === req.user.email.toLowerCase();
+        const group = await loadManagedGroup(req, res, { ownerOnly: !steppingDown });
+        if (!group) return;
+
+        if (!(group.managers || []).some((manager) => manager.email === email)) {
+          return res.status(404).json({
+            success: false,
+            message:
+              groupRoleOf(group, { email }) === "owner"
+                ? "The owner cannot be removed - transfer ownership first"
+                : "Co-host not found",
+          });
+        }
+
+        const updated = await updateGroupManagement(group, { $pull: { managers: { email } } });
+        await recordAudit(req, {
+          action: "remove_manager",
+          resource: "group",
+          resourceId: group._id,
+          before: managementSnapshot(group),
+          after: managementSnapshot(updated),
+          details: { email, steppedDown: steppingDown },
+        });
+        res.status(200).json({
+          success: true,
+          message: steppingDown ? "You are no longer a co-host" : "Co-host removed",
+        });
+      } catch (error) {
+        console.error("Error removing group manager:", error);
+        res.status(500).json({ success: false, message: "Failed to remove manager" });
+      }
+    });
+
+  // Hand the group over to one of its co-hosts - Protected: Owner only
+  app.post("/groups/:id/transfer-ownership", authenticateToken, validate(schemas.transferOwnership), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+
+        const group = await loadManagedGroup(req, res, { ownerOnly: true });
+        if (!group) return;
+
+        const email = req.body.email.toLowerCase();
+        const newOwner = (group.managers || []).find((manager) => manager.email === email);
+        if (!newOwner) {
+          return res.status(400).json({
+            success: false,
+            message: "Ownership can only be transferred to a co-host who accepted their invite",
+          });
+        }
+
+        // The previous owner stays on as a co-host unless keepAsCohost is false
+        const managers = group.managers.filter((manager) => manager.email !== email);
+        if (req.body.keepAsCohost !== false && group.userEmail) {
+          managers.push({
+            email: group.userEmail.toLowerCase(),
+            userId: group.userId || null,
+            name: group.creatorName || null,
+            role: "cohost",
+            invitedBy: newOwner.email,
+            addedAt: new Date(),
+          });
+        }
+
+        const ownerFields = {
+          userEmail: newOwner.email,
+          userId: newOwner.userId,
+          creatorName: newOwner.name || newOwner.email.split("@")[0],
+          managers,
+        };
+        if (group.creatorEmail !== undefined) ownerFields.creatorEmail = newOwner.email;
+        if (group.creatorId !== undefined) ownerFields.creatorId = newOwner.userId;
+
+        // Guard against two transfers racing each other
+        const updated = await updateGroupManagement(
+          group,
+          { $set: ownerFields },
+          { userEmail: group.userEmail }
+        );
+        if (!updated) {
+          return res.status(409).json({ success: false, message: "Ownership changed meanwhile, please reload" });
+        }
+
+        await recordAudit(req, {
+          action: "transfer_ownership",
+          resource: "group",
+          resourceId: group._id,
+          before: managementSnapshot(group),
+          after: managementSnapshot(updated),
+          details: { from: group.userEmail, to: newOwner.email },
+        });
+        const { managerInvites, ...publicGroup } = updated;
+        await publishRealtime(`group:${group._id}`, "group_updated", {
+          groupId: group._id.toString(),
+          group: publicGroup,
+        });
+
+        res.status(200).json({
+          success: true,
+          message: "Ownership transferred",
+          data: { managers: listGroupManagers(updated) },
+        });
+      } catch (error) {
+        console.error("Error transferring group ownership:", error);
+        res.status(500).json({ success: false, message: "Failed to transfer ownership" });
+      }
+    });
+
+  // ** Group Invites & Join Requests API **
+  // Invite links for private groups and the approval queue of approval-only groups.
+  // Requests for an occurrence are managed on its series, like co-hosts.
+  // Create an invite link, optionally for one email address - Protected: Owner or co-host
+  app.post("/groups/:id/invites", authenticateToken, validate(schemas.createGroupInvite), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+
+        const target = await loadManagedGroup(req, res);
+        if (!target) return;
+
+        const token = crypto.randomBytes(24).toString("base64url");
+        const expiresInDays = req.body.expiresInDays ?? GROUP_INVITE_TTL_DAYS;
+        const invite = {
+          groupId: target._id.toString(),
+          tokenHash: hashToken(token),
+          email: req.body.email ? req.body.email.toLowerCase() : null,
+          maxUses: req.body.maxUses ?? null,
+          uses: 0,
+          expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+          createdBy: req.user.email,
+          createdAt: new Date(),
+          revokedAt: null,
+        };
+        await groupInvitesCollection.insertOne(invite);
+
+        const url = inviteLink(target, token);
+        await recordAudit(req, {
+          action: "invite",
+          resource: "group_invite",
+          resourceId: invite._id,
+          after: invite,
+          details: { groupId: invite.groupId },
+        });
+        if (invite.email) {
+          await enqueueNotification(
+            "group_invite",
+            invite.email,
+            {
+              inviterName: req.user.name || req.user.email,
+              event: describeGroupForNotification(target),
+              inviteUrl: url,
+              expiresAt: invite.expiresAt,
+            },
+            { transactional: true }
+          );
+        }
+
+        res.status(201).json({
+          success: true,
+          message: "Invite created",
+          data: { ...describeGroupInvite(invite), token, url },
+        });
+      } catch (error) {
+        console.error("Error creating group invite:", error);
+        res.status(500).json({ success: false, message: "Failed to create invite" });
+      }
+    });
+
+  // List invites (without their tokens) - Protected: Owner or co-host
+  app.get("/groups/:id/invites", authenticateToken, validate(schemas.byId), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+
+        const target = await loadManagedGroup(req, res);
+        if (!target) return;
+
+        const invites = await groupInvitesCollection
+          .find({ groupId: target._id.toString() })
+          .sort({ createdAt: -1 })
+          .toArray();
+        res.status(200).json({ success: true, data: invites.map((invite) => describeGroupInvite(invite)) });
+      } catch (error) {
+        console.error("Error fetching group invites:", error);
+        res.status(500).json({ success: false, message: "Failed to fetch invites" });
+      }
+    });
+
+  // Revoke an invite link - Protected: Owner or co-host
+  app.delete("/groups/:id/invites/:inviteId", authenticateToken, validate(schemas.groupInvite), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+
+        const target = await loadManagedGroup(req, res);
+        if (!target) return;
+
+        const invite = await groupInvitesCollection.findOneAndUpdate(
+          { _id: new ObjectId(req.params.inviteId), groupId: target._id.toString(), revokedAt: null },
+          { $set: { revokedAt: new Date(), revokedBy: req.user.email } },
+          { returnDocument: "after" }
+        );
+        if (!invite) {
+          return res.status(404).json({ success: false, message: "Invite not found" });
+        }
+
+        await recordAudit(req, {
+          action: "revoke_invite",
+          resource: "group_invite",
+          resourceId: invite._id,
+          after: invite,
+          details: { groupId: invite.groupId },
+        });
+        res.status(200).json({ success: true, message: "Invite revoked" });
+      } catch (error) {
+        console.error("Error revoking group invite:", error);
+        res.status(500).json({ success: false, message: "Failed to revoke invite" });
+      }
+    });
+
+  // Join requests, oldest first (pending by default) - Protected: Owner or co-host
+  app.get("/groups/:id/join-requests", authenticateToken, validate(schemas.listJoinRequests), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+
+        const target = await loadManagedGroup(req, res);
+        if (!target) return;
+
+        const targetId = target._id.toString();
+        const filter = {
+          $or: [{ groupId: targetId }, { seriesId: targetId }],
+          status: req.query.status || "pending",
+        };
+        const [requests, total] = await Promise.all([
+          joinRequestsCollection
+            .find(filter)
+            .sort({ requestedAt: 1, _id: 1 })
+            .skip(req.query.skip ?? 0)
+            .limit(req.query.limit ?? 50)
+            .toArray(),
+          joinRequestsCollection.countDocuments(filter),
+        ]);
+        res.status(200).json({ success: true, data: requests.map(describeJoinRequest), total });
+      } catch (error) {
+        console.error("Error fetching join requests:", error);
+        res.status(500).json({ success: false, message: "Failed to fetch join requests" });
+      }
+    });
+
+  // Approve (and join) or reject a pending request - Protected: Owner or co-host
+  const handleJoinRequest = (approve) => async (req, res) => {
+    try {
+      const dbCheck = await checkDbConnection(res);
+      if (dbCheck) return dbCheck;
+
+      const target = await loadManagedGroup(req, res);
+      if (!target) return;
+
+      const targetId = target._id.toString();
+      const request = await joinRequestsCollection.findOneAndUpdate(
+        {
+          _id: new ObjectId(req.params.requestId),
+          $or: [{ groupId: targetId }, { seriesId: targetId }],
+          status: "pending",
+        },
+        {
+          $set: {
+            status: approve ? "approved" : "rejected",
+            decidedAt: new Date(),
+            decidedBy: req.user.email,
+            reason: req.body.reason || null,
+          },
+        },
+        { returnDocument: "after" }
+      );
+      if (!request) {
+        return res.status(404).json({ success: false, message: "Pending join request not found" });
+      }
+
+      const group =
+        request.groupId === targetId
+          ? target
+          : await groupCollection.findOne({ _id: new ObjectId(request.groupId) });
+
+      // Paid events are joined by buying a ticket, which the approval now allows
+      let outcome = approve ? "approved" : "rejected";
+      let joined = null;
+      if (approve && group && isPaidGroup(group)) {
+        outcome = "ticket_required";
+      } else if (approve && group) {
+        joined = await joinApprovedRequest(group, request);
+        outcome = joined.status;
+      }
+
+      await recordAudit(req, {
+        action: approve ? "approve_join" : "reject_join",
+        resource: "join_request",
+        resourceId: request._id,
+        after: request,
+        details: { groupId: request.groupId, outcome },
+      });
+      if (group) {
+        await enqueueNotification(
+          "join_request_decided",
+          request.userEmail,
+          {
+            event: describeGroupForNotification(group),
+            approved: approve,
+            outcome,
+            reason: request.reason,
+            ticketCode: joined?.joinRecord?.ticketCode,
+          },
+          { transactional: true }
+        );
+      }
+
+      res.status(200).json({
+        success: true,
+        message: approve ? "Join request approved" : "Join request rejected",
+        outcome,
+      });
+    } catch (error) {
+      console.error("Error deciding join request:", error);
+      res.status(500).json({ success: false, message: "Failed to update join request" });
+    }
+  };
+
+  app.post(
+    "/groups/:id/join-requests/:requestId/approve",
+    authenticateToken,
+    validate(schemas.decideJoinRequest),
+    handleJoinRequest(true)
+  );
+  app.post(
+    "/groups/:id/join-requests/:requestId/reject",
+    authenticateToken,
+    validate(schemas.decideJoinRequest),
+    handleJoinRequest(false)
+  );
+
+  // ** Tickets & Check-in API **
+  // Get my ticket for a group - Protected: Only the attendee
+  app.get("/groups/:id/ticket", authenticateToken, validate(schemas.byId), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+
+        const { id } = req.params;
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).json({ success: false, message: "Invalid group ID format" });
+        }
+
+        const joinRecord = await joinedCollection.findOne({
+          groupId: id,
+          userEmail: req.user.email,
+        });
+        if (!joinRecord) {
+          return res.status(404).json({ success: false, message: "You have not joined this group" });
+        }
+
+        // Joins made before tickets existed get one issued on first request
+        let ticketCode = joinRecord.ticketCode;
+        if (!ticketCode) {
+          ticketCode = issueTicketCode(id, joinRecord._id.toString());
+          await joinedCollection.updateOne(
+            { _id: joinRecord._id },
+            { $set: { ticketCode } }
+          );
+        }
+
+        res.status(200).json({
+          success: true,
+          data: {
+            code: ticketCode,
+            groupId: id,
+            userEmail: joinRecord.userEmail,
+            joinedAt: joinRecord.joinedAt,
+            status: getAttendanceStatus(joinRecord),
+            checkedInAt: joinRecord.checkedInAt || null,
+          },
+        });
+      } catch (error) {
+        console.error("Error fetching ticket:", error);
+        res.status(500).json({ success: false, message: "Failed to fetch ticket" });
+      }
+    });
+
+  // Check in an attendee by ticket code - Protected: Owner or co-host
+  app.post("/groups/:id/check-in", authenticateToken, validate(schemas.checkIn), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+
+        const { id } = req.params;
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).json({ success: false, message: "Invalid group ID format" });
+        }
+
+        const group = await groupCollection.findOne({ _id: new ObjectId(id) });
+        if (!group) {
+          return res.status(404).json({ success: false, message: "Group not found" });
+        }
+
+        if (!canManageGroup(group, req.user)) {
+          return res.status(403).json({
+            success: false,
+            message: "Forbidden: You can only check in attendees for groups you organize",
+          });
+        }
+
+        const { code } = req.body;
+        if (!code) {
+          return res.status(400).json({ success: false, message: "Ticket code is required" });
+        }
+
+        const ticket = verifyTicketCode(code);
+        if (!ticket) {
+          return res.status(400).json({ success: false, message: "Invalid ticket" });
+        }
+        if (ticket.groupId !== id) {
+          return res.status(400).json({ success: false, message: "Ticket is for a different group" });
+        }
+
+        const joinRecord = await joinedCollection.findOne({
+          _id: new ObjectId(ticket.joinId),
+          groupId: id,
+        });
+        // A valid signature whose join record is gone means the attendee left
+        if (!joinRecord) {
+          return res.status(404).json({ success: false, message: "Ticket is no longer valid" });
+        }
+
+        // Only the first scan wins
+        const checkedInAt = new Date().toISOString();
+        const result = await joinedCollection.updateOne(
+          { _id: joinRecord._id, checkedInAt: { $exists: false } },
+          { $set: { checkedInAt, checkedInBy: req.user.email } }
+        );
+        if (result.modifiedCount === 0) {
+          const current = await joinedCollection.findOne({ _id: joinRecord._id });
+          return res.status(409).json({
+            success: false,
+            message: "Ticket already used",
+            checkedInAt: current?.checkedInAt || null,
+          });
+        }
+
+        await recordAudit(req, {
+          action: "check_in",
+          resource: "membership",
+          resourceId: joinRecord._id,
+          before: joinRecord,
+          after: { ...joinRecord, checkedInAt, checkedInBy: req.user.email },
+        });
+
+        res.status(200).json({
+          success: true,
+          message: "Checked in successfully",
+          data: {
+            joinId: joinRecord._id,
+            userEmail: joinRecord.userEmail,
+            checkedInAt,
+          },
+        });
+      } catch (error) {
+        console.error("Error checking in attendee:", error);
+        res.status(500).json({ success: false, message: "Failed to check in attendee" });
+      }
+    });
+
+  // Attendance status per join record - Protected: Owner or co-host
+  app.get("/groups/:id/attendance", authenticateToken, validate(schemas.byId), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+
+        const { id } = req.params;
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).json({ success: false, message: "Invalid group ID format" });
+        }
+
+        const group = await groupCollection.findOne({ _id: new ObjectId(id) });
+        if (!group) {
+          return res.status(404).json({ success: false, message: "Group not found" });
+        }
+
+        if (!canManageGroup(group, req.user)) {
+          return res.status(403).json({
+            success: false,
+            message: "Forbidden: You can only view attendance for groups you organize",
+          });
+        }
+
+        const joinRecords = await joinedCollection
+          .find({ groupId: id })
+          .sort({ joinedAt: 1 })
+          .toArray();
+
+        const attendees = joinRecords.map((record) => ({
+          joinId: record._id,
+          userEmail: record.userEmail,
+          userId: record.userId,
+          joinedAt: record.joinedAt,
+          status: getAttendanceStatus(record),
+          checkedInAt: record.checkedInAt || null,
+        }));
+        const checkedIn = attendees.filter((a) => a.status === "checked_in").length;
+
+        res.status(200).json({
+          success: true,
+          data: {
+            total: attendees.length,
+            checkedIn,
+            notCheckedIn: attendees.length - checkedIn,
+            attendees,
+          },
+        });
+      } catch (error) {
+        console.error("Error fetching attendance:", error);
+        res.status(500).json({ success: false, message: "Failed to fetch attendance" });
+      }
+    });
+
+  // Attendee list with names and photos, searchable and paginated; ?format=csv downloads
+  // every matching attendee as a spreadsheet - Protected: Owner or co-host
+  app.get("/groups/:id/attendees", authenticateToken, validate(schemas.listAttendees), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+
+        const { id } = req.params;
+        const group = await groupCollection.findOne({ _id: new ObjectId(id) });
+        if (!group) {
+          return res.status(404).json({ success: false, message: "Group not found" });
+        }
+        if (!canManageGroup(group, req.user)) {
+          return res.status(403).json({
+            success: false,
+            message: "Forbidden: You can only view attendees of groups you organize",
+          });
+        }
+
+        const pipeline = buildAttendeesPipeline(id, req.query);
+
+        if (req.query.format === "csv") {
+          const records = await joinedCollection.aggregate(pipeline).toArray();
+          const filename = `${String(group.groupName || "event").replace(/[^\w-]+/g, "-")}-attendees.csv`;
+          res.set("Content-Type", "text/csv; charset=utf-8");
+          res.set("Content-Disposition", `attachment; filename="${filename}"`);
+          return res.status(200).send(toCsv(attendeeCsvColumns(group), records.map(describeAttendee)));
+        }
+
+        const limit = req.query.limit ?? 50;
+        const skip = req.query.skip ?? 0;
+        const [result] = await joinedCollection
+          .aggregate([
+            ...pipeline,
+            { $facet: { rows: [{ $skip: skip }, { $limit: limit }], total: [{ $count: "count" }] } },
+          ])
+          .toArray();
+
+        res.status(200).json({
+          success: true,
+          data: result.rows.map(describeAttendee),
+          total: result.total[0]?.count || 0,
+        });
+      } catch (error) {
+        console.error("Error fetching attendees:", error);
+        res.status(500).json({ success: false, message: "Failed to fetch attendees" });
+      }
+    });
+
+  // Remove an attendee; they are told why when a reason is given - Protected: Owner or co-host
+  app.delete("/groups/:id/attendees/:joinId", authenticateToken, validate(schemas.removeAttendee), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+
+        const { id, joinId } = req.params;
+        const group = await groupCollection.findOne({ _id: new ObjectId(id) });
+        if (!group) {
+          return res.status(404).json({ success: false, message: "Group not found" });
+        }
+        if (!canManageGroup(group, req.user)) {
+          return res.status(403).json({
+            success: false,
+            message: "Forbidden: You can only remove attendees from groups you organize",
+          });
+        }
+
+        const record = await joinedCollection.findOne({ _id: new ObjectId(joinId), groupId: id });
+        if (!record) {
+          return res.status(404).json({ success: false, message: "Attendee not found" });
+        }
+        // Paid seats go through a refund so money, seat and tier inventory stay in step
+        if (record.orderId) {
+          return res.status(409).json({
+            success: false,
+            message: "This attendee paid for a ticket - refund the order instead",
+            orderId: record.orderId,
+          });
+        }
+
+        // A series subscriber is removed from the series and its upcoming occurrences
+        let promotedCount = 0;
+        if (record.scope === "series") {
+          if (!(await leaveSeriesAsUser(group, record.userEmail))) {
+            return res.status(404).json({ success: false, message: "Attendee not found" });
+          }
+        } else {
+          const result = await leaveGroupAsUser(id, record.userEmail);
+          if (result.status === "not_found") {
+            return res.status(404).json({ success: false, message: "Attendee not found" });
+          }
+          promotedCount = result.promoted?.length || 0;
+        }
+
+        const reason = req.body.reason || null;
+        await recordAudit(req, {
+          action: "remove_attendee",
+          resource: "membership",
+          resourceId: joinId,
+          before: record,
+          details: { groupId: id, userEmail: record.userEmail, reason },
+        });
+        await enqueueNotification(
+          "attendee_removed",
+          record.userEmail,
+          { event: describeGroupForNotification(group), reason },
+          { transactional: true }
+        );
+
+        res.status(200).json({
+          success: true,
+          message: "Attendee removed",
+          promotedCount,
+        });
+      } catch (error) {
+        console.error("Error removing attendee:", error);
+        res.status(500).json({ success: false, message: "Failed to remove attendee" });
+      }
+    });
+
+  // ** Orders & Payments API **
+  // Buy a ticket - Protected: Requires authentication
+  app.post("/groups/:id/orders", authenticateToken, requirePaymentProvider, validate(schemas.createOrder), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+
+        const { id } = req.params;
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).json({ success: false, error: "Invalid group ID format" });
+        }
+
+        const { tierId, paymentMethod, inviteToken } = req.body;
+        if (!tierId) {
+          return res.status(400).json({ success: false, error: "Tier ID is required" });
+        }
+
+        const group = await groupCollection.findOne({ _id: new ObjectId(id), hidden: { $ne: true } });
+        if (!group) {
+          return res.status(404).json({ success: false, error: "Group not found" });
+        }
+        if (group.archived) {
+          return res.status(409).json({ success: false, error: "This event has already ended" });
+        }
+
+        // Same gate as /joinGroup; on approval-only groups tickets are sold once a request is approved
+        const access =
+          isPrivateGroup(group) || group.requiresApproval
+            ? await resolveGroupAccess(group, req.user, inviteToken)
+            : { via: "public" };
+        if (!access.via) {
+          if (isPrivateGroup(group)) {
+            return inviteToken
+              ? res.status(403).json({ success: false, error: "This invite link is invalid, used up or expired" })
+              : res.status(404).json({ success: false, error: "Group not found" });
+          }
+          return res.status(403).json({
+            success: false,
+            error: "This event requires approval - request to join first (POST /joinGroup)",
+          });
+        }
+
+        const tier = (group.ticketTiers || []).find((t) => t.id === tierId);
+        if (!tier) {
+          return res.status(404).json({ success: false, error: "Ticket tier not found" });
+        }
+
+        const userEmail = req.user.email;
+        const userId = req.user.uid;
+
+        const existing = await joinedCollection.findOne({ groupId: id, userEmail });
+        if (existing) {
+          return res.status(409).json({ success: false, error: "Already joined" });
+        }
+        let openOrder = await ordersCollection.findOne({ groupId: id, userEmail, status: "pending" });
+        // A hold that ran out before the job got to it does not block a new checkout
+        if (openOrder?.expiresAt && openOrder.expiresAt <= new Date()) {
+          await markOrderExpired(openOrder);
+          openOrder = null;
+        }
+        if (openOrder) {
+          return res.status(409).json({
+            success: false,
+            error: "You already have a pending order for this group",
+            orderId: openOrder._id,
+          });
+        }
+
+        // Hold a tier ticket and a seat while the payment is in flight
+        const reserved = await reserveTier(id, tierId);
+        if (reserved.modifiedCount === 0) {
+          return res.status(409).json({ success: false, error: "This ticket tier is sold out" });
+        }
+        await ensureMemberCount(group);
+        const seat = await claimSeat(id);
+        if (!seat) {
+          await releaseTier(id, tierId);
+          return res.status(409).json({ success: false, error: "Group is full" });
+        }
+
+        const order = {
+          groupId: id,
+          groupName: group.groupName,
+          tierId,
+          tierName: tier.name,
+          amount: tier.price,
+          currency: tier.currency,
+          userEmail,
+          userId,
+          status: "pending",
+          provider: paymentProvider.name,
+          providerPaymentId: null,
+          ...(access.invite && { inviteId: access.invite._id }),
+          createdAt: new Date().toISOString(),
+          expiresAt: new Date(Date.now() + ORDER_HOLD_MS),
+        };
+        const { insertedId } = await ordersCollection.insertOne(order);
+        order._id = insertedId;
+        if (access.invite) await consumeInvite(access.invite);
+
+        // Free tiers never touch the payment provider
+        let payment = { paymentId: null, status: "succeeded", checkoutUrl: null };
+        if (tier.price > 0) {
+          try {
+            payment = await paymentProvider.createPayment({
+              orderId: insertedId.toString(),
+              amount: tier.price,
+              currency: tier.currency,
+              description: `${group.groupName || "Event"} - ${tier.name}`,
+              customerEmail: userEmail,
+              paymentMethod,
+            });
+          } catch (providerError) {
+            console.error("Payment provider error:", providerError);
+            await markOrderFailed(order, providerError.message);
+            return res.status(502).json({ success: false, error: "Payment provider unavailable" });
+          }
+          await ordersCollection.updateOne(
+            { _id: insertedId },
+            { $set: { providerPaymentId: payment.paymentId } }
+          );
+          order.providerPaymentId = payment.paymentId;
+        }
+
+        let ticket = null;
+        if (payment.status === "succeeded") {
+          const paid = await markOrderPaid(order);
+          ticket = paid?.joinRecord ? { code: paid.joinRecord.ticketCode } : null;
+        } else if (payment.status === "failed") {
+          await markOrderFailed(order, "Payment declined");
+          return res.status(402).json({
+            success: false,
+            error: "Payment declined",
+            orderId: insertedId,
+          });
+        }
+
+        const saved = await ordersCollection.findOne({ _id: insertedId });
+        await recordAudit(req, { action: "create", resource: "order", resourceId: insertedId, after: saved });
+        // Joined another way while paying - markOrderPaid refunded the order
+        if (saved.status === "refunded") {
+          return res.status(409).json({ success: false, error: "Already joined - the payment was refunded", data: saved });
+        }
+        res.status(201).json({
+          success: true,
+          message: saved.status === "paid" ? "Ticket purchased successfully" : "Awaiting payment",
+          data: saved,
+          checkoutUrl: payment.checkoutUrl || null,
+          ticket,
+        });
+      } catch (error) {
+        console.error("Error creating order:", error);
+        res.status(500).json({ success: false, error: "Failed to create order" });
+      }
+    });
+
+  // Get my orders - Protected: Requires authentication
+  app.get("/orders", authenticateToken, validate(schemas.noInput), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+
+        const orders = await ordersCollection
+          .find({ userEmail: req.user.email })
+          .sort({ createdAt: -1 })
+          .toArray();
+        res.status(200).json(orders);
+      } catch (error) {
+        console.error("Error fetching orders:", error);
+        res.status(500).json({ success: false, error: "Failed to fetch orders" });
+      }
+    });
+
+  // Get order by ID - Protected: Buyer or group organizer
+  app.get("/orders/:id", authenticateToken, validate(schemas.byId), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+
+        const { id } = req.params;
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).json({ success: false, error: "Invalid order ID" });
+        }
+
+        const order = await ordersCollection.findOne({ _id: new ObjectId(id) });
+        if (!order) {
+          return res.status(404).json({ success: false, error: "Order not found" });
+        }
+
+        if (order.userEmail !== req.user.email) {
+          const group = await groupCollection.findOne({ _id: new ObjectId(order.groupId) });
+          if (!group || !canManageGroup(group, req.user)) {
+            return res.status(403).json({
+              success: false,
+              error: "Forbidden: You can only view your own orders or orders for groups you organize",
+            });
+          }
+        }
+
+        res.status(200).json(order);
+      } catch (error) {
+        console.error("Error fetching order:", error);
+        res.status(500).json({ success: false, error: "Failed to fetch order" });
+      }
+    });
+
+  // Refund an order - Protected: Group owner or co-host
+  app.post("/orders/:id/refund", authenticateToken, requirePaymentProvider, validate(schemas.byId), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+
+        const { id } = req.params;
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).json({ success: false, error: "Invalid order ID" });
+        }
+
+        const order = await ordersCollection.findOne({ _id: new ObjectId(id) });
+        if (!order) {
+          return res.status(404).json({ success: false, error: "Order not found" });
+        }
+
+        const group = await groupCollection.findOne({ _id: new ObjectId(order.groupId) });
+        if (!group || !canManageGroup(group, req.user)) {
+          return res.status(403).json({
+            success: false,
+            error: "Forbidden: You can only refund orders for groups you organize",
+          });
+        }
+
+        if (order.status !== "paid") {
+          return res.status(409).json({
+            success: false,
+            error: `Only paid orders can be refunded (order is ${order.status})`,
+          });
+        }
+
+        // Free orders have nothing to send back to the provider
+        let refund = { refundId: null, status: "succeeded" };
+        if (order.providerPaymentId) {
+          refund = await paymentProvider.refundPayment({
+            paymentId: order.providerPaymentId,
+            amount: order.amount,
+            currency: order.currency,
+          });
+        }
+        if (refund.status === "failed") {
+          return res.status(502).json({ success: false, error: "Refund was rejected by the payment provider" });
+        }
+
+        await ordersCollection.updateOne(
+          { _id: order._id },
+          { $set: { refundId: refund.refundId, refundRequestedBy: req.user.email } }
+        );
+        // Pending refunds are completed by the refund.succeeded webhook
+        if (refund.status === "succeeded") {
+          await markOrderRefunded(order);
+        }
+
+        const refunded = await ordersCollection.findOne({ _id: order._id });
+        await recordAudit(req, { action: "refund", resource: "order", resourceId: id, before: order, after: refunded });
+
+        res.status(200).json({
+          success: true,
+          message: refund.status === "succeeded" ? "Order refunded" : "Refund pending",
+          data: refunded,
+        });
+      } catch (error) {
+        console.error("Error refunding order:", error);
+        res.status(500).json({ success: false, error: "Failed to refund order" });
+      }
+    });
+
+  // Payment provider webhook - Public: authenticated by the provider signature.
+  // No request schema: the provider owns the payload and the signature covers the raw body.
+  app.post("/payments/webhook", requirePaymentProvider, async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+
+        let event;
+        try {
+          event = paymentProvider.parseWebhook(req);
+        } catch (signatureError) {
+          console.warn("⚠️ Rejected payment webhook:", signatureError.message);
+          return res.status(400).json({ success: false, error: "Invalid webhook" });
+        }
+
+        await handlePaymentEvent(event);
+        // Always acknowledge verified events so the provider stops retrying
+        res.status(200).json({ success: true, received: true });
+      } catch (error) {
+        console.error("Error handling payment webhook:", error);
+        res.status(500).json({ success: false, error: "Failed to handle webhook" });
+      }
+    });
+
+  // Simulate a gateway callback - only available with the fake provider outside production
+  if (paymentProvider?.name === "fake" && process.env.NODE_ENV !== "production") {
+    app.post("/payments/fake/simulate", authenticateToken, validate(schemas.simulatePayment), async (req, res) => {
+        try {
+          const dbCheck = await checkDbConnection(res);
+          if (dbCheck) return dbCheck;
+
+          const { orderId, type } = req.body;
+          const allowedTypes = ["payment.succeeded", "payment.failed", "refund.succeeded"];
+          if (!ObjectId.isValid(orderId) || !allowedTypes.includes(type)) {
+            return res.status(400).json({
+              success: false,
+              error: `orderId and type (${allowedTypes.join(", ")}) are required`,
+            });
+          }
+
+          const order = await ordersCollection.findOne({ _id: new ObjectId(orderId) });
+          if (!order || !order.providerPaymentId) {
+            return res.status(404).json({ success: false, error: "Order not found" });
+          }
+          if (order.userEmail !== req.user.email) {
+            return res.status(403).json({
+              success: false,
+              error: "Forbidden: You can only simulate payments for your own orders",
+            });
+          }
+
+          // Run the signed callback through the same verification as the real webhook
+          const webhookRequest = paymentProvider.simulateWebhook(order.providerPaymentId, type);
+          const event = paymentProvider.parseWebhook(webhookRequest);
+          await handlePaymentEvent(event);
+
+          res.status(200).json({
+            success: true,
+            data: await ordersCollection.findOne({ _id: order._id }),
+          });
+        } catch (error) {
+          console.error("Error simulating payment webhook:", error);
+          res.status(500).json({ success: false, error: "Failed to simulate webhook" });
+        }
+      });
+  }
+
+  // Get joined groups by user - Protected: Requires authentication
+  app.get("/user-joined-groups", authenticateToken, validate(schemas.noInput), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+        
+        // Use authenticated user's email instead of query parameter for security
+        const userEmail = req.user.email;
+        
+        if (!userEmail) {
+          return res.status(400).json({ success: false, message: "User email is required" });
+        }
+
+        const groups = await joinedCollection
+          .find({ userEmail: userEmail })
+          .toArray();
+        res.status(200).json(groups);
+      } catch (err) {
+        console.error("Error fetching joined groups:", err);
+        res
+          .status(500)
+          .json({ success: false, message: "Failed to fetch joined groups" });
+      }
+    });
+
+  // ** Calendar Feed API **
+  // Get (or create) the private calendar feed URL - Protected
+  app.get("/calendar/feed-url", authenticateToken, validate(schemas.noInput), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+
+        const user = await usersCollection.findOneAndUpdate(
+          { email: req.user.email },
+          [{ $set: { calendarFeedToken: { $ifNull: ["$calendarFeedToken", generateFeedToken()] } } }],
+          { upsert: true, returnDocument: "after" }
+        );
+
+        res.status(200).json({ success: true, ...buildFeedUrls(req, user.calendarFeedToken) });
+      } catch (error) {
+        console.error("Error fetching calendar feed URL:", error);
+        res.status(500).json({ success: false, error: "Failed to fetch calendar feed URL" });
+      }
+    });
+
+  // Rotate the calendar feed token (the old URL stops working) - Protected
+  app.post("/calendar/feed-url/rotate", authenticateToken, validate(schemas.noInput), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+
+        const token = generateFeedToken();
+        await usersCollection.updateOne(
+          { email: req.user.email },
+          { $set: { calendarFeedToken: token } },
+          { upsert: true }
+        );
+
+        res.status(200).json({ success: true, ...buildFeedUrls(req, token) });
+      } catch (error) {
+        console.error("Error rotating calendar feed token:", error);
+        res.status(500).json({ success: false, error: "Failed to rotate calendar feed URL" });
+      }
+    });
+
+  // Personal calendar feed - Public, the token in the URL identifies the user
+  app.get("/calendar/feed/:token.ics", validate(schemas.calendarFeed), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+
+        const user = await usersCollection.findOne({ calendarFeedToken: req.params.token });
+        if (!user) {
+          return res.status(404).json({ success: false, error: "Calendar feed not found" });
+        }
+
+        // Series subscriptions are covered by the rows of their occurrences
+        const joined = await joinedCollection
+          .find({ userEmail: user.email, scope: { $ne: "series" } }, { projection: { groupId: 1 } })
+          .toArray();
+        const ids = joined.map((row) => row.groupId).filter((id) => ObjectId.isValid(id));
+        const groups = await groupCollection
+          .find({ _id: { $in: ids.map((id) => new ObjectId(id)) }, startsAt: { $exists: true } })
+          .sort({ startsAt: 1 })
+          .toArray();
+
+        res.set("Content-Type", "text/calendar; charset=utf-8");
+        res.set("Cache-Control", "private, max-age=300");
+        res.status(200).send(
+          buildCalendar(groups.map(groupToCalendarEvent), {
+            name: "My Events",
+            refreshInterval: CALENDAR_FEED_REFRESH,
+          })
+        );
+      } catch (error) {
+        console.error("Error building calendar feed:", error);
+        res.status(500).json({ success: false, error: "Failed to build calendar feed" });
+      }
+    });
+
+  // Fetch groups by array of IDs (for joined groups details)
+  app.post("/groupsByIds", optionalAuth, validate(schemas.groupsByIds), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+        
+        const { ids } = req.body;
+        if (!ids || !Array.isArray(ids) || ids.length === 0) {
+          return res
+            .status(400)
+            .json({ success: false, message: "Invalid group IDs" });
+        }
+        
+        // Validate all IDs before converting
+        const invalidIds = ids.filter(id => !ObjectId.isValid(id));
+        if (invalidIds.length > 0) {
+          return res.status(400).json({ 
+            success: false, 
+            message: "Invalid group ID format", 
+            invalidIds 
+          });
+        }
+        
+        const objectIds = ids.map((id) => new ObjectId(id));
+        const groups = await groupCollection
+          .find({ _id: { $in: objectIds }, hidden: { $ne: true } }, { projection: publicGroupProjection })
+          .toArray();
+        // Private groups only come back for users who may see them
+        res.status(200).json(await attachSeatInfo(await filterViewableGroups(groups, req.user)));
+      } catch (error) {
+        console.error("Error fetching groups by IDs:", error);
+        res
+          .status(500)
+          .json({ success: false, message: "Failed to fetch groups by IDs", details: error.message });
+      }
+    });
+
+  // ** Auth API **
+  // Register an email/password account - Public
+  app.post("/auth/register", rateLimit("register"), validate(schemas.register), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+
+        const email = normalizeEmail(req.body?.email);
+        const { password, name, photo } = req.body || {};
+        if (!isValidEmail(email)) {
+          return res.status(400).json({ success: false, error: "A valid email is required" });
+        }
+        const passwordError = checkPassword(password);
+        if (passwordError) {
+          return res.status(400).json({ success: false, error: passwordError });
+        }
+
+        // Emails already known (e.g. from Firebase sign-in) keep their existing login method
+        const existing = await usersCollection.findOne(
+          { email },
+          { collation: { locale: "en", strength: 2 } }
+        );
+        if (existing) {
+          return res.status(409).json({ success: false, error: "An account with this email already exists" });
+        }
+
+        // The account is created by POST /auth/verify-email; registering again sends a new link
+        const token = crypto.randomBytes(32).toString("base64url");
+        await emailVerificationsCollection.insertOne({
+          email,
+          tokenHash: hashToken(token),
+          account: {
+            name: name || email.split("@")[0],
+            photo: photo || defaultImageUrl(req, "avatar"),
+            passwordHash: await bcrypt.hash(password, BCRYPT_ROUNDS),
+          },
+          createdAt: new Date(),
+          expiresAt: new Date(Date.now() + EMAIL_VERIFICATION_TTL_MS),
+          usedAt: null,
+        });
+        await enqueueNotification(
+          "email_verification",
+          email,
+          {
+            name: name || email.split("@")[0],
+            token,
+            verifyUrl: clientUrl ? `${clientUrl}/verify-email?token=${token}` : null,
+            expiresInHours: EMAIL_VERIFICATION_TTL_MS / 3600000,
+          },
+          { transactional: true }
+        );
+
+        res.status(202).json({
+          success: true,
+          message: "Check your email - the account is created once you open the verification link",
+        });
+      } catch (error) {
+        console.error("Error registering user:", error);
+        res.status(500).json({ success: false, error: "Failed to register" });
+      }
+    });
+
+  // Finish a registration with the emailed token and sign in - Public
+  app.post("/auth/verify-email", rateLimit("register"), validate(schemas.verifyEmail), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+
+        const verification = await emailVerificationsCollection.findOneAndUpdate(
+          { tokenHash: hashToken(req.body.token), usedAt: null, expiresAt: { $gt: new Date() } },
+          { $set: { usedAt: new Date() } }
+        );
+        if (!verification) {
+          return res.status(400).json({ success: false, error: "Invalid or expired verification token" });
+        }
+
+        const existing = await usersCollection.findOne(
+          { email: verification.email },
+          { collation: { locale: "en", strength: 2 } }
+        );
+        if (existing) {
+          return res.status(409).json({ success: false, error: "An account with this email already exists" });
+        }
+
+        const now = new Date();
+        const user = {
+          email: verification.email,
+          ...verification.account,
+          role: "user",
+          tokenVersion: 0,
+          emailVerifiedAt: now,
+          createdAt: now,
+          updatedAt: now,
+        };
+        try {
+          const result = await usersCollection.insertOne(user);
+          user._id = result.insertedId;
+        } catch (insertError) {
+          // Another link for the same address (or a Firebase sign-in) won the race
+          if (insertError.code !== 11000) throw insertError;
+          return res.status(409).json({ success: false, error: "An account with this email already exists" });
+        }
+        await recordAudit(req, { action: "create", resource: "user", resourceId: user._id, after: user });
+
+        res.status(201).json({ success: true, ...(await issueSession(user, req)) });
+      } catch (error) {
+        console.error("Error verifying email:", error);
+        res.status(500).json({ success: false, error: "Failed to verify email" });
+      }
+    });
+
+  // Log in with email and password - Public
+  app.post("/auth/login", rateLimit("login"), validate(schemas.login), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+
+        const email = normalizeEmail(req.body?.email);
+        const password = req.body?.password;
+        if (!email || typeof password !== "string") {
+          return res.status(400).json({ success: false, error: "Email and password are required" });
+        }
+
+        const user = await usersCollection.findOne({ email });
+        const matches = await bcrypt.compare(
+          password,
+          user?.passwordHash || (await getDummyPasswordHash())
+        );
+        if (!user?.passwordHash || !matches) {
+          return res.status(401).json({ success: false, error: "Invalid email or password" });
+        }
+        if (isSuspended(user) && !isBootstrapAdmin(user)) {
+          return res.status(403).json({
+            success: false,
+            error: "Forbidden: Your account is suspended",
+            reason: user.suspensionReason || null,
+            suspendedUntil: user.suspendedUntil || null,
+          });
+        }
+
+        await usersCollection.updateOne({ _id: user._id }, { $set: { lastLoginAt: new Date() } });
+        res.status(200).json({ success: true, ...(await issueSession(user, req)) });
+      } catch (error) {
+        console.error("Error logging in:", error);
+        res.status(500).json({ success: false, error: "Failed to log in" });
+      }
+    });
+
+  // Exchange a refresh token for a new access/refresh token pair - Public
+  app.post("/auth/refresh", rateLimit("refresh"), validate(schemas.refreshToken), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+
+        const { session, status, error } = await rotateRefreshToken(req.body?.refreshToken, req);
+        if (error) {
+          return res.status(status).json({ success: false, error });
+        }
+
+        res.status(200).json({ success: true, ...session });
+      } catch (error) {
+        console.error("Error refreshing session:", error);
+        res.status(500).json({ success: false, error: "Failed to refresh session" });
+      }
+    });
+
+  // Log out this session - Public, the refresh token is the credential
+  app.post("/auth/logout", validate(schemas.refreshToken), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+
+        const { refreshToken } = req.body || {};
+        if (typeof refreshToken !== "string" || !refreshToken) {
+          return res.status(400).json({ success: false, error: "Refresh token is required" });
+        }
+
+        const session = await sessionsCollection.findOne({ tokenHash: hashToken(refreshToken) });
+        if (session) await revokeSessionFamily(session.family, "logout");
+
+        res.status(200).json({ success: true, message: "Logged out" });
+      } catch (error) {
+        console.error("Error logging out:", error);
+        res.status(500).json({ success: false, error: "Failed to log out" });
+      }
+    });
+
+  // Log out everywhere: revokes all refresh tokens and access tokens - Protected
+  app.post("/auth/logout-all", authenticateToken, validate(schemas.noInput), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+
+        const user = await usersCollection.findOne({ email: req.user.email });
+        if (!user) {
+          return res.status(404).json({ success: false, error: "Account not found" });
+        }
+        await revokeAllSessions(user, "logout_all");
+
+        res.status(200).json({ success: true, message: "All sessions revoked" });
+      } catch (error) {
+        console.error("Error revoking sessions:", error);
+        res.status(500).json({ success: false, error: "Failed to revoke sessions" });
+      }
+    });
+
+  // Current account - Protected
+  app.get("/auth/me", authenticateToken, validate(schemas.noInput), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+
+        const user = await usersCollection.findOne({ email: req.user.email });
+        const account = user
+          ? publicAccount(user)
+          : { email: req.user.email, name: req.user.name, role: req.user.role };
+
+        res.status(200).json({
+          success: true,
+          data: { ...account, authProvider: req.user.authProvider },
+        });
+      } catch (error) {
+        console.error("Error fetching account:", error);
+        res.status(500).json({ success: false, error: "Failed to fetch account" });
+      }
+    });
+
+  // Ask for a password reset email - Public. Always answers 200 so emails cannot be probed.
+  app.post("/auth/password-reset/request", rateLimit("passwordReset"), validate(schemas.passwordResetRequest), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+
+        const email = normalizeEmail(req.body?.email);
+        const user = email ? await usersCollection.findOne({ email }) : null;
+
+        if (user?.passwordHash) {
+          const token = crypto.randomBytes(32).toString("base64url");
+          await passwordResetsCollection.insertOne({
+            userId: user._id.toString(),
+            email,
+            tokenHash: hashToken(token),
+            createdAt: new Date(),
+            expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MS),
+            usedAt: null,
+          });
+          await enqueueNotification(
+            "password_reset",
+            email,
+            {
+              token,
+              resetUrl: clientUrl ? `${clientUrl}/reset-password?token=${token}` : null,
+              expiresInMinutes: PASSWORD_RESET_TTL_MS / 60000,
+            },
+            { transactional: true }
+          );
+        }
+
+        res.status(200).json({
+          success: true,
+          message: "If an account exists for this email, a reset link has been sent",
+        });
+      } catch (error) {
+        console.error("Error requesting password reset:", error);
+        res.status(500).json({ success: false, error: "Failed to request password reset" });
+      }
+    });
+
+  // Set a new password with a reset token - Public. Signs out every existing session.
+  app.post("/auth/password-reset/confirm", rateLimit("passwordResetConfirm"), validate(schemas.passwordResetConfirm), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+
+        const { token, password } = req.body || {};
+        if (typeof token !== "string" || !token) {
+          return res.status(400).json({ success: false, error: "Reset token is required" });
+        }
+        const passwordError = checkPassword(password);
+        if (passwordError) {
+          return res.status(400).json({ success: false, error: passwordError });
+        }
+
+        const reset = await passwordResetsCollection.findOneAndUpdate(
+          { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: new Date() } },
+          { $set: { usedAt: new Date() } }
+        );
+        if (!reset) {
+          return res.status(400).json({ success: false, error: "Invalid or expired reset token" });
+        }
+
+        const user = await usersCollection.findOne({ _id: new ObjectId(reset.userId) });
+        if (!user) {
+          return res.status(400).json({ success: false, error: "Invalid or expired reset token" });
+        }
+
+        await usersCollection.updateOne(
+          { _id: user._id },
+          {
+            $set: {
+              passwordHash: await bcrypt.hash(password, BCRYPT_ROUNDS),
+              passwordChangedAt: new Date(),
+              updatedAt: new Date(),
+            },
+          }
+        );
+        await revokeAllSessions(user, "password_reset");
+
+        res.status(200).json({ success: true, message: "Password updated - please log in again" });
+      } catch (error) {
+        console.error("Error resetting password:", error);
+        res.status(500).json({ success: false, error: "Failed to reset password" });
+      }
+    });
+
+  // ** New: Save User API **
+  // Creates or updates the signed-in user's own profile - Protected
+  app.post("/save-user", authenticateToken, rateLimit("saveUser"), validate(schemas.saveUser), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+        
+        const { name, photo } = req.body;
+        const email = req.user.email;
+
+        const updateDoc = {
+          $set: {
+            email,
+            name: name || "No Name",
+            photo: photo || defaultImageUrl(req, "avatar"),
+            updatedAt: new Date(),
+          },
+        };
+        
+        // Add createdAt if it's a new user (upsert)
+        const existingUser = await usersCollection.findOne({ email });
+        if (!existingUser) {
+          updateDoc.$set.createdAt = new Date();
+        }
+
+        let result;
+        try {
+          result = await usersCollection.updateOne({ email }, updateDoc, {
+            upsert: true,
+          });
+        } catch (upsertError) {
+          // The same address in another letter case already has an account
+          if (upsertError.code !== 11000) throw upsertError;
+          return res.status(409).json({ success: false, error: "An account with this email already exists" });
+        }
+        const savedUser = await usersCollection.findOne({ email });
+        await recordAudit(req, {
+          action: existingUser ? "update" : "create",
+          resource: "user",
+          resourceId: savedUser?._id,
+          before: existingUser,
+          after: savedUser,
+        });
+
+        res.status(200).json({ success: true, result });
+      } catch (error) {
+        console.error("Error saving user:", error);
+        res.status(500).json({ success: false, error: "Failed to save user" });
+      }
+    });
+
+  // ** Analytics API **
+  // Dashboard analytics for a date range - Public. Without from/to/interval/timezone the
+  // original response is kept: all-time signups per day and groups per event day.
+  app.get("/dashboard-stats", validate(schemas.dashboardStats), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+
+        const { from, to, interval, timezone } = req.query;
+        if ([from, to, interval, timezone].every((value) => value === undefined)) {
+          const stats = analyticsCache.get("daily") ?? analyticsCache.set("daily", await computeDailyStats());
+          return res.status(200).json(stats);
+        }
+
+        // "Now" is rounded to the minute so default ranges can share a cache entry
+        const range = resolveRange(req.query, new Date(Math.floor(Date.now() / 60000) * 60000));
+        if (range.error) {
+          return res.status(400).json({ success: false, error: range.error });
+        }
+        const key = JSON.stringify(range);
+        const stats = analyticsCache.get(key) ?? analyticsCache.set(key, await computeDashboardStats(range));
+        res.status(200).json({ success: true, data: stats });
+      } catch (error) {
+        console.error("Error fetching dashboard stats:", error);
+        res.status(500).json({ success: false, error: "Failed to fetch dashboard stats" });
+      }
+    });
+
+  // How the signed-in user's events and articles perform; ?format=csv downloads one table
+  // (events, series or articles) - Protected: Requires authentication
+  app.get("/my-insights", authenticateToken, validate(schemas.myInsights), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+
+        const range = resolveRange(req.query);
+        if (range.error) {
+          return res.status(400).json({ success: false, error: range.error });
+        }
+        const insights = await computeOrganizerInsights(req.user, range);
+
+        if (req.query.format === "csv") {
+          const table = req.query.table || "events";
+          res.set("Content-Type", "text/csv; charset=utf-8");
+          res.set("Content-Disposition", `attachment; filename="insights-${table}.csv"`);
+          return res.status(200).send(toCsv(INSIGHTS_CSV_COLUMNS[table], insights[table]));
+        }
+
+        res.status(200).json({ success: true, data: insights });
+      } catch (error) {
+        console.error("Error fetching insights:", error);
+        res.status(500).json({ success: false, error: "Failed to fetch insights" });
+      }
+    });
+
+  // ** New: Total Users Count API **
+  app.get("/totalUsers", validate(schemas.noInput), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+        
+        const total = await usersCollection.estimatedDocumentCount();
+        res.status(200).json({ total });
+      } catch (error) {
+        console.error("Error fetching total users:", error);
+        res.status(500).json({ success: false, error: "Failed to fetch total users", details: error.message });
+      }
+    });
+
+  // ** Articles API **
+  // Create article - Protected: Requires authentication
+  app.post("/articles", authenticateToken, validate(schemas.createArticle), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+        
+        const articleData = req.body;
+        
+        // Validate required fields
+        if (!articleData.title) {
+          return res.status(400).json({ success: false, error: "Title is required" });
+        }
+
+        // Set author info from authenticated user
+        articleData.authorEmail = req.user.email;
+        articleData.authorId = req.user.uid;
+        articleData.userEmail = req.user.email; // For consistency
+        articleData.userId = req.user.uid;
+        
+        // Add default values if not provided
+        if (!articleData.authorName) articleData.authorName = req.user.name || "Anonymous";
+        if (!articleData.coverImage) {
+          articleData.coverImage = defaultImageUrl(req, "article");
+        }
+        // Published at once unless saved as a draft or publishDate is in the future
+        const { fields: publication, error } = resolveArticlePublication(articleData);
+        if (error) {
+          return res.status(400).json({ success: false, error });
+        }
+        Object.assign(articleData, publication, renderArticleContent(articleData.content));
+        articleData.uploadKeys = uploadKeysIn(articleData.content);
+        if (!articleData.createdAt) {
+          articleData.createdAt = new Date().toISOString();
+        }
+        articleData.revision = 1;
+
+        if (articleData.slug && (await isArticleSlugTaken(articleData.slug))) {
+          return res.status(409).json({ success: false, error: "Slug is already in use" });
+        }
+        const requestedSlug = articleData.slug;
+
+        // Two authors can race for the same generated slug; the unique index decides
+        let result;
+        for (let attempt = 0; !result; attempt++) {
+          articleData.slug = requestedSlug || (await uniqueArticleSlug(articleData.title));
+          try {
+            result = await articlesCollection.insertOne(articleData);
+          } catch (insertError) {
+            if (insertError.code !== 11000 || requestedSlug || attempt >= 2) throw insertError;
+            delete articleData._id;
+          }
+        }
+        await saveArticleRevision(articleData, req.user);
+        await recordAudit(req, { action: "create", resource: "article", resourceId: result.insertedId, after: articleData });
+        res.status(201).json({
+          success: true,
+          message: "Article created successfully",
+          data: result,
+        });
+      } catch (error) {
+        console.error("Error creating article:", error);
+        res.status(500).json({ success: false, error: "Failed to create article" });
+      }
+    });
+
+  // Get all articles
+  app.get("/articles", validate(schemas.noInput), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+        
+        const articles = await articlesCollection.find(listedArticleFilter).sort({ publishDate: -1, createdAt: -1 }).toArray();
+        res.status(200).json(articles.map(withRenderedContent));
+      } catch (error) {
+        console.error("Error fetching articles:", error);
+        res.status(500).json({ success: false, error: "Failed to fetch articles", details: error.message });
+      }
+    });
+
+  // Get the caller's own articles, drafts and scheduled ones included - Protected
+  app.get("/my-articles", authenticateToken, validate(schemas.myArticles), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+
+        const filter = { $or: [{ authorEmail: req.user.email }, { userEmail: req.user.email }] };
+        if (req.query.status === "published") filter.status = { $in: [null, "published"] };
+        else if (req.query.status) filter.status = req.query.status;
+
+        const articles = await articlesCollection.find(filter).sort({ createdAt: -1 }).toArray();
+        res.status(200).json({ success: true, data: articles.map(withRenderedContent) });
+      } catch (error) {
+        console.error("Error fetching own articles:", error);
+        res.status(500).json({ success: false, error: "Failed to fetch articles" });
+      }
+    });
+
+  // Get article by ID or slug
+  app.get("/articles/:id", validate(schemas.articleRef), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+        
+        const article = await findArticleByRef(req.params.id, readableArticleFilter);
+        if (!article) {
+          return res.status(404).json({ success: false, error: "Article not found" });
+        }
+        res.status(200).json(withRenderedContent(article));
+      } catch (error) {
+        console.error("Error fetching article:", error);
+        res.status(500).json({ success: false, error: "Failed to fetch article" });
+      }
+    });
+
+  // Update article - Protected: Only author can update
+  app.put("/articles/:id", authenticateToken, validate(schemas.updateArticle), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+        
+        const { id } = req.params;
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).json({ success: false, error: "Invalid article ID" });
+        }
+
+        // Check if article exists
+        const article = await articlesCollection.findOne({ _id: new ObjectId(id) });
+        if (!article) {
+          return res.status(404).json({ success: false, error: "Article not found" });
+        }
+
+        // Check authorization
+        if (!isCreator(article, req.user.email, req.user.uid)) {
+          return res.status(403).json({
+            success: false,
+            error: "Forbidden: You can only update your own articles",
+          });
+        }
+
+        const { status, publishDate, slug, ...updatedData } = req.body;
+        
+        // Prevent changing author info
+        delete updatedData.authorEmail;
+        delete updatedData.authorId;
+        delete updatedData.userEmail;
+        delete updatedData.userId;
+        updatedData.updatedAt = new Date().toISOString();
+
+        if (updatedData.content !== undefined) {
+          Object.assign(updatedData, renderArticleContent(updatedData.content));
+          updatedData.uploadKeys = uploadKeysIn(updatedData.content);
+        }
+
+        if (status !== undefined || publishDate !== undefined) {
+          const { fields, error } = resolveArticlePublication({ status, publishDate }, article);
+          if (error) {
+            return res.status(400).json({ success: false, error });
+          }
+          Object.assign(updatedData, fields);
+        }
+
+        // Renames keep the old slug reserved so existing links still resolve
+        const update = { $set: updatedData };
+        if (slug !== undefined && slug !== article.slug) {
+          if (await isArticleSlugTaken(slug, article._id)) {
+            return res.status(409).json({ success: false, error: "Slug is already in use" });
+          }
+          updatedData.slug = slug;
+          if (article.slug) update.$addToSet = { previousSlugs: article.slug };
+        } else if (!article.slug) {
+          updatedData.slug = await uniqueArticleSlug(updatedData.title || article.title, article._id);
+        }
+
+        const updatedArticle = await updateArticleWithRevision(article, update, req.user);
+        if (!updatedArticle) {
+          return res.status(404).json({ success: false, error: "Article not found" });
+        }
+        await recordAudit(req, { action: "update", resource: "article", resourceId: id, before: article, after: updatedArticle });
+
+        res.status(200).json({
+          success: true,
+          message: "Article updated successfully",
+          data: updatedArticle,
+        });
+      } catch (error) {
+        console.error("Error updating article:", error);
+        res.status(500).json({ success: false, error: "Failed to update article" });
+      }
+    });
+
+  // ** Article Revisions API **
+  // Every create, update and restore stores the article's content as a numbered revision.
+  // Looks the article up for the revision routes - only its author gets past this
+  const loadOwnArticle = async (req, res) => {
+    const article = await articlesCollection.findOne({ _id: new ObjectId(req.params.id) });
+    if (!article) {
+      res.status(404).json({ success: false, error: "Article not found" });
+      return null;
+    }
+    if (!isCreator(article, req.user.email, req.user.uid)) {
+      res.status(403).json({
+        success: false,
+        error: "Forbidden: You can only view revisions of your own articles",
+      });
+      return null;
+    }
+    await ensureBaselineRevision(article);
+    return article;
+  };
+
+  // List revisions, newest first - Protected: Only author
+  app.get("/articles/:id/revisions", authenticateToken, validate(schemas.byId), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+
+        const article = await loadOwnArticle(req, res);
+        if (!article) return;
+
+        const revisions = await articleRevisionsCollection
+          .find({ articleId: req.params.id }, { projection: { articleId: 0, content: 0 } })
+          .sort({ revision: -1 })
+          .toArray();
+        res.status(200).json({ success: true, data: revisions, current: article.revision || 1 });
+      } catch (error) {
+        console.error("Error fetching article revisions:", error);
+        res.status(500).json({ success: false, error: "Failed to fetch revisions" });
+      }
+    });
+
+  // Get one revision with its full content - Protected: Only author
+  app.get("/articles/:id/revisions/:revision", authenticateToken, validate(schemas.articleRevision), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+
+        const article = await loadOwnArticle(req, res);
+        if (!article) return;
+
+        const revision = await articleRevisionsCollection.findOne({
+          articleId: req.params.id,
+          revision: req.params.revision,
+        });
+        if (!revision) {
+          return res.status(404).json({ success: false, error: "Revision not found" });
+        }
+        res.status(200).json({ success: true, data: revision });
+      } catch (error) {
+        console.error("Error fetching article revision:", error);
+        res.status(500).json({ success: false, error: "Failed to fetch revision" });
+      }
+    });
+
+  // Compare a revision with another one (default: the revision before it) - Protected: Only author
+  app.get("/articles/:id/revisions/:revision/diff", authenticateToken, validate(schemas.articleRevisionDiff), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+
+        const article = await loadOwnArticle(req, res);
+        if (!article) return;
+
+        const to = req.params.revision;
+        const from = req.query.against ?? to - 1;
+        const revisions = await articleRevisionsCollection
+          .find({ articleId: req.params.id, revision: { $in: [from, to] } })
+          .toArray();
+        const newer = revisions.find((revision) => revision.revision === to);
+        const older = revisions.find((revision) => revision.revision === from);
+        if (!newer || (!older && from >= 1)) {
+          return res.status(404).json({ success: false, error: "Revision not found" });
+        }
+
+        // Revision 1 compared with nothing lists its whole content
+        const { before, after, changedFields } = diffSnapshots(
+          older ? articleRevisionContent(older) : null,
+          articleRevisionContent(newer)
+        );
+        res.status(200).json({
+          success: true,
+          data: { from: older ? from : null, to, changedFields, before, after },
+        });
+      } catch (error) {
+        console.error("Error comparing article revisions:", error);
+        res.status(500).json({ success: false, error: "Failed to compare revisions" });
+      }
+    });
+
+  // Restore the content of an old revision as a new revision - Protected: Only author
+  app.post("/articles/:id/revisions/:revision/restore", authenticateToken, validate(schemas.articleRevision), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+
+        const article = await loadOwnArticle(req, res);
+        if (!article) return;
+
+        const revision = await articleRevisionsCollection.findOne({
+          articleId: req.params.id,
+          revision: req.params.revision,
+        });
+        if (!revision) {
+          return res.status(404).json({ success: false, error: "Revision not found" });
+        }
+
+        const updatedArticle = await updateArticleWithRevision(
+          article,
+          {
+            $set: {
+              ...articleRevisionContent(revision),
+              ...renderArticleContent(revision.content),
+              uploadKeys: uploadKeysIn(revision.content),
+              updatedAt: new Date().toISOString(),
+            },
+          },
+          req.user,
+          { restoredFrom: revision.revision }
+        );
+        if (!updatedArticle) {
+          return res.status(404).json({ success: false, error: "Article not found" });
+        }
+        await recordAudit(req, {
+          action: "restore",
+          resource: "article",
+          resourceId: req.params.id,
+          before: article,
+          after: updatedArticle,
+          details: { restoredFrom: revision.revision },
+        });
+
+        res.status(200).json({
+          success: true,
+          message: `Article restored to revision ${revision.revision}`,
+          data: updatedArticle,
+        });
+      } catch (error) {
+        console.error("Error restoring article revision:", error);
+        res.status(500).json({ success: false, error: "Failed to restore revision" });
+      }
+    });
+
+  // Delete article - Protected: Only author can delete
+  app.delete("/articles/:id", authenticateToken, validate(schemas.byId), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+        
+        const { id } = req.params;
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).json({ success: false, error: "Invalid article ID" });
+        }
+
+        // Check if article exists
+        const article = await articlesCollection.findOne({ _id: new ObjectId(id) });
+        if (!article) {
+          return res.status(404).json({ success: false, error: "Article not found" });
+        }
+
+        // Check authorization
+        if (!isCreator(article, req.user.email, req.user.uid)) {
+          return res.status(403).json({
+            success: false,
+            error: "Forbidden: You can only delete your own articles",
+          });
+        }
+
+        // Delete the article
+        const result = await articlesCollection.deleteOne({ _id: new ObjectId(id) });
+        
+        if (result.deletedCount === 1) {
+          // Also delete all comments for this article
+          const comments = await commentsCollection.deleteMany({ articleId: id });
+          await commentReactionsCollection.deleteMany({ articleId: id });
+          await articleRevisionsCollection.deleteMany({ articleId: id });
+          await releaseUploads([article]);
+          await recordAudit(req, {
+            action: "delete",
+            resource: "article",
+            resourceId: id,
+            before: article,
+            details: { commentsDeleted: comments.deletedCount },
+          });
+          await publishRealtime(`article:${id}`, "article_deleted", { articleId: id });
+          
+          res.status(200).json({
+            success: true,
+            message: "Article deleted successfully",
+          });
+        } else {
+          res.status(404).json({ success: false, error: "Article not found" });
+        }
+      } catch (error) {
+        console.error("Error deleting article:", error);
+        res.status(500).json({ success: false, error: "Failed to delete article" });
+      }
+    });
+
+  // ** Comments API **
+  // Get the comments of an article. Without limit/cursor: the flat legacy array. With them:
+  // a page of top-level comments, newest first, each with its nested replies
+  app.get("/articles/:id/comments", validate(schemas.listComments), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+        
+        const { id } = req.params;
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).json({ success: false, error: "Invalid article ID" });
+        }
+
+        const { limit, cursor } = req.query;
+        if (limit === undefined && cursor === undefined) {
+          const comments = await commentsCollection
+            .find({ articleId: id, hidden: { $ne: true }, deleted: { $ne: true } })
+            .sort({ timestamp: -1, createdAt: -1 })
+            .toArray();
+          return res.status(200).json(comments.map((comment) => publicComment(comment)));
+        }
+
+        const filter = { articleId: id, parentId: null };
+        if (cursor) {
+          const position = decodeCursor(cursor);
+          if (!position) {
+            return res.status(400).json({ success: false, error: "Invalid cursor" });
+          }
+          const lastId = new ObjectId(position.id);
+          filter.$or = [
+            { createdAt: { $lt: position.value } },
+            { createdAt: position.value, _id: { $lt: lastId } },
+          ];
+        }
+
+        // Fetch one extra row to know whether another page exists. Hidden top-level comments
+        // are fetched too, so their visible replies still show under a placeholder
+        const pageSize = limit || 20;
+        const rows = await commentsCollection
+          .find(filter)
+          .sort({ createdAt: -1, _id: -1 })
+          .limit(pageSize + 1)
+          .toArray();
+        const hasMore = rows.length > pageSize;
+        const roots = rows.slice(0, pageSize);
+        const last = roots[roots.length - 1];
+        const nextCursor =
+          hasMore && last ? encodeCursor({ value: last.createdAt, id: last._id.toString() }) : null;
+
+        const replies = await commentsCollection
+          .find({ rootId: { $in: roots.map((root) => root._id.toString()) } })
+          .toArray();
+        res.status(200).json({
+          success: true,
+          data: buildCommentTree(roots, replies),
+          nextCursor,
+        });
+      } catch (error) {
+        console.error("Error fetching comments:", error);
+        res.status(500).json({ success: false, error: "Failed to fetch comments" });
+      }
+    });
+
+  // Edit history of a comment, oldest first - Public
+  app.get("/articles/:id/comments/:commentId/history", validate(schemas.byCommentId), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+
+        const { id, commentId } = req.params;
+        const comment = await commentsCollection.findOne({
+          _id: new ObjectId(commentId),
+          articleId: id,
+          hidden: { $ne: true },
+          deleted: { $ne: true },
+        });
+        if (!comment) {
+          return res.status(404).json({ success: false, error: "Comment not found" });
+        }
+
+        res.status(200).json({
+          success: true,
+          data: {
+            text: comment.text,
+            editedAt: comment.editedAt || null,
+            history: comment.history || [],
+          },
+        });
+      } catch (error) {
+        console.error("Error fetching comment history:", error);
+        res.status(500).json({ success: false, error: "Failed to fetch comment history" });
+      }
+    });
+
+  // Live comment stream for an article (Server-Sent Events) - Public
+  app.get("/articles/:id/events", validate(schemas.byId), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+
+        const { id } = req.params;
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).json({ success: false, error: "Invalid article ID" });
+        }
+        const article = await articlesCollection.findOne(
+          { _id: new ObjectId(id), ...readableArticleFilter },
+          { projection: { _id: 1 } }
+        );
+        if (!article) {
+          return res.status(404).json({ success: false, error: "Article not found" });
+        }
+
+        streamChannel(req, res, `article:${id}`);
+      } catch (error) {
+        console.error("Error opening article event stream:", error);
+        res.status(500).json({ success: false, error: "Failed to open event stream" });
+      }
+    });
+
+  // Create a comment - Protected: Requires authentication
+  app.post("/articles/:id/comments", authenticateToken, rateLimit("createComment"), validate(schemas.createComment), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+        
+        const { id } = req.params;
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).json({ success: false, error: "Invalid article ID" });
+        }
+
+        // Verify article exists and is published (drafts and archived articles take no comments)
+        const article = await articlesCollection.findOne({ _id: new ObjectId(id), ...listedArticleFilter });
+        if (!article) {
+          return res.status(404).json({ success: false, error: "Article not found" });
+        }
+
+        const commentData = req.body;
+        
+        // Validate required fields
+        if (!commentData.text && !commentData.comment) {
+          return res.status(400).json({ success: false, error: "Comment text is required" });
+        }
+
+        // Replies hang under a visible comment of the same article, up to MAX_COMMENT_DEPTH levels
+        let parent = null;
+        if (commentData.parentId) {
+          parent = await commentsCollection.findOne({
+            _id: new ObjectId(commentData.parentId),
+            articleId: id,
+            hidden: { $ne: true },
+          });
+          if (!parent) {
+            return res.status(404).json({ success: false, error: "Parent comment not found" });
+          }
+          if (parent.deleted) {
+            return res.status(409).json({ success: false, error: "Cannot reply to a deleted comment" });
+          }
+          if ((parent.depth || 0) + 1 >= MAX_COMMENT_DEPTH) {
+            return res.status(400).json({
+              success: false,
+              error: `Replies can only be nested ${MAX_COMMENT_DEPTH - 1} levels deep`,
+            });
+          }
+        }
+
+        // Prepare comment data with authenticated user info
+        const newComment = {
+          articleId: id,
+          parentId: parent ? parent._id.toString() : null,
+          rootId: parent ? parent.rootId || parent._id.toString() : null,
+          depth: parent ? (parent.depth || 0) + 1 : 0,
+          replyCount: 0,
+          text: commentData.text || commentData.comment,
+          ...renderCommentText(commentData.text || commentData.comment),
+          authorName: commentData.authorName || req.user.name || "Anonymous",
+          authorEmail: req.user.email,
+          authorId: req.user.uid,
+          authorImage: commentData.authorImage || defaultImageUrl(req, "avatar"),
+          timestamp: commentData.timestamp || new Date().toISOString(),
+          createdAt: new Date().toISOString(),
+        };
+
+        const result = await commentsCollection.insertOne(newComment);
+        if (parent) {
+          await commentsCollection.updateOne({ _id: parent._id }, { $inc: { replyCount: 1 } });
+        }
+        await recordAudit(req, {
+          action: "create",
+          resource: "comment",
+          resourceId: result.insertedId,
+          after: newComment,
+          details: { articleId: id },
+        });
+        await publishRealtime(`article:${id}`, "comment_created", { articleId: id, comment: publicComment(newComment) });
+
+        if (article.authorEmail && article.authorEmail !== req.user.email) {
+          await enqueueNotification("article_comment", article.authorEmail, {
+            article: {
+              title: article.title || "Untitled",
+              url: clientUrl ? `${clientUrl}/articles/${id}` : null,
+            },
+            comment: {
+              authorName: newComment.authorName,
+              excerpt: excerptOf(toPlainText(newComment.textHtml)),
+            },
+          });
+        }
+
+        res.status(201).json({
+          success: true,
+          message: "Comment created successfully",
+          data: result,
+        });
+      } catch (error) {
+        console.error("Error creating comment:", error);
+        res.status(500).json({ success: false, error: "Failed to create comment" });
+      }
+    });
+
+  // Edit a comment - Protected: Only the comment author can edit
+  // The previous text is kept in history (last COMMENT_HISTORY_LIMIT versions)
+  app.put("/articles/:id/comments/:commentId", authenticateToken, validate(schemas.updateComment), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+
+        const { id, commentId } = req.params;
+        const comment = await commentsCollection.findOne({
+          _id: new ObjectId(commentId),
+          articleId: id,
+          hidden: { $ne: true },
+        });
+        if (!comment) {
+          return res.status(404).json({ success: false, error: "Comment not found" });
+        }
+        if (comment.deleted) {
+          return res.status(409).json({ success: false, error: "Cannot edit a deleted comment" });
+        }
+        if (!isCreator(comment, req.user.email, req.user.uid)) {
+          return res.status(403).json({
+            success: false,
+            error: "Forbidden: You can only edit your own comments",
+          });
+        }
+
+        const { text } = req.body;
+        if (text === comment.text) {
+          return res.status(200).json({ success: true, data: publicComment(comment) });
+        }
+
+        const editedAt = new Date().toISOString();
+        const updated = await commentsCollection.findOneAndUpdate(
+          { _id: comment._id, deleted: { $ne: true } },
+          {
+            $set: { text, ...renderCommentText(text), editedAt },
+            $push: {
+              history: {
+                $each: [{ text: comment.text, editedAt: comment.editedAt || comment.createdAt || null }],
+                $slice: -COMMENT_HISTORY_LIMIT,
+              },
+            },
+          },
+          { returnDocument: "after" }
+        );
+        if (!updated) {
+          return res.status(404).json({ success: false, error: "Comment not found" });
+        }
+
+        await recordAudit(req, {
+          action: "update",
+          resource: "comment",
+          resourceId: commentId,
+          before: { text: comment.text, editedAt: comment.editedAt },
+          after: { text: updated.text, editedAt: updated.editedAt },
+          details: { articleId: id },
+        });
+        await publishRealtime(`article:${id}`, "comment_updated", {
+          articleId: id,
+          comment: publicComment(updated),
+        });
+
+        res.status(200).json({ success: true, message: "Comment updated successfully", data: publicComment(updated) });
+      } catch (error) {
+        console.error("Error updating comment:", error);
+        res.status(500).json({ success: false, error: "Failed to update comment" });
+      }
+    });
+
+  // React to a comment; each user can add each reaction once - Protected: Requires authentication
+  const handleCommentReaction = (active) => async (req, res) => {
+    try {
+      const dbCheck = await checkDbConnection(res);
+      if (dbCheck) return dbCheck;
+
+      const { id, commentId, reaction } = req.params;
+      const comment = await commentsCollection.findOne({
+        _id: new ObjectId(commentId),
+        articleId: id,
+        hidden: { $ne: true },
+      });
+      if (!comment) {
+        return res.status(404).json({ success: false, error: "Comment not found" });
+      }
+      if (comment.deleted) {
+        return res.status(409).json({ success: false, error: "Cannot react to a deleted comment" });
+      }
+
+      const result = await setCommentReaction(comment, req.user.email, reaction, active);
+      if (!result) {
+        return res.status(404).json({ success: false, error: "Comment not found" });
+      }
+
+      const { changed, reactions, myReactions } = result;
+      if (changed) {
+        await recordAudit(req, {
+          action: active ? "react" : "unreact",
+          resource: "comment",
+          resourceId: commentId,
+          details: { articleId: id, reaction },
+        });
+        await publishRealtime(`article:${id}`, "comment_reactions", { articleId: id, commentId, reactions });
+      }
+
+      res.status(200).json({ success: true, data: { reactions, myReactions } });
+    } catch (error) {
+      console.error("Error updating comment reaction:", error);
+      res.status(500).json({ success: false, error: "Failed to update reaction" });
+    }
+  };
+
+  app.put(
+    "/articles/:id/comments/:commentId/reactions/:reaction",
+    authenticateToken,
+    validate(schemas.commentReaction),
+    handleCommentReaction(true)
+  );
+
+  // Remove your reaction from a comment - Protected: Requires authentication
+  app.delete(
+    "/articles/:id/comments/:commentId/reactions/:reaction",
+    authenticateToken,
+    validate(schemas.commentReaction),
+    handleCommentReaction(false)
+  );
+
+  // Delete a comment - Protected: Only comment author or article author can delete
+  // A comment with replies stays in the thread as a "deleted" placeholder
+  app.delete("/articles/:id/comments/:commentId", authenticateToken, validate(schemas.byCommentId), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+        
+        const { id, commentId } = req.params;
+        
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).json({ success: false, error: "Invalid article ID" });
+        }
+        if (!ObjectId.isValid(commentId)) {
+          return res.status(400).json({ success: false, error: "Invalid comment ID" });
+        }
 
-        // Verify group exists
-        try {
-          const group = await groupCollection.findOne({ _id: new ObjectId(groupId) });
-          if (!group) {
-            return res.status(404).json({ success: false, error: "Group not found" });
+        // Verify comment exists and belongs to the article
+        const comment = await commentsCollection.findOne({
+          _id: new ObjectId(commentId),
+          articleId: id,
+        });
+
+        if (!comment) {
+          return res.status(404).json({ success: false, error: "Comment not found" });
+        }
+
+        // Check if user is the comment author
+        const isCommentAuthor = isCreator(comment, req.user.email, req.user.uid);
+        
+        // Also check if user is the article author (can delete any comment on their article)
+        let isArticleAuthor = false;
+        if (!isCommentAuthor) {
+          const article = await articlesCollection.findOne({ _id: new ObjectId(id) });
+          if (article) {
+            isArticleAuthor = isCreator(article, req.user.email, req.user.uid);
           }
-        } catch (objectIdError) {
-          return res.status(400).json({ success: false, error: "Invalid group ID format" });
         }
 
-        // Create join record with authenticated user info
-        const joinedGroup = {
-          groupId,
-          userEmail,
-          userId,
-          joinedAt: new Date().toISOString(),
-        };
+        // Authorization check
+        if (!isCommentAuthor && !isArticleAuthor) {
+          return res.status(403).json({
+            success: false,
+            error: "Forbidden: You can only delete your own comments or comments on your articles",
+          });
+        }
 
-        const result = await joinedCollection.insertOne(joinedGroup);
-        res.status(201).json({ success: true, data: result });
-      } catch (err) {
-        console.error("Error joining group:", err);
-        res.status(500).json({ success: false, error: "Failed to join group" });
+        if (comment.deleted) {
+          return res.status(404).json({ success: false, error: "Comment not found" });
+        }
+
+        const outcome = await removeComment(comment);
+        const placeholder = outcome === "placeholder";
+        await recordAudit(req, {
+          action: "delete",
+          resource: "comment",
+          resourceId: commentId,
+          before: comment,
+          details: { articleId: id, placeholder },
+        });
+        await publishRealtime(`article:${id}`, "comment_deleted", { articleId: id, commentId, placeholder });
+        res.status(200).json({
+          success: true,
+          message: "Comment deleted successfully",
+          placeholder,
+        });
+      } catch (error) {
+        console.error("Error deleting comment:", error);
+        res.status(500).json({ success: false, error: "Failed to delete comment" });
       }
     });
 
-  // Get joined groups by user - Protected: Requires authentication
-  app.get("/user-joined-groups", authenticateToken, async (req, res) => {
+  // ** Uploads API **
+  // Upload an image (multipart/form-data, field "file") - Protected
+  app.post("/uploads", authenticateToken, rateLimit("upload"), validate(schemas.noInput), async (req, res) => {
       try {
         const dbCheck = await checkDbConnection(res);
         if (dbCheck) return dbCheck;
-        
-        // Use authenticated user's email instead of query parameter for security
-        const userEmail = req.user.email;
-        
-        if (!userEmail) {
-          return res.status(400).json({ success: false, message: "User email is required" });
+
+        // Refuse bodies that cannot fit before reading them
+        if (Number(req.headers["content-length"]) > UPLOAD_MAX_BYTES + MULTIPART_OVERHEAD_BYTES) {
+          return res
+            .status(413)
+            .json({ success: false, error: `Images can be at most ${UPLOAD_MAX_BYTES} bytes` });
+        }
+        const usage = await getUploadUsage(req.user.email);
+        const refuseOverQuota = () =>
+          res.status(403).json({
+            success: false,
+            error: "Upload quota exceeded - delete unused uploads first",
+            usage: { ...usage, quotaBytes: UPLOAD_QUOTA_BYTES },
+          });
+        if (usage.bytes >= UPLOAD_QUOTA_BYTES) {
+          return refuseOverQuota();
         }
 
-        const groups = await joinedCollection
-          .find({ userEmail: userEmail })
-          .toArray();
-        res.status(200).json(groups);
-      } catch (err) {
-        console.error("Error fetching joined groups:", err);
-        res
-          .status(500)
-          .json({ success: false, message: "Failed to fetch joined groups" });
+        const { file, status, error } = await readMultipartFile(req, { maxBytes: UPLOAD_MAX_BYTES });
+        if (error) {
+          return res.status(status).json({ success: false, error });
+        }
+        const type = sniffImageType(file.buffer);
+        if (!type) {
+          return res
+            .status(415)
+            .json({ success: false, error: "Only JPEG, PNG, GIF and WebP images can be uploaded" });
+        }
+        if (usage.bytes + file.buffer.length > UPLOAD_QUOTA_BYTES) {
+          return refuseOverQuota();
+        }
+
+        const key = newUploadKey(type.extension);
+        await uploadStorage.put(key, file.buffer, { contentType: type.contentType });
+        const upload = {
+          key,
+          url: uploadUrl(req, key),
+          contentType: type.contentType,
+          size: file.buffer.length,
+          originalName: file.filename ? file.filename.slice(0, 255) : null,
+          userEmail: req.user.email,
+          userId: req.user.uid,
+          createdAt: new Date(),
+        };
+        const result = await uploadsCollection.insertOne(upload);
+
+        res.status(201).json({ success: true, data: describeUpload({ _id: result.insertedId, ...upload }) });
+      } catch (error) {
+        console.error("Error uploading image:", error);
+        res.status(500).json({ success: false, error: "Failed to upload image" });
       }
     });
 
-  // Fetch groups by array of IDs (for joined groups details)
-  app.post("/groupsByIds", async (req, res) => {
+  // Serve an uploaded image - keys are random and never reused, so it is cached for good
+  app.get("/uploads/:key", validate(schemas.uploadKey), async (req, res) => {
+      try {
+        const { key } = req.params;
+        const stream = await uploadStorage.read(key);
+        if (!stream) {
+          return res.status(404).json({ success: false, error: "Upload not found" });
+        }
+
+        res.set({
+          "Content-Type": contentTypeOfKey(key),
+          "Cache-Control": "public, max-age=31536000, immutable",
+          "X-Content-Type-Options": "nosniff",
+          "Content-Security-Policy": "default-src 'none'",
+        });
+        stream.on("error", (error) => {
+          console.error("Error streaming upload:", error);
+          res.destroy(error);
+        });
+        stream.pipe(res);
+      } catch (error) {
+        console.error("Error serving upload:", error);
+        res.status(500).json({ success: false, error: "Failed to serve upload" });
+      }
+    });
+
+  // List my uploads with quota usage - Protected
+  app.get("/my-uploads", authenticateToken, validate(schemas.listUploads), async (req, res) => {
       try {
         const dbCheck = await checkDbConnection(res);
         if (dbCheck) return dbCheck;
-        
-        const { ids } = req.body;
-        if (!ids || !Array.isArray(ids) || ids.length === 0) {
-          return res
-            .status(400)
-            .json({ success: false, message: "Invalid group IDs" });
+
+        const limit = req.query.limit ?? 50;
+        const skip = req.query.skip ?? 0;
+        const [uploads, usage] = await Promise.all([
+          uploadsCollection
+            .find({ userEmail: req.user.email })
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .toArray(),
+          getUploadUsage(req.user.email),
+        ]);
+
+        res.status(200).json({
+          success: true,
+          data: uploads.map(describeUpload),
+          usage: { ...usage, quotaBytes: UPLOAD_QUOTA_BYTES, maxFileBytes: UPLOAD_MAX_BYTES },
+        });
+      } catch (error) {
+        console.error("Error fetching uploads:", error);
+        res.status(500).json({ success: false, error: "Failed to fetch uploads" });
+      }
+    });
+
+  // Delete one of my uploads (admins: any upload) - Protected. Uploads still linked from a
+  // group, article, comment or profile are kept, so no page ends up with a broken image.
+  app.delete("/uploads/:id", authenticateToken, validate(schemas.byId), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+
+        const upload = await uploadsCollection.findOne({ _id: new ObjectId(req.params.id) });
+        if (!upload) {
+          return res.status(404).json({ success: false, error: "Upload not found" });
         }
-        
-        // Validate all IDs before converting
-        const invalidIds = ids.filter(id => !ObjectId.isValid(id));
-        if (invalidIds.length > 0) {
-          return res.status(400).json({ 
-            success: false, 
-            message: "Invalid group ID format", 
-            invalidIds 
+        if (!isCreator(upload, req.user.email, req.user.uid) && !isAdmin(req.user)) {
+          return res.status(403).json({ success: false, error: "Forbidden: You can only delete your own uploads" });
+        }
+        if (await isUploadInUse(upload)) {
+          return res.status(409).json({ success: false, error: "This image is still in use" });
+        }
+
+        await deleteUpload(upload);
+        res.status(200).json({ success: true, message: "Upload deleted successfully" });
+      } catch (error) {
+        console.error("Error deleting upload:", error);
+        res.status(500).json({ success: false, error: "Failed to delete upload" });
+      }
+    });
+
+  // Default images for articles and people without one (replaces third-party placeholders)
+  app.get("/defaults/:name.svg", validate(schemas.defaultImage), (req, res) => {
+    res.set("Content-Type", "image/svg+xml");
+    res.set("Cache-Control", "public, max-age=86400");
+    res.status(200).send(DEFAULT_IMAGES[req.params.name]);
+  });
+
+  // ** Admin: Moderation API **
+  // Groups, articles and comments share the same list / hide / unhide / delete routes.
+  // Hidden content stays in the database but is left out of every public route.
+  const moderatedResources = [
+    {
+      path: "groups",
+      label: "Group",
+      collection: () => groupCollection,
+      searchFields: ["groupName", "description", "userEmail"],
+      remove: async (group) =>
+        group.isSeries ? deleteSeries(group) : deleteGroupsCascade([group._id.toString()]),
+    },
+    {
+      path: "articles",
+      label: "Article",
+      collection: () => articlesCollection,
+      searchFields: ["title", "authorEmail"],
+      remove: async (article) => {
+        const id = article._id.toString();
+        const result = await articlesCollection.deleteOne({ _id: article._id });
+        await commentsCollection.deleteMany({ articleId: id });
+        await commentReactionsCollection.deleteMany({ articleId: id });
+        await articleRevisionsCollection.deleteMany({ articleId: id });
+        await releaseUploads([article]);
+        await publishRealtime(`article:${id}`, "article_deleted", { articleId: id });
+        return result.deletedCount;
+      },
+    },
+    {
+      path: "comments",
+      label: "Comment",
+      collection: () => commentsCollection,
+      searchFields: ["text", "authorEmail"],
+      filters: ["articleId"],
+      remove: async (comment) => {
+        const outcome = await removeComment(comment);
+        await publishRealtime(`article:${comment.articleId}`, "comment_deleted", {
+          articleId: comment.articleId,
+          commentId: comment._id.toString(),
+          placeholder: outcome === "placeholder",
+        });
+        return 1;
+      },
+    },
+  ];
+
+  for (const resource of moderatedResources) {
+    const { path, label } = resource;
+
+    // List any content, including hidden - Protected: Moderator or admin
+    app.get(`/admin/${path}`, authenticateToken, requireRole("moderator"), validate(schemas.moderationList), async (req, res) => {
+        try {
+          const dbCheck = await checkDbConnection(res);
+          if (dbCheck) return dbCheck;
+
+          const filter = {};
+          if (req.query.hidden === "true") filter.hidden = true;
+          if (req.query.hidden === "false") filter.hidden = { $ne: true };
+          for (const field of resource.filters || []) {
+            if (req.query[field]) filter[field] = String(req.query[field]);
+          }
+          if (req.query.q) {
+            const pattern = searchPattern(req.query.q);
+            filter.$or = resource.searchFields.map((field) => ({ [field]: pattern }));
+          }
+          const limit = Math.min(Number(req.query.limit) || 50, 200);
+          const skip = Math.max(Number(req.query.skip) || 0, 0);
+
+          const [items, total] = await Promise.all([
+            resource.collection().find(filter).sort({ _id: -1 }).skip(skip).limit(limit).toArray(),
+            resource.collection().countDocuments(filter),
+          ]);
+
+          res.status(200).json({ success: true, data: items, total });
+        } catch (error) {
+          console.error(`Error listing ${path} for moderation:`, error);
+          res.status(500).json({ success: false, error: `Failed to list ${path}` });
+        }
+      });
+
+    // Hide or unhide - Protected: Moderator or admin
+    for (const action of ["hide", "unhide"]) {
+      app.post(`/admin/${path}/:id/${action}`, authenticateToken, requireRole("moderator"), validate(schemas.moderationAction), async (req, res) => {
+          try {
+            const dbCheck = await checkDbConnection(res);
+            if (dbCheck) return dbCheck;
+
+            const { id } = req.params;
+            if (!ObjectId.isValid(id)) {
+              return res.status(400).json({ success: false, error: `Invalid ${label.toLowerCase()} ID` });
+            }
+
+            const update =
+              action === "hide"
+                ? {
+                    $set: {
+                      hidden: true,
+                      hiddenAt: new Date().toISOString(),
+                      hiddenBy: req.user.email,
+                      hiddenReason: req.body?.reason || null,
+                    },
+                  }
+                : { $set: { hidden: false }, $unset: { hiddenAt: "", hiddenBy: "", hiddenReason: "" } };
+
+            const before = await resource.collection().findOne({ _id: new ObjectId(id) });
+            const item =
+              before &&
+              (await resource
+                .collection()
+                .findOneAndUpdate({ _id: before._id }, update, { returnDocument: "after" }));
+            if (!item) {
+              return res.status(404).json({ success: false, error: `${label} not found` });
+            }
+            await recordAudit(req, {
+              action,
+              resource: label.toLowerCase(),
+              resourceId: id,
+              before,
+              after: item,
+            });
+
+            res.status(200).json({
+              success: true,
+              message: action === "hide" ? `${label} hidden` : `${label} visible again`,
+              data: item,
+            });
+          } catch (error) {
+            console.error(`Error trying to ${action} ${label.toLowerCase()}:`, error);
+            res.status(500).json({ success: false, error: `Failed to ${action} ${label.toLowerCase()}` });
+          }
+        });
+    }
+
+    // Delete any content - Protected: Moderator or admin
+    app.delete(`/admin/${path}/:id`, authenticateToken, requireRole("moderator"), validate(schemas.byId), async (req, res) => {
+        try {
+          const dbCheck = await checkDbConnection(res);
+          if (dbCheck) return dbCheck;
+
+          const { id } = req.params;
+          if (!ObjectId.isValid(id)) {
+            return res.status(400).json({ success: false, error: `Invalid ${label.toLowerCase()} ID` });
+          }
+
+          const item = await resource.collection().findOne({ _id: new ObjectId(id) });
+          if (!item) {
+            return res.status(404).json({ success: false, error: `${label} not found` });
+          }
+
+          const deletedCount = await resource.remove(item);
+          await recordAudit(req, {
+            action: "delete",
+            resource: label.toLowerCase(),
+            resourceId: id,
+            before: item,
+            details: { moderation: true, deletedCount },
           });
+          res.status(200).json({ success: true, message: `${label} deleted successfully`, deletedCount });
+        } catch (error) {
+          console.error(`Error deleting ${label.toLowerCase()}:`, error);
+          res.status(500).json({ success: false, error: `Failed to delete ${label.toLowerCase()}` });
         }
-        
-        const objectIds = ids.map((id) => new ObjectId(id));
-        const groups = await groupCollection
-          .find({ _id: { $in: objectIds } })
-          .toArray();
-        res.status(200).json(groups);
+      });
+  }
+
+  // ** Admin: Users API **
+  // List users with their role and suspension state - Protected: Moderator or admin
+  app.get("/admin/users", authenticateToken, requireRole("moderator"), validate(schemas.listUsers), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+
+        const filter = {};
+        if (req.query.role === "user") filter.role = { $in: [null, "user"] };
+        else if (req.query.role) filter.role = String(req.query.role);
+        if (req.query.suspended === "true") filter.suspendedAt = { $ne: null };
+        if (req.query.q) {
+          const pattern = searchPattern(req.query.q);
+          filter.$or = [{ email: pattern }, { name: pattern }];
+        }
+        const limit = Math.min(Number(req.query.limit) || 50, 200);
+        const skip = Math.max(Number(req.query.skip) || 0, 0);
+
+        const [users, total] = await Promise.all([
+          usersCollection
+            .find(filter, { projection: adminUserProjection })
+            .sort({ _id: -1 })
+            .skip(skip)
+            .limit(limit)
+            .toArray(),
+          usersCollection.countDocuments(filter),
+        ]);
+
+        res.status(200).json({
+          success: true,
+          data: users.map((user) => ({
+            ...user,
+            role: isBootstrapAdmin(user) ? "admin" : user.role || "user",
+            suspended: isSuspended(user),
+          })),
+          total,
+        });
       } catch (error) {
-        console.error("Error fetching groups by IDs:", error);
-        res
-          .status(500)
-          .json({ success: false, message: "Failed to fetch groups by IDs", details: error.message });
+        console.error("Error listing users:", error);
+        res.status(500).json({ success: false, error: "Failed to list users" });
       }
     });
 
-  // ** New: Save User API **
-  app.post("/save-user", async (req, res) => {
+  // Change a user's role - Protected: Admin only
+  app.put("/admin/users/:id/role", authenticateToken, requireAdmin, validate(schemas.changeRole), async (req, res) => {
       try {
         const dbCheck = await checkDbConnection(res);
         if (dbCheck) return dbCheck;
-        
-        const { email, name, photo } = req.body;
 
-        if (!email) {
-          return res.status(400).json({ success: false, error: "Email is required" });
+        const { id } = req.params;
+        const { role } = req.body || {};
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).json({ success: false, error: "Invalid user ID" });
+        }
+        if (!ROLES.includes(role)) {
+          return res.status(400).json({ success: false, error: `role must be one of: ${ROLES.join(", ")}` });
         }
 
-        const updateDoc = {
-          $set: {
-            email,
-            name: name || "No Name",
-            photo: photo || "https://via.placeholder.com/40",
-            updatedAt: new Date(),
-          },
-        };
-        
-        // Add createdAt if it's a new user (upsert)
-        const existingUser = await usersCollection.findOne({ email });
-        if (!existingUser) {
-          updateDoc.$set.createdAt = new Date();
+        const target = await usersCollection.findOne({ _id: new ObjectId(id) });
+        if (!target) {
+          return res.status(404).json({ success: false, error: "User not found" });
+        }
+        if (target.email === req.user.email) {
+          return res.status(400).json({ success: false, error: "You cannot change your own role" });
         }
 
-        const result = await usersCollection.updateOne({ email }, updateDoc, {
-          upsert: true,
+        const user = await usersCollection.findOneAndUpdate(
+          { _id: target._id },
+          { $set: { role, roleUpdatedAt: new Date(), roleUpdatedBy: req.user.email } },
+          { returnDocument: "after", projection: adminUserProjection }
+        );
+
+        await recordAudit(req, {
+          action: "change_role",
+          resource: "user",
+          resourceId: id,
+          before: target,
+          after: { ...target, ...user },
         });
 
-        res.status(200).json({ success: true, result });
+        res.status(200).json({
+          success: true,
+          message: "Role updated successfully",
+          data: user,
+          ...(isBootstrapAdmin(user) && { warning: "This user is listed in ADMIN_EMAILS and stays an admin" }),
+        });
       } catch (error) {
-        console.error("Error saving user:", error);
-        res.status(500).json({ success: false, error: "Failed to save user" });
+        console.error("Error updating user role:", error);
+        res.status(500).json({ success: false, error: "Failed to update role" });
       }
     });
-  app.get("/dashboard-stats", async (req, res) => {
+
+  // Suspend an account, optionally until a date - Protected: Moderator or admin.
+  // Moderators can only suspend regular users.
+  app.post("/admin/users/:id/suspend", authenticateToken, requireRole("moderator"), validate(schemas.suspendUser), async (req, res) => {
       try {
         const dbCheck = await checkDbConnection(res);
         if (dbCheck) return dbCheck;
-        
-        // usersCollection - Handle cases where createdAt might not exist
-        const usersPerDay = await usersCollection
-          .aggregate([
-            {
-              $match: {
-                createdAt: { $exists: true, $ne: null }
-              }
-            },
-            {
-              $group: {
-                _id: {
-                  $dateToString: { format: "%Y-%m-%d", date: "$createdAt" },
-                },
-                users: { $sum: 1 },
-              },
-            },
-            { $sort: { _id: 1 } },
-          ])
-          .toArray();
 
-        // groupCollection
-        const groupsPerDay = await groupCollection
-          .aggregate([
-            {
-              $group: {
-                _id: "$formattedDate",
-                groups: { $sum: 1 },
-              },
-            },
-            { $sort: { _id: 1 } },
-          ])
-          .toArray();
+        const { id } = req.params;
+        const { reason, until } = req.body || {};
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).json({ success: false, error: "Invalid user ID" });
+        }
+        const suspendedUntil = until ? new Date(until) : null;
+        if (suspendedUntil && (Number.isNaN(suspendedUntil.getTime()) || suspendedUntil <= new Date())) {
+          return res.status(400).json({ success: false, error: "until must be a future date" });
+        }
 
-        const stats = [];
+        const target = await usersCollection.findOne({ _id: new ObjectId(id) });
+        if (!target) {
+          return res.status(404).json({ success: false, error: "User not found" });
+        }
+        const targetRole = isBootstrapAdmin(target) ? "admin" : target.role || "user";
+        const outranked = targetRole === "admin" || (targetRole === "moderator" && !isAdmin(req.user));
+        if (target.email === req.user.email || outranked) {
+          return res.status(403).json({ success: false, error: "Forbidden: You cannot suspend this account" });
+        }
 
-        usersPerDay.forEach((userDay) => {
-          const groupDay = groupsPerDay.find((g) => g._id === userDay._id);
-          stats.push({
-            date: userDay._id,
-            users: userDay.users,
-            groups: groupDay ? groupDay.groups : 0,
-          });
+        const user = await usersCollection.findOneAndUpdate(
+          { _id: target._id },
+          {
+            $set: {
+              suspendedAt: new Date(),
+              suspendedUntil,
+              suspendedBy: req.user.email,
+              suspensionReason: reason || null,
+            },
+          },
+          { returnDocument: "after", projection: adminUserProjection }
+        );
+
+        // The update only $sets fields, so the stored document is target plus the returned fields
+        await recordAudit(req, {
+          action: "suspend",
+          resource: "user",
+          resourceId: id,
+          before: target,
+          after: { ...target, ...user },
         });
 
-        groupsPerDay.forEach((groupDay) => {
-          if (!stats.find((s) => s.date === groupDay._id)) {
-            stats.push({
-              date: groupDay._id,
-              users: 0,
-              groups: groupDay.groups,
-            });
-          }
-        });
+        res.status(200).json({ success: true, message: "User suspended", data: user });
+      } catch (error) {
+        console.error("Error suspending user:", error);
+        res.status(500).json({ success: false, error: "Failed to suspend user" });
+      }
+    });
+
+  // Lift a suspension - Protected: Moderator or admin
+  app.post("/admin/users/:id/unsuspend", authenticateToken, requireRole("moderator"), validate(schemas.byId), async (req, res) => {
+      try {
+        const dbCheck = await checkDbConnection(res);
+        if (dbCheck) return dbCheck;
+
+        const { id } = req.params;
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).json({ success: false, error: "Invalid user ID" });
+        }
+
+        const before = await usersCollection.findOne(
+          { _id: new ObjectId(id) },
+          { projection: adminUserProjection }
+        );
+        const user = await usersCollection.findOneAndUpdate(
+          { _id: new ObjectId(id) },
+          {
+            $set: { suspendedAt: null },
+            $unset: { suspendedUntil: "", suspendedBy: "", suspensionReason: "" },
+          },
+          { returnDocument: "after", projection: adminUserProjection }
+        );
+        if (!user) {
+          return res.status(404).json({ success: false, error: "User not found" });
+        }
 
-        stats.sort((a, b) => a.date.localeCompare(b.date));
+        await recordAudit(req, { action: "unsuspend", resource: "user", resourceId: id, before, after: user });
 
-        res.status(200).json(stats);
+        res.status(200).json({ success: true, message: "Suspension lifted", data: user });
       } catch (error) {
-        console.error("Error fetching dashboard stats:", error);
-        res.status(500).json({ error: "Failed to fetch dashboard stats" });
+        console.error("Error lifting suspension:", error);
+        res.status(500).json({ success: false, error: "Failed to lift suspension" });
       }
     });
 
-  // ** New: Total Users Count API **
-  app.get("/totalUsers", async (req, res) => {
+  // ** Admin: Jobs API **
+  // List jobs with their last run - Protected: Admin only
+  app.get("/admin/jobs", authenticateToken, requireAdmin, validate(schemas.noInput), async (req, res) => {
       try {
         const dbCheck = await checkDbConnection(res);
         if (dbCheck) return dbCheck;
-        
-        const total = await usersCollection.estimatedDocumentCount();
-        res.status(200).json({ total });
+        if (!jobScheduler) {
+          return res.status(503).json({ success: false, error: "Job scheduler not available" });
+        }
+
+        const jobs = await Promise.all(
+          jobScheduler.list().map(async (job) => {
+            const [lastRun, lock] = await Promise.all([
+              jobRunsCollection.findOne({ job: job.name }, { sort: { startedAt: -1 } }),
+              jobLocksCollection.findOne({ _id: job.name }),
+            ]);
+            return {
+              ...job,
+              running: Boolean(lock?.lockedUntil && lock.lockedUntil > new Date()),
+              lastRun,
+            };
+          })
+        );
+
+        res.status(200).json({ success: true, data: jobs });
       } catch (error) {
-        console.error("Error fetching total users:", error);
-        res.status(500).json({ success: false, error: "Failed to fetch total users", details: error.message });
+        console.error("Error listing jobs:", error);
+        res.status(500).json({ success: false, error: "Failed to list jobs" });
       }
     });
 
-  // ** Articles API **
-  // Create article - Protected: Requires authentication
-  app.post("/articles", authenticateToken, async (req, res) => {
+  // Run history for a job - Protected: Admin only
+  app.get("/admin/jobs/:name/runs", authenticateToken, requireAdmin, validate(schemas.jobRuns), async (req, res) => {
       try {
         const dbCheck = await checkDbConnection(res);
         if (dbCheck) return dbCheck;
-        
-        const articleData = req.body;
-        
-        // Validate required fields
-        if (!articleData.title) {
-          return res.status(400).json({ success: false, error: "Title is required" });
+        if (!jobScheduler || !jobScheduler.has(req.params.name)) {
+          return res.status(404).json({ success: false, error: "Job not found" });
         }
 
-        // Set author info from authenticated user
-        articleData.authorEmail = req.user.email;
-        articleData.authorId = req.user.uid;
-        articleData.userEmail = req.user.email; // For consistency
-        articleData.userId = req.user.uid;
-        
-        // Add default values if not provided
-        if (!articleData.authorName) articleData.authorName = req.user.name || "Anonymous";
-        if (!articleData.coverImage) {
-          articleData.coverImage = "https://via.placeholder.com/800x400?text=No+Image";
-        }
-        if (!articleData.publishDate) {
-          articleData.publishDate = new Date().toISOString();
-        }
-        if (!articleData.createdAt) {
-          articleData.createdAt = new Date().toISOString();
-        }
+        const limit = Math.min(Number(req.query.limit) || 20, 100);
+        const runs = await jobRunsCollection
+          .find({ job: req.params.name })
+          .sort({ startedAt: -1 })
+          .limit(limit)
+          .toArray();
 
-        const result = await articlesCollection.insertOne(articleData);
-        res.status(201).json({
-          success: true,
-          message: "Article created successfully",
-          data: result,
-        });
+        res.status(200).json({ success: true, data: runs });
       } catch (error) {
-        console.error("Error creating article:", error);
-        res.status(500).json({ success: false, error: "Failed to create article" });
+        console.error("Error fetching job runs:", error);
+        res.status(500).json({ success: false, error: "Failed to fetch job runs" });
       }
     });
 
-  // Get all articles
-  app.get("/articles", async (req, res) => {
+  // Trigger a job now - Protected: Admin only
+  app.post("/admin/jobs/:name/run", authenticateToken, requireAdmin, validate(schemas.jobByName), async (req, res) => {
       try {
         const dbCheck = await checkDbConnection(res);
         if (dbCheck) return dbCheck;
-        
-        const articles = await articlesCollection.find({}).sort({ publishDate: -1, createdAt: -1 }).toArray();
-        res.status(200).json(articles);
+        if (!jobScheduler || !jobScheduler.has(req.params.name)) {
+          return res.status(404).json({ success: false, error: "Job not found" });
+        }
+
+        const run = await jobScheduler.runNow(req.params.name, req.user.email);
+        if (run.status === "skipped") {
+          return res.status(409).json({ success: false, error: run.reason });
+        }
+
+        res.status(run.status === "failed" ? 500 : 200).json({
+          success: run.status === "succeeded",
+          data: run,
+        });
       } catch (error) {
-        console.error("Error fetching articles:", error);
-        res.status(500).json({ success: false, error: "Failed to fetch articles", details: error.message });
+        console.error("Error running job:", error);
+        res.status(500).json({ success: false, error: "Failed to run job" });
       }
     });
 
-  // Get article by ID
-  app.get("/articles/:id", async (req, res) => {
+  // ** Notifications API **
+  // Current per-type email preferences - Protected
+  app.get("/notification-preferences", authenticateToken, validate(schemas.noInput), async (req, res) => {
       try {
         const dbCheck = await checkDbConnection(res);
         if (dbCheck) return dbCheck;
-        
-        const { id } = req.params;
-        if (!ObjectId.isValid(id)) {
-          return res.status(400).json({ success: false, error: "Invalid article ID" });
-        }
-        const article = await articlesCollection.findOne({ _id: new ObjectId(id) });
-        if (!article) {
-          return res.status(404).json({ success: false, error: "Article not found" });
-        }
-        res.status(200).json(article);
+
+        const user = await usersCollection.findOne(
+          { email: req.user.email },
+          { projection: { notificationPreferences: 1 } }
+        );
+        const stored = user?.notificationPreferences || {};
+        const preferences = Object.fromEntries(
+          NOTIFICATION_TYPES.map((type) => [type, stored[type] !== false])
+        );
+
+        res.status(200).json({ success: true, data: preferences });
       } catch (error) {
-        console.error("Error fetching article:", error);
-        res.status(500).json({ success: false, error: "Failed to fetch article" });
+        console.error("Error fetching notification preferences:", error);
+        res.status(500).json({ success: false, error: "Failed to fetch notification preferences" });
       }
     });
 
-  // Update article - Protected: Only author can update
-  app.put("/articles/:id", authenticateToken, async (req, res) => {
+  // Update email preferences, e.g. { "event_reminder": false } - Protected
+  app.put("/notification-preferences", authenticateToken, validate(schemas.notificationPreferences), async (req, res) => {
       try {
         const dbCheck = await checkDbConnection(res);
         if (dbCheck) return dbCheck;
-        
-        const { id } = req.params;
-        if (!ObjectId.isValid(id)) {
-          return res.status(400).json({ success: false, error: "Invalid article ID" });
-        }
-
-        // Check if article exists
-        const article = await articlesCollection.findOne({ _id: new ObjectId(id) });
-        if (!article) {
-          return res.status(404).json({ success: false, error: "Article not found" });
-        }
 
-        // Check authorization
-        if (!isCreator(article, req.user.email, req.user.uid)) {
-          return res.status(403).json({
+        const updates = req.body || {};
+        const unknown = Object.keys(updates).filter((type) => !NOTIFICATION_TYPES.includes(type));
+        if (unknown.length > 0 || Object.keys(updates).length === 0) {
+          return res.status(400).json({
             success: false,
-            error: "Forbidden: You can only update your own articles",
+            error: `Expected an object with any of: ${NOTIFICATION_TYPES.join(", ")}`,
           });
         }
+        if (Object.values(updates).some((value) => typeof value !== "boolean")) {
+          return res.status(400).json({ success: false, error: "Preference values must be true or false" });
+        }
 
-        const updatedData = req.body;
-        
-        // Prevent changing author info
-        delete updatedData.authorEmail;
-        delete updatedData.authorId;
-        delete updatedData.userEmail;
-        delete updatedData.userId;
-        updatedData.updatedAt = new Date().toISOString();
-
-        const result = await articlesCollection.updateOne(
-          { _id: new ObjectId(id) },
-          { $set: updatedData }
+        const $set = Object.fromEntries(
+          Object.entries(updates).map(([type, enabled]) => [`notificationPreferences.${type}`, enabled])
+        );
+        const user = await usersCollection.findOneAndUpdate(
+          { email: req.user.email },
+          { $set },
+          { upsert: true, returnDocument: "after", projection: { notificationPreferences: 1 } }
+        );
+        const preferences = Object.fromEntries(
+          NOTIFICATION_TYPES.map((type) => [type, user.notificationPreferences?.[type] !== false])
         );
 
-        res.status(200).json({
-          success: true,
-          message: "Article updated successfully",
-        });
+        res.status(200).json({ success: true, data: preferences });
       } catch (error) {
-        console.error("Error updating article:", error);
-        res.status(500).json({ success: false, error: "Failed to update article" });
+        console.error("Error updating notification preferences:", error);
+        res.status(500).json({ success: false, error: "Failed to update notification preferences" });
       }
     });
 
-  // Delete article - Protected: Only author can delete
-  app.delete("/articles/:id", authenticateToken, async (req, res) => {
+  // Unsubscribe link from an email - Public, the signed token identifies user and type.
+  // GET only shows a confirmation page: mail scanners and link prefetchers open links
+  // without the user. The page's button and the RFC 8058 one-click POST from mail clients
+  // (List-Unsubscribe=One-Click) both unsubscribe through POST.
+  app.get("/notifications/unsubscribe", validate(schemas.unsubscribe), (req, res) => {
+    const target = verifyUnsubscribeToken(req.query.token);
+    res.set("Cache-Control", "no-store");
+    res.type("html");
+    if (!target) {
+      return res.status(400).send(renderUnsubscribeInvalid());
+    }
+    res.status(200).send(renderUnsubscribeConfirmation(target.type));
+  });
+
+  app.post("/notifications/unsubscribe", validate(schemas.unsubscribe), async (req, res) => {
       try {
         const dbCheck = await checkDbConnection(res);
         if (dbCheck) return dbCheck;
-        
-        const { id } = req.params;
-        if (!ObjectId.isValid(id)) {
-          return res.status(400).json({ success: false, error: "Invalid article ID" });
-        }
 
-        // Check if article exists
-        const article = await articlesCollection.findOne({ _id: new ObjectId(id) });
-        if (!article) {
-          return res.status(404).json({ success: false, error: "Article not found" });
+        const target = verifyUnsubscribeToken(req.query.token);
+        if (!target) {
+          return res.status(400).json({ success: false, error: "Invalid unsubscribe link" });
         }
 
-        // Check authorization
-        if (!isCreator(article, req.user.email, req.user.uid)) {
-          return res.status(403).json({
-            success: false,
-            error: "Forbidden: You can only delete your own articles",
-          });
-        }
+        await usersCollection.updateOne(
+          { email: target.email },
+          { $set: { [`notificationPreferences.${target.type}`]: false } },
+          { upsert: true }
+        );
 
-        // Delete the article
-        const result = await articlesCollection.deleteOne({ _id: new ObjectId(id) });
-        
-        if (result.deletedCount === 1) {
-          // Also delete all comments for this article
-          await commentsCollection.deleteMany({ articleId: id });
-          
-          res.status(200).json({
-            success: true,
-            message: "Article deleted successfully",
-          });
-        } else {
-          res.status(404).json({ success: false, error: "Article not found" });
+        // The confirmation page's form wants a page back; mail clients and API callers get JSON
+        if (req.accepts(["json", "html"]) === "html") {
+          return res.status(200).type("html").send(renderUnsubscribeResult(target.type));
         }
+        res.status(200).json({
+          success: true,
+          message: `You will no longer receive ${target.type.replace(/_/g, " ")} emails`,
+        });
       } catch (error) {
-        console.error("Error deleting article:", error);
-        res.status(500).json({ success: false, error: "Failed to delete article" });
+        console.error("Error unsubscribing:", error);
+        res.status(500).json({ success: false, error: "Failed to unsubscribe" });
       }
     });
 
-  // ** Comments API **
-  // Get all comments for an article
-  app.get("/articles/:id/comments", async (req, res) => {
+  // ** Admin: Notifications API **
+  // Inspect the outbox, e.g. ?status=failed - Protected: Admin only
+  app.get("/admin/notifications", authenticateToken, requireAdmin, validate(schemas.listNotifications), async (req, res) => {
       try {
         const dbCheck = await checkDbConnection(res);
         if (dbCheck) return dbCheck;
-        
-        const { id } = req.params;
-        if (!ObjectId.isValid(id)) {
-          return res.status(400).json({ success: false, error: "Invalid article ID" });
-        }
-        const comments = await commentsCollection
-          .find({ articleId: id })
-          .sort({ timestamp: -1, createdAt: -1 })
+
+        const filter = {};
+        if (req.query.status) filter.status = String(req.query.status);
+        if (req.query.type) filter.type = String(req.query.type);
+        if (req.query.to) filter.to = String(req.query.to);
+        const limit = Math.min(Number(req.query.limit) || 50, 200);
+
+        const notifications = await notificationsCollection
+          .find(filter, { projection: { html: 0 } })
+          .sort({ createdAt: -1 })
+          .limit(limit)
           .toArray();
-        res.status(200).json(comments);
+
+        res.status(200).json({ success: true, data: notifications });
       } catch (error) {
-        console.error("Error fetching comments:", error);
-        res.status(500).json({ success: false, error: "Failed to fetch comments" });
+        console.error("Error listing notifications:", error);
+        res.status(500).json({ success: false, error: "Failed to list notifications" });
       }
     });
 
-  // Create a comment - Protected: Requires authentication
-  app.post("/articles/:id/comments", authenticateToken, async (req, res) => {
+  // Queue a failed notification again - Protected: Admin only
+  app.post("/admin/notifications/:id/retry", authenticateToken, requireAdmin, validate(schemas.byId), async (req, res) => {
       try {
         const dbCheck = await checkDbConnection(res);
         if (dbCheck) return dbCheck;
-        
+
         const { id } = req.params;
         if (!ObjectId.isValid(id)) {
-          return res.status(400).json({ success: false, error: "Invalid article ID" });
-        }
-
-        // Verify article exists
-        const article = await articlesCollection.findOne({ _id: new ObjectId(id) });
-        if (!article) {
-          return res.status(404).json({ success: false, error: "Article not found" });
+          return res.status(400).json({ success: false, error: "Invalid notification ID" });
         }
 
-        const commentData = req.body;
-        
-        // Validate required fields
-        if (!commentData.text && !commentData.comment) {
-          return res.status(400).json({ success: false, error: "Comment text is required" });
+        const notification = await notificationsCollection.findOneAndUpdate(
+          { _id: new ObjectId(id), status: "failed" },
+          {
+            $set: { status: "pending", attempts: 0, nextAttemptAt: new Date() },
+            $unset: { failedAt: "" },
+          },
+          { returnDocument: "after", projection: { html: 0 } }
+        );
+        if (!notification) {
+          return res.status(404).json({ success: false, error: "No failed notification with this ID" });
         }
 
-        // Prepare comment data with authenticated user info
-        const newComment = {
-          articleId: id,
-          text: commentData.text || commentData.comment,
-          authorName: commentData.authorName || req.user.name || "Anonymous",
-          authorEmail: req.user.email,
-          authorId: req.user.uid,
-          authorImage: commentData.authorImage || "https://via.placeholder.com/40",
-          timestamp: commentData.timestamp || new Date().toISOString(),
-          createdAt: new Date().toISOString(),
-        };
-
-        const result = await commentsCollection.insertOne(newComment);
-        res.status(201).json({
-          success: true,
-          message: "Comment created successfully",
-          data: result,
-        });
+        res.status(200).json({ success: true, data: notification });
       } catch (error) {
-        console.error("Error creating comment:", error);
-        res.status(500).json({ success: false, error: "Failed to create comment" });
+        console.error("Error retrying notification:", error);
+        res.status(500).json({ success: false, error: "Failed to retry notification" });
       }
     });
 
-  // Delete a comment - Protected: Only comment author or article author can delete
-  app.delete("/articles/:id/comments/:commentId", authenticateToken, async (req, res) => {
+  // ** Admin: Audit Log API **
+  // Search the audit log, newest first - Protected: Admin only
+  app.get("/admin/audit-log", authenticateToken, requireAdmin, validate(schemas.listAuditLog), async (req, res) => {
       try {
         const dbCheck = await checkDbConnection(res);
         if (dbCheck) return dbCheck;
-        
-        const { id, commentId } = req.params;
-        
-        if (!ObjectId.isValid(id)) {
-          return res.status(400).json({ success: false, error: "Invalid article ID" });
-        }
-        if (!ObjectId.isValid(commentId)) {
-          return res.status(400).json({ success: false, error: "Invalid comment ID" });
-        }
-
-        // Verify comment exists and belongs to the article
-        const comment = await commentsCollection.findOne({
-          _id: new ObjectId(commentId),
-          articleId: id,
-        });
-
-        if (!comment) {
-          return res.status(404).json({ success: false, error: "Comment not found" });
-        }
-
-        // Check if user is the comment author
-        const isCommentAuthor = isCreator(comment, req.user.email, req.user.uid);
-        
-        // Also check if user is the article author (can delete any comment on their article)
-        let isArticleAuthor = false;
-        if (!isCommentAuthor) {
-          const article = await articlesCollection.findOne({ _id: new ObjectId(id) });
-          if (article) {
-            isArticleAuthor = isCreator(article, req.user.email, req.user.uid);
-          }
-        }
 
-        // Authorization check
-        if (!isCommentAuthor && !isArticleAuthor) {
-          return res.status(403).json({
-            success: false,
-            error: "Forbidden: You can only delete your own comments or comments on your articles",
-          });
+        const { actor, resource, resourceId, action, requestId, from, to } = req.query;
+        const filter = {};
+        if (actor) filter["actor.email"] = actor;
+        if (resource) filter.resource = resource;
+        if (resourceId) filter.resourceId = resourceId;
+        if (action) filter.action = action;
+        if (requestId) filter.requestId = requestId;
+        if (from || to) {
+          filter.createdAt = {};
+          if (from) filter.createdAt.$gte = new Date(from);
+          if (to) filter.createdAt.$lte = new Date(to);
         }
+        const limit = Math.min(req.query.limit || 50, 200);
+        const skip = req.query.skip || 0;
 
-        const result = await commentsCollection.deleteOne({
-          _id: new ObjectId(commentId),
-          articleId: id,
-        });
+        const [entries, total] = await Promise.all([
+          auditLogCollection.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).toArray(),
+          auditLogCollection.countDocuments(filter),
+        ]);
 
-        if (result.deletedCount === 1) {
-          res.status(200).json({
-            success: true,
-            message: "Comment deleted successfully",
-          });
-        } else {
-          res.status(404).json({ success: false, error: "Comment not found" });
-        }
+        res.status(200).json({ success: true, data: entries, total });
       } catch (error) {
-        console.error("Error deleting comment:", error);
-        res.status(500).json({ success: false, error: "Failed to delete comment" });
+        console.error("Error listing audit log:", error);
+        res.status(500).json({ success: false, error: "Failed to list audit log" });
       }
     });
 
@@ -1016,6 +8103,141 @@ function initializeRoutes() {
   });
 }
 
+// Bind collection handles once the client is connected
+function bindCollections() {
+  db = client.db("eventBookingDB");
+  groupCollection = db.collection("groups");
+  joinedCollection = db.collection("joinedGroups");
+  waitlistCollection = db.collection("waitlists");
+  usersCollection = db.collection("users");
+  articlesCollection = db.collection("articles");
+  articleRevisionsCollection = db.collection("articleRevisions");
+  commentsCollection = db.collection("comments");
+  commentReactionsCollection = db.collection("commentReactions");
+  ordersCollection = db.collection("orders");
+  jobRunsCollection = db.collection("jobRuns");
+  jobLocksCollection = db.collection("jobLocks");
+  notificationsCollection = db.collection("notifications");
+  realtimeEventsCollection = db.collection("realtimeEvents");
+  sessionsCollection = db.collection("sessions");
+  passwordResetsCollection = db.collection("passwordResets");
+  emailVerificationsCollection = db.collection("emailVerifications");
+  rateLimitsCollection = db.collection("rateLimits");
+  auditLogCollection = db.collection("auditLog");
+  groupInvitesCollection = db.collection("groupInvites");
+  joinRequestsCollection = db.collection("joinRequests");
+  uploadsCollection = db.collection("uploads");
+}
+
+// Create the indexes the routes rely on (safe to run on every start)
+async function ensureIndexes() {
+  const indexes = [
+    [waitlistCollection, { groupId: 1, userEmail: 1 }, { unique: true }],
+    // One attendance per user and group - concurrent joins cannot take two seats
+    [joinedCollection, { groupId: 1, userEmail: 1 }, { unique: true }],
+    [waitlistCollection, { groupId: 1, _id: 1 }],
+    [ordersCollection, { provider: 1, providerPaymentId: 1 }],
+    [ordersCollection, { userEmail: 1, createdAt: -1 }],
+    // Abandoned checkouts (expire-pending-orders)
+    [ordersCollection, { status: 1, expiresAt: 1 }],
+    // GET /groups search, filters and sort orders
+    [
+      groupCollection,
+      { groupName: "text", description: "text", location: "text" },
+      { name: "groups_text_search", weights: { groupName: 10, location: 5, description: 1 } },
+    ],
+    [groupCollection, { category: 1, createdAt: -1 }],
+    [groupCollection, { createdAt: -1, _id: -1 }],
+    [groupCollection, { startsAt: 1, _id: 1 }],
+    [groupCollection, { groupName: 1, _id: 1 }],
+    [groupCollection, { userEmail: 1 }],
+    [groupCollection, { "managers.email": 1 }],
+    [groupCollection, { "managerInvites.email": 1 }],
+    [groupCollection, { archived: 1, endsAt: 1 }],
+    // Nearby (lat/lng) and map (bbox) searches; groups without coordinates are left out
+    [groupCollection, { geo: "2dsphere" }],
+    // Invite links, email invites and join requests of private / approval-only groups
+    [groupInvitesCollection, { tokenHash: 1 }, { unique: true }],
+    [groupInvitesCollection, { groupId: 1, email: 1 }],
+    [joinRequestsCollection, { groupId: 1, userEmail: 1 }, { unique: true }],
+    [joinRequestsCollection, { groupId: 1, status: 1, requestedAt: 1 }],
+    [joinRequestsCollection, { seriesId: 1, status: 1, requestedAt: 1 }],
+    // Uploaded images: serving and cleanup by key, quotas and listings per owner
+    [uploadsCollection, { key: 1 }, { unique: true }],
+    [uploadsCollection, { userEmail: 1, createdAt: -1 }],
+    // Upload cleanup checks whether anything still links an upload (isUploadInUse)
+    [groupCollection, { image: 1 }],
+    [groupCollection, { creatorImage: 1 }],
+    [articlesCollection, { coverImage: 1 }],
+    [articlesCollection, { authorImage: 1 }],
+    [articlesCollection, { uploadKeys: 1 }],
+    [commentsCollection, { authorImage: 1 }],
+    [usersCollection, { photo: 1 }],
+    // Analytics: counts per period (/dashboard-stats)
+    [usersCollection, { createdAt: 1 }],
+    [joinedCollection, { joinedAt: 1 }],
+    [auditLogCollection, { action: 1, createdAt: 1 }],
+    [commentsCollection, { createdAt: 1 }],
+    [articlesCollection, { createdAt: 1 }],
+    // Looked up on every authenticated request (role and suspension check)
+    [usersCollection, { email: 1 }],
+    // One account per address whatever its case - the same collation as the registration check
+    [
+      usersCollection,
+      { email: 1 },
+      { name: "users_email_unique", unique: true, collation: { locale: "en", strength: 2 } },
+    ],
+    [usersCollection, { calendarFeedToken: 1 }, { unique: true, sparse: true }],
+    [notificationsCollection, { status: 1, nextAttemptAt: 1 }],
+    [notificationsCollection, { dedupeKey: 1 }, { unique: true, sparse: true }],
+    [notificationsCollection, { createdAt: -1 }],
+    [realtimeEventsCollection, { createdAt: 1 }, { expireAfterSeconds: 60 * 60 }],
+    [sessionsCollection, { tokenHash: 1 }, { unique: true }],
+    [sessionsCollection, { family: 1 }],
+    [sessionsCollection, { userId: 1, revokedAt: 1 }],
+    [sessionsCollection, { expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 }],
+    [passwordResetsCollection, { tokenHash: 1 }, { unique: true }],
+    [passwordResetsCollection, { expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 }],
+    [emailVerificationsCollection, { tokenHash: 1 }, { unique: true }],
+    [emailVerificationsCollection, { expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 }],
+    [rateLimitsCollection, { expiresAt: 1 }, { expireAfterSeconds: 0 }],
+    // Public article listing, slug lookups, the scheduled publishing job and revision history
+    [articlesCollection, { status: 1, publishDate: -1 }],
+    [articlesCollection, { slug: 1 }, { unique: true, sparse: true }],
+    [articlesCollection, { previousSlugs: 1 }],
+    [articlesCollection, { authorEmail: 1, createdAt: -1 }],
+    [articleRevisionsCollection, { articleId: 1, revision: -1 }, { unique: true }],
+    // Comment threads (top-level page, then replies by rootId) and one row per user reaction
+    [commentsCollection, { articleId: 1, parentId: 1, createdAt: -1, _id: -1 }],
+    [commentsCollection, { rootId: 1 }],
+    [commentReactionsCollection, { commentId: 1, userEmail: 1, reaction: 1 }, { unique: true }],
+    [commentReactionsCollection, { articleId: 1 }],
+    // GET /admin/audit-log filters
+    [auditLogCollection, { createdAt: -1 }],
+    [auditLogCollection, { "actor.email": 1, createdAt: -1 }],
+    [auditLogCollection, { resource: 1, resourceId: 1, createdAt: -1 }],
+    [auditLogCollection, { requestId: 1 }],
+    [
+      groupCollection,
+      { seriesId: 1, recurrenceId: 1 },
+      { unique: true, partialFilterExpression: { recurrenceId: { $exists: true } } },
+    ],
+    [jobRunsCollection, { job: 1, startedAt: -1 }],
+  ];
+
+  // One bad index (e.g. a conflicting legacy one) should not stop the others
+  let failed = 0;
+  for (const [collection, keys, options = {}] of indexes) {
+    try {
+      await collection.createIndex(keys, options);
+    } catch (error) {
+      failed++;
+      console.warn(`⚠️ Failed to create index on ${collection.collectionName}:`, error.message);
+    }
+  }
+  console.log(`✅ MongoDB indexes ensured (${indexes.length - failed}/${indexes.length})`);
+}
+
 // MongoDB connection with retry logic
 async function connectToMongoDB(retries = 5, delay = 2000) {
   for (let i = 0; i < retries; i++) {
@@ -1025,12 +8247,7 @@ async function connectToMongoDB(retries = 5, delay = 2000) {
       // Check if already connected
       if (client.topology && client.topology.isConnected()) {
         console.log("✅ Already connected to MongoDB");
-        db = client.db("eventBookingDB");
-        groupCollection = db.collection("groups");
-        joinedCollection = db.collection("joinedGroups");
-        usersCollection = db.collection("users");
-        articlesCollection = db.collection("articles");
-        commentsCollection = db.collection("comments");
+        bindCollections();
         dbConnected = true;
         return true;
       }
@@ -1043,12 +8260,7 @@ async function connectToMongoDB(retries = 5, delay = 2000) {
       await client.db("admin").command({ ping: 1 });
       console.log("✅ MongoDB connection verified");
       
-      db = client.db("eventBookingDB");
-      groupCollection = db.collection("groups");
-      joinedCollection = db.collection("joinedGroups");
-      usersCollection = db.collection("users");
-      articlesCollection = db.collection("articles");
-      commentsCollection = db.collection("comments");
+      bindCollections();
       dbConnected = true;
       
       return true;
@@ -1081,7 +8293,11 @@ async function run() {
   if (!dbConnected) {
     console.warn("⚠️ Server running without database connection. Some endpoints will return 503.");
     console.warn("⚠️ Please check MongoDB credentials and network connectivity.");
+    return;
   }
+
+  await ensureIndexes();
+  startJobScheduler();
 }
 
 run().catch(console.dir);
@@ -0,0 +1,113 @@
+// Time series helpers for the analytics behind GET /dashboard-stats.
+// Counts are grouped into day, week (starting Monday) or month buckets in a timezone. Bucket
+// starts are UTC instants of local midnight, both here and in MongoDB's $dateTrunc, so the
+// two line up. Timestamps may be stored as Dates or as ISO strings - both are matched.
+
+const { isValidTimeZone, getZonedParts, zonedTimeToUtc } = require("./schedule");
+
+const INTERVALS = ["day", "week", "month"];
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_BUCKETS = 400;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INTERVAL_MS = { day: DAY_MS, week: 7 * DAY_MS, month: 28 * DAY_MS }; // month: the shortest one
+const WEEKDAYS = ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"];
+
+// Calendar arithmetic runs on the wall date in UTC, then converts back, so DST never shifts a bucket
+const wallDateToUtc = (year, month, day, timeZone) => {
+  const wall = new Date(Date.UTC(year, month - 1, day));
+  return zonedTimeToUtc(
+    { year: wall.getUTCFullYear(), month: wall.getUTCMonth() + 1, day: wall.getUTCDate() },
+    timeZone
+  );
+};
+
+// Start of the bucket that contains date
+const bucketStart = (date, interval, timeZone) => {
+  const { year, month, day, weekday } = getZonedParts(date, timeZone);
+  if (interval === "month") return wallDateToUtc(year, month, 1, timeZone);
+  if (interval === "week") return wallDateToUtc(year, month, day - WEEKDAYS.indexOf(weekday), timeZone);
+  return wallDateToUtc(year, month, day, timeZone);
+};
+
+const nextBucketStart = (start, interval, timeZone) => {
+  const { year, month, day } = getZonedParts(start, timeZone);
+  if (interval === "month") return wallDateToUtc(year, month + 1, 1, timeZone);
+  return wallDateToUtc(year, month, day + (interval === "week" ? 7 : 1), timeZone);
+};
+
+// Every bucket start from the bucket containing from up to to (exclusive)
+const listBuckets = ({ from, to, interval, timezone }) => {
+  const buckets = [];
+  for (let start = bucketStart(from, interval, timezone); start < to; ) {
+    buckets.push(start);
+    start = nextBucketStart(start, interval, timezone);
+  }
+  return buckets;
+};
+
+// { from, to, interval, timezone } from query strings (defaults: the last 30 days by day, UTC),
+// or { error }
+const resolveRange = (query, now = new Date()) => {
+  const interval = query.interval || "day";
+  if (!INTERVALS.includes(interval)) return { error: `interval must be one of: ${INTERVALS.join(", ")}` };
+
+  const timezone = query.timezone || "UTC";
+  if (!isValidTimeZone(timezone)) return { error: `Unknown timezone "${timezone}"` };
+
+  const to = query.to ? new Date(query.to) : now;
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    return { error: "from and to must be valid dates" };
+  }
+  if (from >= to) return { error: "from must be before to" };
+  if ((to - from) / INTERVAL_MS[interval] > MAX_BUCKETS) {
+    return { error: `The range is too long for interval=${interval} - use a longer interval` };
+  }
+  return { from, to, interval, timezone };
+};
+
+// Documents whose field lies in [from, to), stored as a Date or as an ISO string
+const timeRangeMatch = (field, from, to) => ({
+  $or: [
+    { [field]: { $gte: from, $lt: to } },
+    { [field]: { $gte: from.toISOString(), $lt: to.toISOString() } },
+  ],
+});
+
+// Aggregation pipeline counting the documents per bucket of field: [{ _id: bucket start, count }]
+const countPerBucket = (field, { from, to, interval, timezone }, match = {}) => [
+  { $match: { $and: [timeRangeMatch(field, from, to), match] } },
+  {
+    $group: {
+      _id: {
+        $dateTrunc: { date: { $toDate: `$${field}` }, unit: interval, timezone, startOfWeek: "monday" },
+      },
+      count: { $sum: 1 },
+    },
+  },
+];
+
+// metrics: { name: [{ _id, count }] } -> one zero-filled row per bucket, plus totals per metric
+const buildSeries = (buckets, metrics) => {
+  const counts = Object.entries(metrics).map(([name, rows]) => [
+    name,
+    new Map(rows.map((row) => [new Date(row._id).getTime(), row.count])),
+  ]);
+  const series = buckets.map((start) => ({
+    period: start.toISOString(),
+    ...Object.fromEntries(counts.map(([name, byStart]) => [name, byStart.get(start.getTime()) || 0])),
+  }));
+  const totals = Object.fromEntries(
+    counts.map(([name]) => [name, series.reduce((sum, row) => sum + row[name], 0)])
+  );
+  return { series, totals };
+};
+
+module.exports = {
+  INTERVALS,
+  resolveRange,
+  listBuckets,
+  timeRangeMatch,
+  countPerBucket,
+  buildSeries,
+};
@@ -0,0 +1,39 @@
+// Audit entry helpers. Snapshots are plain copies of the stored documents with credentials
+// redacted; updates keep only the fields that changed, creates only "after" and deletes
+// only "before".
+
+const REDACTED_FIELDS = ["passwordHash", "calendarFeedToken", "ticketCode", "tokenHash"];
+const REDACTED = "[redacted]";
+
+const snapshot = (document) => {
+  if (!document) return null;
+  const copy = { ...document };
+  for (const field of REDACTED_FIELDS) {
+    if (copy[field] !== undefined) copy[field] = REDACTED;
+  }
+  return copy;
+};
+
+// ObjectIds and Dates compare by their JSON form
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Returns { before, after, changedFields }; missing fields are recorded as null.
+// Changes are detected on the real values, so a new password still lists passwordHash.
+const diffSnapshots = (beforeDocument, afterDocument) => {
+  const before = snapshot(beforeDocument);
+  const after = snapshot(afterDocument);
+  if (!before || !after) {
+    return { before, after, changedFields: Object.keys(before || after || {}) };
+  }
+
+  const changedFields = [...new Set([...Object.keys(before), ...Object.keys(after)])].filter(
+    (field) => !sameValue(beforeDocument[field], afterDocument[field])
+  );
+  const pick = (document) =>
+    Object.fromEntries(changedFields.map((field) => [field, document[field] ?? null]));
+  return { before: pick(before), after: pick(after), changedFields };
+};
+
+module.exports = {
+  diffSnapshots,
+};
@@ -0,0 +1,35 @@
+// Small in-process cache with a time-to-live and a size cap (the oldest entry goes first).
+// It is per instance: clear() only reaches this process, so callers keep ttlMs short enough
+// for what other instances may write meanwhile.
+
+const createTtlCache = ({ ttlMs, maxEntries = 100 }) => {
+  const entries = new Map();
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      return entry.value;
+    },
+    set(key, value) {
+      entries.delete(key);
+      if (entries.size >= maxEntries) entries.delete(entries.keys().next().value);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      return value;
+    },
+    clear() {
+      entries.clear();
+    },
+    get size() {
+      return entries.size;
+    },
+  };
+};
+
+module.exports = {
+  createTtlCache,
+};
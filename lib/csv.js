@@ -0,0 +1,26 @@
+// CSV output (RFC 4180) for spreadsheet exports.
+// Cells starting with = + - @ are prefixed with ' so spreadsheets do not run them as
+// formulas (CSV injection) - attendee names and emails are user-controlled.
+
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// columns: [{ header, value: (row) => any }]. Lines end with CRLF; the BOM makes Excel
+// read the file as UTF-8.
+const toCsv = (columns, rows) => {
+  const lines = [columns.map((column) => escapeCell(column.header)).join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((column) => escapeCell(column.value(row))).join(","));
+  }
+  return `\uFEFF${lines.join("\r\n")}\r\n`;
+};
+
+module.exports = {
+  toCsv,
+};
@@ -0,0 +1,88 @@
+// Geocoders turn the free-text `location` of a group into coordinates. Every geocoder implements:
+//   name
+//   geocode(query) -> { lat, lng } | null
+// geocode() resolves null when the place is unknown and rejects when the lookup itself failed.
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_FIXTURE_FILE = path.join(__dirname, "fixtures", "places.json");
+
+// "Cox's Bazar,  Bangladesh" -> "coxs bazar bangladesh"
+const normalizePlace = (text) =>
+  String(text ?? "")
+    .toLowerCase()
+    .replace(/['’]/g, "")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+
+// Geocoding switched off: groups only get coordinates sent by the organizer
+const createNoopGeocoder = () => ({
+  name: "none",
+  async geocode() {
+    return null;
+  },
+});
+
+// Offline lookups from a JSON file of { "<place>": { lat, lng } } - for tests and local
+// development. "Gulshan 2, Dhaka" falls back part by part ("gulshan 2", then "dhaka").
+const createFixtureGeocoder = ({ file = DEFAULT_FIXTURE_FILE, places } = {}) => {
+  const entries = places || JSON.parse(fs.readFileSync(file, "utf8"));
+  const lookup = new Map(
+    Object.entries(entries).map(([place, { lat, lng }]) => [normalizePlace(place), { lat, lng }])
+  );
+
+  return {
+    name: "fixture",
+    async geocode(query) {
+      const candidates = [query, ...String(query ?? "").split(",")].map(normalizePlace);
+      for (const candidate of candidates) {
+        if (candidate && lookup.has(candidate)) return { ...lookup.get(candidate) };
+      }
+      return null;
+    },
+  };
+};
+
+// OpenStreetMap's Nominatim (or a self-hosted instance). The public server allows about one
+// request per second and requires an identifying User-Agent, so callers should cache results.
+const createNominatimGeocoder = ({
+  url = "https://nominatim.openstreetmap.org",
+  userAgent = "event-booking-server",
+  email,
+  timeoutMs = 5000,
+} = {}) => ({
+  name: "nominatim",
+  async geocode(query) {
+    const params = new URLSearchParams({ q: String(query), format: "jsonv2", limit: "1" });
+    if (email) params.set("email", email);
+    const response = await fetch(`${url.replace(/\/$/, "")}/search?${params}`, {
+      headers: { "User-Agent": userAgent, Accept: "application/json" },
+      signal: AbortSignal.timeout(Number(timeoutMs)),
+    });
+    if (!response.ok) throw new Error(`Nominatim responded with ${response.status}`);
+    const [place] = await response.json();
+    if (!place) return null;
+    return { lat: Number(place.lat), lng: Number(place.lon) };
+  },
+});
+
+const geocoderFactories = {
+  none: createNoopGeocoder,
+  fixture: createFixtureGeocoder,
+  nominatim: createNominatimGeocoder,
+};
+
+const createGeocoder = (name, options = {}) => {
+  const factory = geocoderFactories[name];
+  if (!factory) throw new Error(`Unknown geocoder "${name}"`);
+  return factory(options);
+};
+
+module.exports = {
+  normalizePlace,
+  createNoopGeocoder,
+  createFixtureGeocoder,
+  createNominatimGeocoder,
+  createGeocoder,
+};
@@ -0,0 +1,183 @@
+// iCalendar (RFC 5545) output for groups/events.
+// Events carry DTSTART/DTEND in their own timezone (TZID) with a matching VTIMEZONE,
+// so calendar apps show the organizer's local time and recurring series keep it across DST.
+
+const { getZonedParts, getTimeZoneOffset } = require("./schedule");
+
+const PRODID = "-//Event Booking//Groups//EN";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pad = (value, length = 2) => String(Math.abs(value)).padStart(length, "0");
+
+// TEXT values: backslash, semicolon, comma and newlines must be escaped
+const escapeText = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// Lines longer than 75 octets are folded with CRLF + space, never inside a UTF-8 sequence
+const foldLine = (line) => {
+  if (Buffer.byteLength(line) <= 75) return line;
+
+  const chunks = [];
+  let current = "";
+  let size = 0;
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (size + charSize > limit) {
+      chunks.push(current);
+      current = "";
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  chunks.push(current);
+  return chunks.join("\r\n ");
+};
+
+const formatUtc = (date) => date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+const formatLocal = (date, timeZone) => {
+  const p = getZonedParts(date, timeZone);
+  return `${p.year}${pad(p.month)}${pad(p.day)}T${pad(p.hour)}${pad(p.minute)}${pad(p.second)}`;
+};
+
+const formatOffset = (offsetMs) => {
+  const minutes = Math.round(offsetMs / 60000);
+  return `${minutes < 0 ? "-" : "+"}${pad(Math.floor(Math.abs(minutes) / 60))}${pad(Math.abs(minutes) % 60)}`;
+};
+
+const isUtc = (timeZone) => !timeZone || timeZone === "UTC" || timeZone === "Etc/UTC";
+
+// "DTSTART;TZID=Europe/Berlin:20250701T180000" or "DTSTART:20250701T160000Z"
+const dateProperty = (name, date, timeZone) =>
+  isUtc(timeZone)
+    ? `${name}:${formatUtc(date)}`
+    : `${name};TZID=${timeZone}:${formatLocal(date, timeZone)}`;
+
+// Offset changes of timeZone between from and to, found day by day and narrowed to the minute
+const findTransitions = (timeZone, from, to) => {
+  const transitions = [];
+  let previous = from.getTime();
+  let previousOffset = getTimeZoneOffset(from, timeZone);
+
+  for (let time = previous + DAY_MS; time <= to.getTime() + DAY_MS; time += DAY_MS) {
+    const offset = getTimeZoneOffset(new Date(time), timeZone);
+    if (offset !== previousOffset) {
+      let low = previous;
+      let high = time;
+      while (high - low > 60000) {
+        const middle = low + Math.floor((high - low) / 120000) * 60000;
+        if (getTimeZoneOffset(new Date(middle), timeZone) === previousOffset) low = middle;
+        else high = middle;
+      }
+      transitions.push({ at: new Date(high), offsetFrom: previousOffset, offsetTo: offset });
+      previousOffset = offset;
+    }
+    previous = time;
+  }
+  return transitions;
+};
+
+// VTIMEZONE with one observance per offset change in [from, to]
+const buildTimeZone = (timeZone, from, to) => {
+  const start = new Date(Math.floor((from.getTime() - DAY_MS) / 60000) * 60000);
+  const initialOffset = getTimeZoneOffset(start, timeZone);
+  const lines = ["BEGIN:VTIMEZONE", `TZID:${timeZone}`];
+
+  const observance = (at, offsetFrom, offsetTo) => {
+    const kind = offsetTo > offsetFrom ? "DAYLIGHT" : "STANDARD";
+    // Observance DTSTART is the local time in effect just before the change
+    const local = formatUtc(new Date(at.getTime() + offsetFrom)).replace(/Z$/, "");
+    lines.push(
+      `BEGIN:${kind}`,
+      `DTSTART:${local}`,
+      `TZOFFSETFROM:${formatOffset(offsetFrom)}`,
+      `TZOFFSETTO:${formatOffset(offsetTo)}`,
+      `END:${kind}`
+    );
+  };
+
+  observance(start, initialOffset, initialOffset);
+  for (const transition of findTransitions(timeZone, start, to)) {
+    observance(transition.at, transition.offsetFrom, transition.offsetTo);
+  }
+
+  lines.push("END:VTIMEZONE");
+  return lines;
+};
+
+// One VEVENT. event: { uid, startsAt, endsAt, timezone, summary, description, location,
+// url, categories, createdAt, updatedAt, rrule, exdates, status, sequence }
+const buildEvent = (event, now = new Date()) => {
+  const start = new Date(event.startsAt);
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatUtc(now)}`,
+    dateProperty("DTSTART", start, event.timezone),
+  ];
+
+  if (event.endsAt) lines.push(dateProperty("DTEND", new Date(event.endsAt), event.timezone));
+  if (event.rrule) lines.push(`RRULE:${event.rrule}`);
+  for (const exdate of event.exdates || []) {
+    lines.push(dateProperty("EXDATE", new Date(exdate), event.timezone));
+  }
+  lines.push(`SUMMARY:${escapeText(event.summary || "Untitled event")}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.categories) lines.push(`CATEGORIES:${escapeText(event.categories)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  if (event.status) lines.push(`STATUS:${event.status}`);
+  if (event.sequence !== undefined) lines.push(`SEQUENCE:${event.sequence}`);
+  if (event.createdAt) lines.push(`CREATED:${formatUtc(new Date(event.createdAt))}`);
+  if (event.updatedAt) lines.push(`LAST-MODIFIED:${formatUtc(new Date(event.updatedAt))}`);
+  lines.push("END:VEVENT");
+  return lines;
+};
+
+// Full VCALENDAR text (CRLF line endings) for a list of events.
+// options.name / options.refreshInterval are used by subscription feeds.
+const buildCalendar = (events, options = {}) => {
+  const now = options.now || new Date();
+  const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", `PRODID:${PRODID}`, "CALSCALE:GREGORIAN"];
+  if (options.method) lines.push(`METHOD:${options.method}`);
+  if (options.name) lines.push(`X-WR-CALNAME:${escapeText(options.name)}`);
+  if (options.refreshInterval) {
+    lines.push(`REFRESH-INTERVAL;VALUE=DURATION:${options.refreshInterval}`);
+    lines.push(`X-PUBLISHED-TTL:${options.refreshInterval}`);
+  }
+
+  // One VTIMEZONE per zone, covering every event (and the recurrence horizon) in it
+  const ranges = new Map();
+  for (const event of events) {
+    if (isUtc(event.timezone)) continue;
+    const start = new Date(event.startsAt);
+    const end = new Date(event.rangeEnd || event.endsAt || event.startsAt);
+    const range = ranges.get(event.timezone);
+    if (!range) ranges.set(event.timezone, { from: start, to: end });
+    else {
+      if (start < range.from) range.from = start;
+      if (end > range.to) range.to = end;
+    }
+  }
+  for (const [timeZone, range] of ranges) {
+    lines.push(...buildTimeZone(timeZone, range.from, range.to));
+  }
+
+  for (const event of events) lines.push(...buildEvent(event, now));
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+};
+
+module.exports = {
+  escapeText,
+  foldLine,
+  formatUtc,
+  buildEvent,
+  buildCalendar,
+};
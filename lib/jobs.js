@@ -0,0 +1,200 @@
+// In-process job scheduler with cron-style schedules.
+// Runs are recorded in a history collection and guarded by a lock document per job,
+// so several server instances can run the scheduler without doubling up.
+const crypto = require("crypto");
+
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 }, // 0 and 7 are both Sunday
+];
+
+const CRON_ALIASES = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *",
+};
+
+// Parse "*/5 * * * *" style expressions into sets of allowed values (UTC)
+const parseCron = (expression) => {
+  const source = CRON_ALIASES[expression] || expression;
+  const parts = String(source).trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Invalid cron expression "${expression}": expected 5 fields`);
+  }
+
+  const fields = parts.map((part, index) => {
+    const { name, min, max } = CRON_FIELDS[index];
+    const values = new Set();
+
+    for (const item of part.split(",")) {
+      const [range, stepText] = item.split("/");
+      const step = stepText === undefined ? 1 : Number(stepText);
+      let [start, end] = range === "*" ? [min, max] : range.split("-").map(Number);
+      if (end === undefined) end = stepText === undefined ? start : max;
+
+      if (![start, end, step].every(Number.isInteger) || step < 1 || start < min || end > max || start > end) {
+        throw new Error(`Invalid cron expression "${expression}": bad ${name} "${item}"`);
+      }
+      for (let value = start; value <= end; value += step) values.add(value);
+    }
+    return { values, wildcard: part === "*" };
+  });
+
+  // Sunday may be written as 7
+  if (fields[4].values.has(7)) fields[4].values.add(0);
+  return fields;
+};
+
+const cronMatches = (fields, date) => {
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = fields;
+  if (!minute.values.has(date.getUTCMinutes())) return false;
+  if (!hour.values.has(date.getUTCHours())) return false;
+  if (!month.values.has(date.getUTCMonth() + 1)) return false;
+
+  // Like cron: when both day fields are restricted, either one may match
+  const domMatch = dayOfMonth.values.has(date.getUTCDate());
+  const dowMatch = dayOfWeek.values.has(date.getUTCDay());
+  if (!dayOfMonth.wildcard && !dayOfWeek.wildcard) return domMatch || dowMatch;
+  return domMatch && dowMatch;
+};
+
+// Next matching minute after `from`, searched up to a year ahead
+const nextCronRun = (fields, from = new Date()) => {
+  const date = new Date(from);
+  date.setUTCSeconds(0, 0);
+  for (let i = 0; i < 366 * 24 * 60; i++) {
+    date.setUTCMinutes(date.getUTCMinutes() + 1);
+    if (cronMatches(fields, date)) return new Date(date);
+  }
+  return null;
+};
+
+const createJobScheduler = ({ runsCollection, locksCollection, instanceId }) => {
+  const owner = instanceId || `${process.pid}-${crypto.randomBytes(4).toString("hex")}`;
+  const jobs = new Map();
+  let timer = null;
+
+  // Returns true if this instance may run the job now.
+  // Scheduled runs also claim the minute slot so a second instance skips it afterwards.
+  const acquireLock = async (job, slot) => {
+    const now = new Date();
+    const filter = {
+      _id: job.name,
+      $or: [{ lockedUntil: { $lt: now } }, { lockedUntil: null }],
+    };
+    if (slot) filter.lastSlot = { $ne: slot };
+
+    const update = {
+      $set: { lockedUntil: new Date(now.getTime() + job.lockTtlMs), owner, lockedAt: now },
+    };
+    if (slot) update.$set.lastSlot = slot;
+
+    try {
+      const result = await locksCollection.updateOne(filter, update, { upsert: true });
+      return result.modifiedCount === 1 || result.upsertedCount === 1;
+    } catch (error) {
+      // Duplicate key: the lock document exists and is held (or the slot is taken)
+      if (error.code === 11000) return false;
+      throw error;
+    }
+  };
+
+  const releaseLock = (job) =>
+    locksCollection.updateOne({ _id: job.name, owner }, { $set: { lockedUntil: null } });
+
+  const execute = async (job, { trigger, triggeredBy = null, slot = null }) => {
+    const acquired = await acquireLock(job, slot);
+    if (!acquired) {
+      return { status: "skipped", reason: "Job is already running or was run by another instance" };
+    }
+
+    const startedAt = new Date();
+    const { insertedId } = await runsCollection.insertOne({
+      job: job.name,
+      trigger,
+      triggeredBy,
+      instanceId: owner,
+      status: "running",
+      startedAt,
+    });
+
+    let run;
+    try {
+      const result = await job.handler();
+      run = { status: "succeeded", result: result ?? null };
+    } catch (error) {
+      console.error(`❌ Job "${job.name}" failed:`, error);
+      run = { status: "failed", error: error.message };
+    } finally {
+      await releaseLock(job);
+    }
+
+    const finishedAt = new Date();
+    Object.assign(run, { finishedAt, durationMs: finishedAt - startedAt });
+    await runsCollection.updateOne({ _id: insertedId }, { $set: run });
+    return { _id: insertedId, job: job.name, trigger, startedAt, ...run };
+  };
+
+  const tick = async () => {
+    const now = new Date();
+    now.setUTCSeconds(0, 0);
+    const slot = now.toISOString();
+
+    for (const job of jobs.values()) {
+      if (!cronMatches(job.cron, now)) continue;
+      execute(job, { trigger: "schedule", slot }).catch((error) => {
+        console.error(`❌ Job "${job.name}" could not be started:`, error.message);
+      });
+    }
+  };
+
+  return {
+    // schedule: 5-field cron expression (UTC) or @hourly/@daily/@weekly/@monthly
+    define(name, schedule, handler, { description = "", lockTtlMs = 10 * 60 * 1000 } = {}) {
+      if (jobs.has(name)) throw new Error(`Job "${name}" is already defined`);
+      jobs.set(name, { name, schedule, description, handler, lockTtlMs, cron: parseCron(schedule) });
+    },
+
+    has: (name) => jobs.has(name),
+
+    list: () =>
+      [...jobs.values()].map(({ name, schedule, description, cron }) => ({
+        name,
+        schedule,
+        description,
+        nextRunAt: nextCronRun(cron),
+      })),
+
+    runNow(name, triggeredBy) {
+      const job = jobs.get(name);
+      if (!job) throw new Error(`Unknown job "${name}"`);
+      return execute(job, { trigger: "manual", triggeredBy });
+    },
+
+    // Ticks at the top of every minute
+    start() {
+      if (timer) return;
+      const scheduleTick = () => {
+        const delay = 60000 - (Date.now() % 60000);
+        timer = setTimeout(() => {
+          tick();
+          scheduleTick();
+        }, delay);
+        timer.unref?.();
+      };
+      scheduleTick();
+      console.log(`✅ Job scheduler started (${jobs.size} job(s), instance ${owner})`);
+    },
+
+    stop() {
+      clearTimeout(timer);
+      timer = null;
+    },
+  };
+};
+
+module.exports = { parseCron, cronMatches, nextCronRun, createJobScheduler };
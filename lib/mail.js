@@ -0,0 +1,76 @@
+// Mail transports. Every transport implements:
+//   name
+//   send({ from, to, subject, text, html, headers }) -> { messageId }
+// send() rejects when the message could not be handed over; the outbox retries it later.
+
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const nodemailer = require("nodemailer");
+
+// Real delivery through an SMTP server
+const createSmtpTransport = ({ host, port = 587, secure = false, user, pass }) => {
+  if (!host) throw new Error("SMTP_HOST is required for the smtp mail transport");
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port: Number(port),
+    secure,
+    ...(user && { auth: { user, pass } }),
+  });
+
+  return {
+    name: "smtp",
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+  };
+};
+
+// Writes every message as an .eml file - open them in any mail client to check the output
+const createFileTransport = ({ directory = path.join(os.tmpdir(), "event-booking-mail") } = {}) => {
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+  return {
+    name: "file",
+    directory,
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      await fs.mkdir(directory, { recursive: true });
+      const file = path.join(directory, `${Date.now()}-${info.messageId.replace(/[^\w.-]+/g, "")}.eml`);
+      await fs.writeFile(file, info.message);
+      return { messageId: info.messageId, file };
+    },
+  };
+};
+
+// Logs a summary of every message - the default for local development. Never the body:
+// it carries password reset and verification tokens. Use the file transport to read messages.
+const createConsoleTransport = () => ({
+  name: "console",
+  async send(message) {
+    const messageId = `<${Date.now()}.${Math.random().toString(36).slice(2)}@console>`;
+    console.log(`ℹ️ [mail] to=${message.to} subject="${message.subject}"`);
+    return { messageId };
+  },
+});
+
+const mailTransportFactories = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport,
+};
+
+const createMailTransport = (name, options = {}) => {
+  const factory = mailTransportFactories[name];
+  if (!factory) throw new Error(`Unknown mail transport "${name}"`);
+  return factory(options);
+};
+
+module.exports = {
+  createSmtpTransport,
+  createFileTransport,
+  createConsoleTransport,
+  createMailTransport,
+};
@@ -0,0 +1,112 @@
+// Markdown rendering for articles and comments. The Markdown source is stored as written;
+// the HTML rendering is sanitised against a strict allowlist, because the frontend injects
+// it as-is. Raw HTML inside the source survives only where the allowlist permits it.
+// Bump RENDER_VERSION whenever the rendering or the allowlist changes, then re-render
+// stored documents with scripts/migrate-render-markdown.js.
+
+const { Marked } = require("marked");
+const sanitizeHtml = require("sanitize-html");
+
+// 2: article excerpts are stored HTML-escaped
+const RENDER_VERSION = 2;
+const WORDS_PER_MINUTE = 200;
+const EXCERPT_LENGTH = 200;
+
+const articleMarked = new Marked({ gfm: true });
+// Comments are short and typed in a textarea, so single line breaks are kept
+const commentMarked = new Marked({ gfm: true, breaks: true });
+
+const inlineTags = ["a", "br", "code", "del", "em", "strong"];
+const commentTags = [...inlineTags, "blockquote", "li", "ol", "p", "pre", "ul"];
+const articleTags = [
+  ...commentTags,
+  "h1", "h2", "h3", "h4", "h5", "h6", "hr", "img",
+  "table", "thead", "tbody", "tr", "th", "td",
+];
+
+const sanitizeOptions = (allowedTags) => ({
+  allowedTags,
+  allowedAttributes: {
+    a: ["href", "title", "rel", "target"],
+    img: ["src", "alt", "title"],
+    th: ["align"],
+    td: ["align"],
+    code: ["class"],
+  },
+  allowedClasses: { code: [/^language-[\w-]+$/] },
+  allowedSchemes: ["http", "https", "mailto"],
+  allowedSchemesByTag: { img: ["http", "https"] },
+  allowProtocolRelative: false,
+  disallowedTagsMode: "discard",
+  transformTags: {
+    // Links leave the site without passing on referrer or page access
+    a: sanitizeHtml.simpleTransform("a", { rel: "nofollow noopener noreferrer", target: "_blank" }),
+  },
+});
+
+const articleSanitizeOptions = sanitizeOptions(articleTags);
+const commentSanitizeOptions = sanitizeOptions(commentTags);
+
+const render = (source, marked, options) =>
+  sanitizeHtml(marked.parse(String(source ?? ""), { async: false }), options).trim();
+
+// Visible text of rendered HTML, whitespace collapsed
+const toPlainText = (html) =>
+  sanitizeHtml(html, { allowedTags: [], allowedAttributes: {} })
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/\s+/g, " ")
+    .trim();
+
+// Plain text made safe to place into HTML - clients may inject the excerpt like contentHtml
+const escapeHtml = (text) =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+// Cut at a word boundary so excerpts never end mid-word
+const excerptOf = (text, maxLength = EXCERPT_LENGTH) => {
+  if (text.length <= maxLength) return text;
+  const cut = text.slice(0, maxLength);
+  const lastSpace = cut.lastIndexOf(" ");
+  return `${(lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut).replace(/[\s.,;:!?-]+$/, "")}...`;
+};
+
+const readingTimeMinutes = (text) => {
+  const words = text ? text.split(" ").length : 0;
+  return Math.max(1, Math.ceil(words / WORDS_PER_MINUTE));
+};
+
+// Fields stored next to an article's Markdown `content`
+const renderArticleContent = (content) => {
+  const contentHtml = render(content, articleMarked, articleSanitizeOptions);
+  const text = toPlainText(contentHtml);
+  return {
+    contentHtml,
+    // Cut before escaping, so the cut never splits an entity
+    excerpt: escapeHtml(excerptOf(text)),
+    readingTimeMinutes: readingTimeMinutes(text),
+    renderVersion: RENDER_VERSION,
+  };
+};
+
+// Fields stored next to a comment's Markdown `text`
+const renderCommentText = (text) => ({
+  textHtml: render(text, commentMarked, commentSanitizeOptions),
+  renderVersion: RENDER_VERSION,
+});
+
+module.exports = {
+  RENDER_VERSION,
+  renderArticleContent,
+  renderCommentText,
+  toPlainText,
+  excerptOf,
+};
@@ -0,0 +1,255 @@
+// Notification templates and delivery policy.
+// NOTIFICATION_TYPES are the types users can turn off; other templates are transactional.
+// Templates get plain data (no database access) and return { subject, text, html };
+// the HTML part is derived from the text so both always say the same thing.
+
+const NOTIFICATION_TYPES = [
+  "join_confirmed",
+  "waitlist_promoted",
+  "event_updated",
+  "event_deleted",
+  "article_comment",
+  "event_reminder",
+  "join_request",
+];
+
+// Retry schedule for failed sends: 1m, 2m, 4m ... capped at 6h, give up after MAX_ATTEMPTS
+const MAX_ATTEMPTS = 6;
+const BASE_RETRY_MS = 60 * 1000;
+const MAX_RETRY_MS = 6 * 60 * 60 * 1000;
+
+const retryDelayMs = (attempts) =>
+  Math.min(BASE_RETRY_MS * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_MS);
+
+const formatEventTime = (startsAt, timeZone = "UTC") => {
+  if (!startsAt) return "Date to be announced";
+  const formatted = new Intl.DateTimeFormat("en-US", {
+    dateStyle: "full",
+    timeStyle: "short",
+    timeZone,
+  }).format(new Date(startsAt));
+  return `${formatted} (${timeZone})`;
+};
+
+const describeEvent = (event) =>
+  [
+    `When: ${formatEventTime(event.startsAt, event.timezone)}`,
+    event.location && `Where: ${event.location}`,
+    event.url && `Details: ${event.url}`,
+  ].filter(Boolean);
+
+const FIELD_LABELS = {
+  groupName: "Name",
+  startsAt: "Start time",
+  endsAt: "End time",
+  timezone: "Timezone",
+  location: "Location",
+};
+
+const templates = {
+  join_confirmed: ({ name, event, ticketCode }) => ({
+    subject: `You're in: ${event.name}`,
+    lines: [
+      `Hi ${name},`,
+      `You have joined "${event.name}".`,
+      ...describeEvent(event),
+      ticketCode && `Your ticket code: ${ticketCode}`,
+    ],
+  }),
+
+  waitlist_promoted: ({ name, event, ticketCode }) => ({
+    subject: `A seat opened up: ${event.name}`,
+    lines: [
+      `Hi ${name},`,
+      `A seat became available and you have been moved from the waitlist to the attendee list of "${event.name}".`,
+      ...describeEvent(event),
+      ticketCode && `Your ticket code: ${ticketCode}`,
+      "If you can no longer attend, please leave the event so the next person can take your seat.",
+    ],
+  }),
+
+  event_updated: ({ name, event, changedFields = [] }) => ({
+    subject: `Updated: ${event.name}`,
+    lines: [
+      `Hi ${name},`,
+      `The organizer changed "${event.name}".`,
+      changedFields.length > 0 &&
+        `Changed: ${changedFields.map((field) => FIELD_LABELS[field] || field).join(", ")}`,
+      ...describeEvent(event),
+    ],
+  }),
+
+  event_deleted: ({ name, events }) => ({
+    subject:
+      events.length === 1 ? `Cancelled: ${events[0].name}` : `${events.length} events were cancelled`,
+    lines: [
+      `Hi ${name},`,
+      events.length === 1
+        ? "The organizer has cancelled an event you signed up for:"
+        : "The organizer has cancelled events you signed up for:",
+      ...events.map((event) => `- ${event.name}, ${formatEventTime(event.startsAt, event.timezone)}`),
+    ],
+  }),
+
+  article_comment: ({ name, article, comment }) => ({
+    subject: `New comment on "${article.title}"`,
+    lines: [
+      `Hi ${name},`,
+      `${comment.authorName} commented on your article "${article.title}":`,
+      `"${comment.excerpt}"`,
+      article.url && `Read it: ${article.url}`,
+    ],
+  }),
+
+  // To the owner of an approval-only group
+  join_request: ({ name, requesterName, event, message }) => ({
+    subject: `${requesterName} asked to join "${event.name}"`,
+    lines: [
+      `Hi ${name},`,
+      `${requesterName} asked to join "${event.name}", which needs your approval.`,
+      message && `Their message: "${message}"`,
+      ...describeEvent(event),
+      "Review the request in the event's join requests.",
+    ],
+  }),
+
+  // Transactional - not in NOTIFICATION_TYPES, so it cannot be unsubscribed from
+  password_reset: ({ name, resetUrl, token, expiresInMinutes }) => ({
+    subject: "Reset your password",
+    lines: [
+      `Hi ${name},`,
+      "Someone asked to reset the password of your Event Booking account.",
+      resetUrl ? `Choose a new password: ${resetUrl}` : `Your reset code: ${token}`,
+      `This ${resetUrl ? "link" : "code"} expires in ${expiresInMinutes} minutes. If you did not ask for it, you can ignore this email.`,
+    ],
+  }),
+
+  // Transactional - finishes a registration (POST /auth/verify-email)
+  email_verification: ({ name, verifyUrl, token, expiresInHours }) => ({
+    subject: "Confirm your email address",
+    lines: [
+      `Hi ${name},`,
+      "Someone used this address to create an Event Booking account.",
+      verifyUrl ? `Confirm it and sign in: ${verifyUrl}` : `Your verification code: ${token}`,
+      `This ${verifyUrl ? "link" : "code"} expires in ${expiresInHours} hours. If it was not you, ignore this email and no account is created.`,
+    ],
+  }),
+
+  // Transactional - the attendee must learn they lost their seat
+  attendee_removed: ({ name, event, reason }) => ({
+    subject: `You were removed from "${event.name}"`,
+    lines: [
+      `Hi ${name},`,
+      `The organizer removed you from the attendee list of "${event.name}". Your ticket is no longer valid.`,
+      reason && `Reason given: ${reason}`,
+      ...describeEvent(event),
+    ],
+  }),
+
+  // Transactional - an invite link addressed to one person
+  group_invite: ({ name, inviterName, event, inviteUrl, expiresAt }) => ({
+    subject: `${inviterName} invited you to "${event.name}"`,
+    lines: [
+      `Hi ${name},`,
+      `${inviterName} invited you to "${event.name}".`,
+      ...describeEvent(event),
+      inviteUrl ? `Accept the invite: ${inviteUrl}` : "Sign in with this email address to join.",
+      `The invite expires on ${formatEventTime(expiresAt)}.`,
+    ],
+  }),
+
+  // Transactional - the answer to a join request; outcome says what approving did
+  join_request_decided: ({ name, event, approved, outcome, reason, ticketCode }) => ({
+    subject: approved ? `Request approved: ${event.name}` : `Request declined: ${event.name}`,
+    lines: [
+      `Hi ${name},`,
+      approved
+        ? `The organizer approved your request to join "${event.name}".`
+        : `The organizer declined your request to join "${event.name}".`,
+      outcome === "joined" && "You are on the attendee list.",
+      outcome === "waitlisted" && "The event is full, so you have been added to the waitlist.",
+      outcome === "sold_out" && "Unfortunately all tickets for this event have been taken.",
+      outcome === "ticket_required" && "Buy a ticket to complete your registration.",
+      outcome === "unavailable" && "Unfortunately the date you asked for is no longer available.",
+      reason && `Reason given: ${reason}`,
+      ...describeEvent(event),
+      ticketCode && `Your ticket code: ${ticketCode}`,
+    ],
+  }),
+
+  // Transactional - sent once, when the owner invites someone to co-host
+  manager_invite: ({ name, inviterName, event, expiresAt }) => ({
+    subject: `${inviterName} invited you to co-host "${event.name}"`,
+    lines: [
+      `Hi ${name},`,
+      `${inviterName} invited you to co-host "${event.name}". Co-hosts can edit and cancel the event, check in attendees and manage orders.`,
+      ...describeEvent(event),
+      `Sign in to accept or decline the invite. It expires on ${formatEventTime(expiresAt)}.`,
+    ],
+  }),
+
+  event_reminder: ({ name, event }) => ({
+    subject: `Reminder: ${event.name}`,
+    lines: [`Hi ${name},`, `This is a reminder that "${event.name}" starts soon.`, ...describeEvent(event)],
+  }),
+};
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const linkify = (escaped) => escaped.replace(/https?:\/\/[^\s<]+/g, (url) => `<a href="${url}">${url}</a>`);
+
+// Returns { subject, text, html } - throws for unknown types
+const renderNotification = (type, data, { unsubscribeUrl } = {}) => {
+  const template = templates[type];
+  if (!template) throw new Error(`Unknown notification type "${type}"`);
+
+  const { subject, lines } = template({ name: "there", ...data });
+  const body = lines.filter(Boolean);
+  const footer = unsubscribeUrl
+    ? [`You are receiving this because of your notification settings. Unsubscribe: ${unsubscribeUrl}`]
+    : [];
+
+  return {
+    subject,
+    text: [...body, "", ...footer].join("\n").trim() + "\n",
+    html: [...body, ...footer].map((line) => `<p>${linkify(escapeHtml(line))}</p>`).join("\n"),
+  };
+};
+
+// Minimal pages for unsubscribe links opened in a browser. Opening the link only shows the
+// confirmation - mail scanners and link previews open links too - and its button POSTs
+// back to the same URL, token included.
+const unsubscribePage = (title, body) =>
+  `<!DOCTYPE html>\n<html lang="en"><head><meta charset="utf-8">` +
+  `<meta name="viewport" content="width=device-width, initial-scale=1"><title>${escapeHtml(title)}</title></head>` +
+  `<body>${body}</body></html>\n`;
+
+const typeLabel = (type) => String(type).replace(/_/g, " ");
+
+const renderUnsubscribeConfirmation = (type) =>
+  unsubscribePage(
+    "Unsubscribe",
+    `<p>Stop receiving ${escapeHtml(typeLabel(type))} emails?</p>` +
+      `<form method="post"><button type="submit">Unsubscribe</button></form>`
+  );
+
+const renderUnsubscribeResult = (type) =>
+  unsubscribePage("Unsubscribed", `<p>You will no longer receive ${escapeHtml(typeLabel(type))} emails.</p>`);
+
+const renderUnsubscribeInvalid = () =>
+  unsubscribePage("Unsubscribe", "<p>This unsubscribe link is invalid.</p>");
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  MAX_ATTEMPTS,
+  retryDelayMs,
+  renderNotification,
+  renderUnsubscribeConfirmation,
+  renderUnsubscribeResult,
+  renderUnsubscribeInvalid,
+};
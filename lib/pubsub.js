@@ -0,0 +1,131 @@
+// Pub/sub backends for real-time updates. Every backend implements:
+//   name
+//   publish(channel, event) -> Promise   event is any JSON-serializable value
+//   subscribe(channel, handler) -> unsubscribe()
+//   close() -> Promise
+// "memory" only reaches subscribers in the same process; "mongo" fans events out to
+// every server instance through a change stream (requires a replica set, e.g. Atlas).
+
+const STREAM_RETRY_MS = 5000;
+
+const createHandlerRegistry = () => {
+  const handlers = new Map();
+
+  return {
+    get size() {
+      return handlers.size;
+    },
+    add(channel, handler) {
+      if (!handlers.has(channel)) handlers.set(channel, new Set());
+      handlers.get(channel).add(handler);
+      return () => {
+        const set = handlers.get(channel);
+        if (!set) return;
+        set.delete(handler);
+        if (set.size === 0) handlers.delete(channel);
+      };
+    },
+    dispatch(channel, event) {
+      for (const handler of handlers.get(channel) || []) {
+        try {
+          handler(event);
+        } catch (error) {
+          console.error(`⚠️ Real-time subscriber for ${channel} failed:`, error.message);
+        }
+      }
+    },
+    clear() {
+      handlers.clear();
+    },
+  };
+};
+
+const createMemoryPubSub = () => {
+  const registry = createHandlerRegistry();
+
+  return {
+    name: "memory",
+    async publish(channel, event) {
+      registry.dispatch(channel, event);
+    },
+    subscribe(channel, handler) {
+      return registry.add(channel, handler);
+    },
+    async close() {
+      registry.clear();
+    },
+  };
+};
+
+// Events are inserted into the collection (give it a TTL index on createdAt) and read back by
+// every instance through one change stream, opened while this instance has subscribers.
+// getCollection is called lazily, so the backend can be created before the database connects.
+const createMongoPubSub = ({ getCollection }) => {
+  const registry = createHandlerRegistry();
+  let stream = null;
+  let retryTimer = null;
+
+  const closeStream = () => {
+    if (!stream) return;
+    const current = stream;
+    stream = null;
+    current.close().catch(() => {});
+  };
+
+  const openStream = () => {
+    if (stream || registry.size === 0) return;
+    stream = getCollection().watch([{ $match: { operationType: "insert" } }]);
+    stream.on("change", (change) => {
+      const { channel, event } = change.fullDocument;
+      registry.dispatch(channel, event);
+    });
+    stream.on("error", (error) => {
+      console.error("❌ Real-time change stream failed:", error.message);
+      closeStream();
+      if (!retryTimer) {
+        retryTimer = setTimeout(() => {
+          retryTimer = null;
+          openStream();
+        }, STREAM_RETRY_MS);
+        retryTimer.unref();
+      }
+    });
+  };
+
+  return {
+    name: "mongo",
+    async publish(channel, event) {
+      await getCollection().insertOne({ channel, event, createdAt: new Date() });
+    },
+    subscribe(channel, handler) {
+      const unsubscribe = registry.add(channel, handler);
+      openStream();
+      return () => {
+        unsubscribe();
+        if (registry.size === 0) closeStream();
+      };
+    },
+    async close() {
+      registry.clear();
+      if (retryTimer) clearTimeout(retryTimer);
+      closeStream();
+    },
+  };
+};
+
+const pubSubFactories = {
+  memory: createMemoryPubSub,
+  mongo: createMongoPubSub,
+};
+
+const createPubSub = (name, options = {}) => {
+  const factory = pubSubFactories[name];
+  if (!factory) throw new Error(`Unknown pub/sub backend "${name}"`);
+  return factory(options);
+};
+
+module.exports = {
+  createMemoryPubSub,
+  createMongoPubSub,
+  createPubSub,
+};
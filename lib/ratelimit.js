@@ -0,0 +1,142 @@
+// Fixed-window rate limiting. Counter stores implement:
+//   name
+//   increment(key, windowMs) -> Promise<{ count, resetAt }>   resetAt is epoch ms
+//   close() -> Promise
+// "memory" only counts requests seen by this process; "mongo" shares the counters between
+// every server instance (give the collection a TTL index on expiresAt).
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const windowStart = (now, windowMs) => Math.floor(now / windowMs) * windowMs;
+
+const createMemoryRateLimitStore = () => {
+  const counters = new Map();
+
+  // Drop finished windows so idle keys do not pile up
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) counters.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweep.unref();
+
+  return {
+    name: "memory",
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let counter = counters.get(key);
+      if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: windowStart(now, windowMs) + windowMs };
+        counters.set(key, counter);
+      }
+      counter.count++;
+      return { count: counter.count, resetAt: counter.resetAt };
+    },
+    async close() {
+      clearInterval(sweep);
+      counters.clear();
+    },
+  };
+};
+
+// One document per key and window; getCollection is called lazily, so the store can be
+// created before the database connects
+const createMongoRateLimitStore = ({ getCollection }) => ({
+  name: "mongo",
+  async increment(key, windowMs) {
+    const start = windowStart(Date.now(), windowMs);
+    const resetAt = start + windowMs;
+    const filter = { _id: `${key}:${start}` };
+    const update = { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(resetAt) } };
+
+    let counter;
+    try {
+      counter = await getCollection().findOneAndUpdate(filter, update, {
+        upsert: true,
+        returnDocument: "after",
+      });
+    } catch (error) {
+      // Two instances upserted the same new window at once - the other insert won
+      if (error.code !== 11000) throw error;
+      counter = await getCollection().findOneAndUpdate(filter, update, { returnDocument: "after" });
+    }
+    return { count: counter.count, resetAt };
+  },
+  async close() {},
+});
+
+const rateLimitStoreFactories = {
+  memory: createMemoryRateLimitStore,
+  mongo: createMongoRateLimitStore,
+};
+
+const createRateLimitStore = (name, options = {}) => {
+  const factory = rateLimitStoreFactories[name];
+  if (!factory) throw new Error(`Unknown rate limit store "${name}"`);
+  return factory(options);
+};
+
+// Express middleware counting each request against the signed-in account (perUser, needs
+// req.user) and the client IP (perIp). A limit of 0 or unset skips that counter.
+// Responds 429 with Retry-After once any counter is over its limit; the RateLimit-* headers
+// describe the counter closest to its limit. Store errors let the request through.
+const createRateLimiter = (store, { name, windowMs, perUser, perIp, skip }) => {
+  const windowSeconds = Math.ceil(windowMs / 1000);
+
+  return async (req, res, next) => {
+    try {
+      if (skip && skip(req)) return next();
+
+      const counters = [];
+      if (perUser && req.user?.email) {
+        counters.push({ key: `${name}:user:${req.user.email.toLowerCase()}`, limit: perUser });
+      }
+      if (perIp) counters.push({ key: `${name}:ip:${req.ip}`, limit: perIp });
+      if (counters.length === 0) return next();
+
+      const now = Date.now();
+      const results = await Promise.all(
+        counters.map(async (counter) => {
+          const { count, resetAt } = await store.increment(counter.key, windowMs);
+          return {
+            ...counter,
+            remaining: Math.max(counter.limit - count, 0),
+            exceeded: count > counter.limit,
+            resetSeconds: Math.max(Math.ceil((resetAt - now) / 1000), 0),
+          };
+        })
+      );
+
+      const [tightest] = [...results].sort(
+        (a, b) => b.exceeded - a.exceeded || a.remaining - b.remaining || b.resetSeconds - a.resetSeconds
+      );
+      res.set({
+        "RateLimit-Policy": results.map((result) => `${result.limit};w=${windowSeconds}`).join(", "),
+        "RateLimit-Limit": String(tightest.limit),
+        "RateLimit-Remaining": String(tightest.remaining),
+        "RateLimit-Reset": String(tightest.resetSeconds),
+      });
+
+      if (tightest.exceeded) {
+        res.set("Retry-After", String(tightest.resetSeconds));
+        return res.status(429).json({
+          success: false,
+          error: "Too many requests, please try again later",
+          retryAfter: tightest.resetSeconds,
+        });
+      }
+      next();
+    } catch (error) {
+      console.error(`⚠️ Rate limiter "${name}" failed, letting the request through:`, error.message);
+      next();
+    }
+  };
+};
+
+module.exports = {
+  createMemoryRateLimitStore,
+  createMongoRateLimitStore,
+  createRateLimitStore,
+  createRateLimiter,
+};
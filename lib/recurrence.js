@@ -0,0 +1,287 @@
+// Recurrence rules for event series - a subset of RFC 5545 RRULE plus EXDATE.
+//
+// Supported parts: FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, COUNT, UNTIL,
+// BYDAY (with ordinals for MONTHLY/YEARLY, e.g. 2TU or -1FR), BYMONTHDAY, BYMONTH.
+// Occurrences are expanded in the series' own timezone, so a 18:00 meetup stays at
+// 18:00 local time across DST changes.
+const { getZonedParts, zonedTimeToUtc } = require("./schedule");
+
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const FREQUENCIES = ["DAILY", "WEEKLY", "MONTHLY", "YEARLY"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Safety net for rules that can never produce another occurrence (e.g. BYMONTHDAY=31;BYMONTH=2)
+const MAX_PERIODS = 50000;
+
+const parseUntil = (value) => {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+  if (!match) return null;
+  const [, year, month, day, hour = "23", minute = "59", second = "59"] = match;
+  return new Date(Date.UTC(+year, +month - 1, +day, +hour, +minute, +second));
+};
+
+const formatUntil = (date) => date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+const parseIntList = (value, min, max, allowNegative = false) =>
+  value.split(",").map((item) => {
+    const number = Number(item);
+    const valid =
+      Number.isInteger(number) &&
+      (allowNegative ? Math.abs(number) >= min && Math.abs(number) <= max : number >= min && number <= max);
+    if (!valid) throw new Error(`Invalid value "${item}"`);
+    return number;
+  });
+
+// "FREQ=WEEKLY;BYDAY=TU,TH;COUNT=10" -> rule object. Throws on anything outside the subset.
+const parseRRule = (input) => {
+  if (typeof input !== "string" || !input.trim()) {
+    throw new Error("rrule must be a non-empty string");
+  }
+
+  const rule = { freq: null, interval: 1, count: null, until: null, byDay: [], byMonthDay: [], byMonth: [] };
+  const source = input.trim().replace(/^RRULE:/i, "");
+
+  for (const part of source.split(";").filter(Boolean)) {
+    const [rawKey, value] = part.split("=");
+    const key = rawKey.toUpperCase();
+    if (!value) throw new Error(`Invalid rrule part "${part}"`);
+
+    try {
+      switch (key) {
+        case "FREQ":
+          if (!FREQUENCIES.includes(value.toUpperCase())) throw new Error(`Unsupported FREQ "${value}"`);
+          rule.freq = value.toUpperCase();
+          break;
+        case "INTERVAL":
+          [rule.interval] = parseIntList(value, 1, 1000);
+          break;
+        case "COUNT":
+          [rule.count] = parseIntList(value, 1, 1000);
+          break;
+        case "UNTIL":
+          rule.until = parseUntil(value);
+          if (!rule.until) throw new Error(`Invalid UNTIL "${value}"`);
+          break;
+        case "BYDAY":
+          rule.byDay = value.split(",").map((item) => {
+            const match = item.toUpperCase().match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+            if (!match) throw new Error(`Invalid BYDAY "${item}"`);
+            const ordinal = match[1] ? Number(match[1]) : null;
+            if (ordinal !== null && (ordinal === 0 || Math.abs(ordinal) > 5)) {
+              throw new Error(`Invalid BYDAY "${item}"`);
+            }
+            return { weekday: WEEKDAYS.indexOf(match[2]), ordinal };
+          });
+          break;
+        case "BYMONTHDAY":
+          rule.byMonthDay = parseIntList(value, 1, 31, true);
+          break;
+        case "BYMONTH":
+          rule.byMonth = parseIntList(value, 1, 12);
+          break;
+        case "WKST":
+          if (value.toUpperCase() !== "MO") throw new Error("Only WKST=MO is supported");
+          break;
+        default:
+          throw new Error(`Unsupported rrule part "${key}"`);
+      }
+    } catch (error) {
+      throw new Error(`Invalid rrule: ${error.message}`);
+    }
+  }
+
+  if (!rule.freq) throw new Error("Invalid rrule: FREQ is required");
+  if (rule.count && rule.until) throw new Error("Invalid rrule: COUNT and UNTIL cannot be combined");
+  if (rule.byDay.some((day) => day.ordinal !== null) && !["MONTHLY", "YEARLY"].includes(rule.freq)) {
+    throw new Error("Invalid rrule: BYDAY ordinals are only allowed with FREQ=MONTHLY or YEARLY");
+  }
+  return rule;
+};
+
+const formatRRule = (rule) => {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byMonth.length) parts.push(`BYMONTH=${rule.byMonth.join(",")}`);
+  if (rule.byMonthDay.length) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(",")}`);
+  if (rule.byDay.length) {
+    parts.push(`BYDAY=${rule.byDay.map((d) => `${d.ordinal ?? ""}${WEEKDAYS[d.weekday]}`).join(",")}`);
+  }
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${formatUntil(rule.until)}`);
+  return parts.join(";");
+};
+
+// Local calendar dates are handled as UTC midnights so day arithmetic ignores DST
+const toDay = (year, month, day) => Date.UTC(year, month - 1, day);
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+// Candidate days of one month for MONTHLY/YEARLY rules
+const monthDays = (rule, year, month, startDay) => {
+  const total = daysInMonth(year, month);
+  let days = [];
+
+  if (rule.byMonthDay.length) {
+    days = rule.byMonthDay
+      .map((d) => (d > 0 ? d : total + d + 1))
+      .filter((d) => d >= 1 && d <= total);
+  } else if (rule.byDay.length) {
+    for (const { weekday, ordinal } of rule.byDay) {
+      const matching = [];
+      for (let d = 1; d <= total; d++) {
+        if (new Date(toDay(year, month, d)).getUTCDay() === weekday) matching.push(d);
+      }
+      if (ordinal === null) days.push(...matching);
+      else {
+        const pick = ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal];
+        if (pick) days.push(pick);
+      }
+    }
+  } else if (startDay <= total) {
+    days = [startDay];
+  }
+
+  if (rule.byMonthDay.length && rule.byDay.length) {
+    days = days.filter((d) =>
+      rule.byDay.some(({ weekday }) => new Date(toDay(year, month, d)).getUTCDay() === weekday)
+    );
+  }
+  return [...new Set(days)].sort((a, b) => a - b).map((d) => toDay(year, month, d));
+};
+
+// Candidate local days for period number `index` (already a multiple of INTERVAL)
+const periodDays = (rule, start, index) => {
+  const startDate = new Date(start.day);
+
+  switch (rule.freq) {
+    case "DAILY":
+      return [start.day + index * DAY_MS];
+    case "WEEKLY": {
+      // Weeks start on Monday (WKST=MO)
+      const offset = (startDate.getUTCDay() + 6) % 7;
+      const weekStart = start.day - offset * DAY_MS + index * 7 * DAY_MS;
+      const weekdays = rule.byDay.length ? rule.byDay.map((d) => d.weekday) : [startDate.getUTCDay()];
+      return weekdays.map((weekday) => weekStart + ((weekday + 6) % 7) * DAY_MS).sort((a, b) => a - b);
+    }
+    case "MONTHLY": {
+      const monthIndex = startDate.getUTCMonth() + index;
+      const year = startDate.getUTCFullYear() + Math.floor(monthIndex / 12);
+      const month = (monthIndex % 12) + 1;
+      return monthDays(rule, year, month, startDate.getUTCDate());
+    }
+    case "YEARLY": {
+      const year = startDate.getUTCFullYear() + index;
+      const months = rule.byMonth.length ? rule.byMonth : [startDate.getUTCMonth() + 1];
+      return months.flatMap((month) => monthDays(rule, year, month, startDate.getUTCDate()));
+    }
+    default:
+      return [];
+  }
+};
+
+const matchesFilters = (rule, day) => {
+  const date = new Date(day);
+  if (rule.byMonth.length && !rule.byMonth.includes(date.getUTCMonth() + 1)) return false;
+  if (rule.freq === "DAILY") {
+    if (rule.byDay.length && !rule.byDay.some((d) => d.weekday === date.getUTCDay())) return false;
+    if (rule.byMonthDay.length) {
+      const total = daysInMonth(date.getUTCFullYear(), date.getUTCMonth() + 1);
+      const dayOfMonth = date.getUTCDate();
+      if (!rule.byMonthDay.some((d) => (d > 0 ? d : total + d + 1) === dayOfMonth)) return false;
+    }
+  }
+  return true;
+};
+
+// Yields every occurrence start (Date) in order, DTSTART first, honouring COUNT and UNTIL.
+// EXDATEs are not applied here because they still count towards COUNT (RFC 5545).
+function* iterateOccurrences({ rrule, startsAt, timezone }) {
+  const rule = typeof rrule === "string" ? parseRRule(rrule) : rrule;
+  const dtstart = new Date(startsAt);
+  const local = getZonedParts(dtstart, timezone);
+  const start = { day: toDay(local.year, local.month, local.day) };
+
+  let emitted = 0;
+  yield dtstart;
+  emitted++;
+
+  for (let index = 0; index < MAX_PERIODS; index += rule.interval) {
+    for (const day of periodDays(rule, start, index)) {
+      if (day < start.day || !matchesFilters(rule, day)) continue;
+
+      const date = new Date(day);
+      const occurrence = zonedTimeToUtc(
+        {
+          year: date.getUTCFullYear(),
+          month: date.getUTCMonth() + 1,
+          day: date.getUTCDate(),
+          hour: local.hour,
+          minute: local.minute,
+          second: local.second,
+        },
+        timezone
+      );
+      if (occurrence <= dtstart) continue;
+      if (rule.until && occurrence > rule.until) return;
+      if (rule.count && emitted >= rule.count) return;
+
+      yield occurrence;
+      emitted++;
+    }
+  }
+}
+
+// Occurrence starts within [from, to], minus EXDATEs, at most `limit` results
+const expandRecurrence = ({ rrule, startsAt, timezone, exdates = [] }, { from = null, to, limit = 500 } = {}) => {
+  const rule = typeof rrule === "string" ? parseRRule(rrule) : rrule;
+  if (!to && !rule.count && !rule.until) {
+    throw new Error("An end of the expansion window is required for open-ended rules");
+  }
+  const excluded = new Set(exdates.map((d) => new Date(d).getTime()));
+  const occurrences = [];
+
+  for (const occurrence of iterateOccurrences({ rrule: rule, startsAt, timezone })) {
+    if (to && occurrence > to) break;
+    if (from && occurrence < from) continue;
+    if (excluded.has(occurrence.getTime())) continue;
+    occurrences.push(occurrence);
+    if (occurrences.length >= limit) break;
+  }
+  return occurrences;
+};
+
+// Does `date` belong to the series (ignoring EXDATEs)?
+const isOccurrence = ({ rrule, startsAt, timezone }, date) => {
+  const target = new Date(date).getTime();
+  for (const occurrence of iterateOccurrences({ rrule, startsAt, timezone })) {
+    if (occurrence.getTime() === target) return true;
+    if (occurrence.getTime() > target) return false;
+  }
+  return false;
+};
+
+// Split a rule at `splitAt` (the first occurrence of the new series).
+// Returns { before, after } rrule strings - `before` ends just before splitAt,
+// `after` keeps whatever COUNT is left.
+const splitRRule = ({ rrule, startsAt, timezone }, splitAt) => {
+  const rule = parseRRule(rrule);
+  let precedingCount = 0;
+  for (const occurrence of iterateOccurrences({ rrule: rule, startsAt, timezone })) {
+    if (occurrence >= splitAt) break;
+    precedingCount++;
+  }
+
+  const before = { ...rule, count: null, until: new Date(splitAt.getTime() - 1000) };
+  const after = { ...rule };
+  if (rule.count) after.count = Math.max(rule.count - precedingCount, 1);
+
+  return { before: formatRRule(before), after: formatRRule(after), precedingCount };
+};
+
+module.exports = {
+  parseRRule,
+  formatRRule,
+  iterateOccurrences,
+  expandRecurrence,
+  isOccurrence,
+  splitRRule,
+};
@@ -0,0 +1,199 @@
+// Event schedule helpers - real start/end instants plus an IANA timezone.
+// The legacy formattedDate / formatHour / day strings are derived from startsAt
+// so older clients keep working.
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_EVENT_TIMEZONE || "UTC";
+
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== "string" || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Wall-clock parts of an instant as seen in a timezone
+const getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    weekday: "long",
+  }).formatToParts(date);
+  const map = Object.fromEntries(parts.map((part) => [part.type, part.value]));
+  return {
+    year: Number(map.year),
+    month: Number(map.month),
+    day: Number(map.day),
+    hour: Number(map.hour),
+    minute: Number(map.minute),
+    second: Number(map.second),
+    weekday: map.weekday,
+  };
+};
+
+// Milliseconds to add to UTC to get the wall time in timeZone at that instant
+const getTimeZoneOffset = (date, timeZone) => {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Convert a wall-clock time in timeZone to a UTC Date (DST aware)
+const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) => {
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+  const offset = getTimeZoneOffset(new Date(guess), timeZone);
+  let result = guess - offset;
+  // Re-check once in case the guess and the result sit on different sides of a DST change
+  const correctedOffset = getTimeZoneOffset(new Date(result), timeZone);
+  if (correctedOffset !== offset) result = guess - correctedOffset;
+  return new Date(result);
+};
+
+const pad = (value) => String(value).padStart(2, "0");
+
+// Accepts an ISO instant ("...Z" / "+06:00") or a local "YYYY-MM-DDTHH:mm[:ss]" read in timeZone
+const parseEventTime = (value, timeZone) => {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value;
+  }
+  if (typeof value !== "string") return null;
+
+  const local = value.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/);
+  if (local) {
+    const [year, month, day, hour, minute, second = 0] = local
+      .slice(1)
+      .filter((part) => part !== undefined)
+      .map(Number);
+    return zonedTimeToUtc({ year, month, day, hour, minute, second }, timeZone);
+  }
+
+  if (!/^\d{4}-\d{2}-\d{2}T.*(Z|[+-]\d{2}:?\d{2})$/.test(value)) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// formattedDate "YYYY-MM-DD", formatHour "HH:mm" and day "Monday" in the event's timezone
+const deriveLegacyFields = (startsAt, timeZone) => {
+  const p = getZonedParts(startsAt, timeZone);
+  return {
+    formattedDate: `${p.year}-${pad(p.month)}-${pad(p.day)}`,
+    formatHour: `${pad(p.hour)}:${pad(p.minute)}`,
+    day: p.weekday,
+  };
+};
+
+// Best effort parse of the old free-text fields, e.g. "2025-07-14" + "6:30 PM"
+const parseLegacySchedule = ({ formattedDate, formatHour }, timeZone) => {
+  if (!formattedDate) return null;
+
+  let year;
+  let month;
+  let day;
+  const isoDate = String(formattedDate).match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (isoDate) {
+    [, year, month, day] = isoDate.map(Number);
+  } else {
+    const parsed = new Date(formattedDate);
+    if (Number.isNaN(parsed.getTime())) return null;
+    year = parsed.getFullYear();
+    month = parsed.getMonth() + 1;
+    day = parsed.getDate();
+  }
+
+  let hour = 0;
+  let minute = 0;
+  const time = String(formatHour || "").match(/(\d{1,2})(?::(\d{2}))?\s*(am|pm)?/i);
+  if (time) {
+    hour = Number(time[1]);
+    minute = Number(time[2] || 0);
+    const meridiem = time[3]?.toLowerCase();
+    if (meridiem === "pm" && hour < 12) hour += 12;
+    if (meridiem === "am" && hour === 12) hour = 0;
+    if (hour > 23 || minute > 59) return null;
+  }
+
+  return zonedTimeToUtc({ year, month, day, hour, minute }, timeZone);
+};
+
+const scheduleInputFields = ["startsAt", "endsAt", "timezone", "formattedDate", "formatHour", "day"];
+
+// Validate schedule input from POST /createGroup or PUT /groups/:id.
+// `existing` is the stored group on update. Returns { fields } to $set, or { error }.
+const normalizeSchedule = (input, existing = null) => {
+  const touched = scheduleInputFields.some((field) => input[field] !== undefined);
+  if (existing && !touched) return { fields: {} };
+
+  const timezone = input.timezone ?? existing?.timezone ?? DEFAULT_TIMEZONE;
+  if (!isValidTimeZone(timezone)) {
+    return { error: "timezone must be a valid IANA timezone, e.g. Asia/Dhaka" };
+  }
+
+  let startsAt;
+  if (input.startsAt !== undefined) {
+    startsAt = parseEventTime(input.startsAt, timezone);
+    if (!startsAt) {
+      return { error: "startsAt must be an ISO 8601 date-time" };
+    }
+  } else if (input.formattedDate !== undefined || input.formatHour !== undefined) {
+    // Older clients still send the legacy strings
+    startsAt = parseLegacySchedule(
+      {
+        formattedDate: input.formattedDate ?? existing?.formattedDate,
+        formatHour: input.formatHour ?? existing?.formatHour,
+      },
+      timezone
+    );
+    if (!startsAt) {
+      return { error: "formattedDate/formatHour could not be parsed - send startsAt instead" };
+    }
+  } else if (existing?.startsAt) {
+    startsAt = new Date(existing.startsAt);
+  } else {
+    return { error: "startsAt is required" };
+  }
+
+  let endsAt = null;
+  if (input.endsAt !== undefined && input.endsAt !== null) {
+    endsAt = parseEventTime(input.endsAt, timezone);
+    if (!endsAt) {
+      return { error: "endsAt must be an ISO 8601 date-time" };
+    }
+  } else if (input.endsAt === undefined && existing?.startsAt && existing?.endsAt) {
+    // Moving the start keeps the original duration
+    const duration = new Date(existing.endsAt) - new Date(existing.startsAt);
+    endsAt = new Date(startsAt.getTime() + duration);
+  }
+
+  if (endsAt && endsAt <= startsAt) {
+    return { error: "endsAt must be after startsAt" };
+  }
+
+  return {
+    fields: {
+      startsAt,
+      endsAt,
+      timezone,
+      ...deriveLegacyFields(startsAt, timezone),
+    },
+  };
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  getZonedParts,
+  getTimeZoneOffset,
+  zonedTimeToUtc,
+  parseEventTime,
+  deriveLegacyFields,
+  parseLegacySchedule,
+  normalizeSchedule,
+};
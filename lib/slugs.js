@@ -0,0 +1,34 @@
+// URL slugs: lowercase ASCII words joined by hyphens ("Hello, Wörld!" -> "hello-world").
+// Uniqueness is the caller's job - see withSuffix for the "-2", "-3" ... candidates.
+
+const MAX_SLUG_LENGTH = 80;
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+const slugify = (text, fallback = "article") => {
+  const slug = String(text ?? "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "") // accents split off by NFKD
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/-+$/, "");
+  return slug || fallback;
+};
+
+const isSlug = (value) =>
+  typeof value === "string" && value.length <= MAX_SLUG_LENGTH && SLUG_PATTERN.test(value);
+
+// n = 1 is the base slug itself; the suffix is kept inside MAX_SLUG_LENGTH
+const withSuffix = (slug, n) => {
+  if (n <= 1) return slug;
+  const suffix = `-${n}`;
+  return `${slug.slice(0, MAX_SLUG_LENGTH - suffix.length).replace(/-+$/, "")}${suffix}`;
+};
+
+module.exports = {
+  MAX_SLUG_LENGTH,
+  slugify,
+  isSlug,
+  withSuffix,
+};
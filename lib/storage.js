@@ -0,0 +1,82 @@
+// Storage for uploaded files. Every adapter implements:
+//   name
+//   put(key, buffer, { contentType }) -> void
+//   read(key) -> Readable stream | null (null when the key does not exist)
+//   delete(key) -> void (a missing key is not an error)
+//   publicUrl(key) -> string | null (null: the file is served by this API at /uploads/:key)
+// Keys are generated by the server (see lib/uploads.js), so adapters never see user paths.
+
+const fsp = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+const { Readable } = require("stream");
+
+// Files on the local disk - fine for a single instance with a persistent volume
+const createLocalStorage = ({ directory = path.join(process.cwd(), "uploads") } = {}) => {
+  const fileOf = (key) => path.join(directory, path.basename(key));
+
+  return {
+    name: "local",
+    directory,
+    async put(key, buffer) {
+      await fsp.mkdir(directory, { recursive: true });
+      // Write next to the target and rename, so readers never see half a file
+      const temporary = `${fileOf(key)}.${crypto.randomBytes(6).toString("hex")}.tmp`;
+      await fsp.writeFile(temporary, buffer);
+      await fsp.rename(temporary, fileOf(key));
+    },
+    async read(key) {
+      try {
+        const handle = await fsp.open(fileOf(key), "r");
+        return handle.createReadStream();
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+    async delete(key) {
+      await fsp.rm(fileOf(key), { force: true });
+    },
+    publicUrl() {
+      return null;
+    },
+  };
+};
+
+// Keeps files in process memory and loses them on restart - for tests and demos only
+const createMemoryStorage = () => {
+  const files = new Map();
+
+  return {
+    name: "memory",
+    async put(key, buffer) {
+      files.set(key, Buffer.from(buffer));
+    },
+    async read(key) {
+      return files.has(key) ? Readable.from([files.get(key)]) : null;
+    },
+    async delete(key) {
+      files.delete(key);
+    },
+    publicUrl() {
+      return null;
+    },
+  };
+};
+
+const storageFactories = {
+  local: createLocalStorage,
+  memory: createMemoryStorage,
+};
+
+const createStorage = (name, options = {}) => {
+  const factory = storageFactories[name];
+  if (!factory) throw new Error(`Unknown upload storage "${name}"`);
+  return factory(options);
+};
+
+module.exports = {
+  createLocalStorage,
+  createMemoryStorage,
+  createStorage,
+};
@@ -0,0 +1,117 @@
+// Image uploads: reading one file from a multipart/form-data request, checking what it
+// really is, and the keys it is stored under. The type is sniffed from the first bytes and
+// the client's Content-Type is ignored; SVG is refused because it can carry scripts.
+
+const crypto = require("crypto");
+const busboy = require("busboy");
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const IMAGE_TYPES = [
+  {
+    contentType: "image/jpeg",
+    extension: "jpg",
+    matches: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff,
+  },
+  { contentType: "image/png", extension: "png", matches: (b) => b.subarray(0, 8).equals(PNG_SIGNATURE) },
+  { contentType: "image/gif", extension: "gif", matches: (b) => /^GIF8[79]a$/.test(b.toString("latin1", 0, 6)) },
+  {
+    contentType: "image/webp",
+    extension: "webp",
+    matches: (b) => b.toString("latin1", 0, 4) === "RIFF" && b.toString("latin1", 8, 12) === "WEBP",
+  },
+];
+
+// { contentType, extension } or null when the bytes are not a supported image
+const sniffImageType = (buffer) => {
+  const type = IMAGE_TYPES.find((candidate) => buffer.length >= 12 && candidate.matches(buffer));
+  return type ? { contentType: type.contentType, extension: type.extension } : null;
+};
+
+// Random, so upload URLs cannot be guessed and can be cached forever
+const UPLOAD_KEY_PATTERN = /^[a-f0-9]{32}\.(jpg|png|gif|webp)$/;
+
+const newUploadKey = (extension) => `${crypto.randomBytes(16).toString("hex")}.${extension}`;
+
+const contentTypeOfKey = (key) =>
+  IMAGE_TYPES.find((type) => key.endsWith(`.${type.extension}`))?.contentType || null;
+
+// Upload keys linked anywhere in a document (image fields, Markdown, rendered HTML)
+const uploadKeysIn = (value) => {
+  const text = typeof value === "string" ? value : JSON.stringify(value ?? "");
+  const keys = text.match(/\/uploads\/[a-f0-9]{32}\.(?:jpg|png|gif|webp)\b/g) || [];
+  return [...new Set(keys.map((match) => match.slice("/uploads/".length)))];
+};
+
+// Read the single file of `field` into memory. Resolves { file: { buffer, filename } } or
+// { status, error }; never rejects, so route handlers only map the error to a response.
+const readMultipartFile = (req, { field = "file", maxBytes }) =>
+  new Promise((resolve) => {
+    let parser;
+    try {
+      parser = busboy({ headers: req.headers, limits: { files: 1, fileSize: maxBytes, fields: 10 } });
+    } catch {
+      resolve({ status: 400, error: "Expected a multipart/form-data body" });
+      return;
+    }
+
+    let file = null;
+    let settled = false;
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      req.unpipe(parser);
+      req.resume(); // drain what is left so the connection can be reused
+      resolve(result);
+    };
+
+    parser.on("file", (name, stream, info) => {
+      if (name !== field) {
+        stream.resume();
+        return;
+      }
+      const chunks = [];
+      file = { filename: info.filename || null, tooLarge: false };
+      stream.on("data", (chunk) => chunks.push(chunk));
+      stream.on("limit", () => {
+        file.tooLarge = true;
+      });
+      stream.on("end", () => {
+        file.buffer = Buffer.concat(chunks);
+      });
+    });
+    parser.on("error", () => finish({ status: 400, error: "Malformed multipart body" }));
+    parser.on("close", () => {
+      if (!file || !file.buffer) return finish({ status: 400, error: `Send the image as the "${field}" field` });
+      if (file.tooLarge) return finish({ status: 413, error: `Images can be at most ${maxBytes} bytes` });
+      if (file.buffer.length === 0) return finish({ status: 400, error: "The file is empty" });
+      finish({ file: { buffer: file.buffer, filename: file.filename } });
+    });
+
+    req.pipe(parser);
+  });
+
+// Built-in images for articles and people without one, served at /defaults/<name>.svg
+const placeholderSvg = ({ width, height, label }) =>
+  `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+  `<rect width="100%" height="100%" fill="#e5e7eb"/>` +
+  (label
+    ? `<text x="50%" y="50%" fill="#6b7280" font-family="sans-serif" font-size="${Math.round(height / 10)}" text-anchor="middle" dominant-baseline="middle">${label}</text>`
+    : `<circle cx="50%" cy="38%" r="18%" fill="#9ca3af"/><ellipse cx="50%" cy="92%" rx="34%" ry="28%" fill="#9ca3af"/>`) +
+  `</svg>`;
+
+const DEFAULT_IMAGES = {
+  avatar: placeholderSvg({ width: 40, height: 40 }),
+  article: placeholderSvg({ width: 800, height: 400, label: "No Image" }),
+};
+
+module.exports = {
+  IMAGE_TYPES,
+  UPLOAD_KEY_PATTERN,
+  DEFAULT_IMAGES,
+  sniffImageType,
+  newUploadKey,
+  contentTypeOfKey,
+  uploadKeysIn,
+  readMultipartFile,
+};
@@ -0,0 +1,106 @@
+// Request validation on top of express-validator's checkSchema.
+// validate(schema) checks every declared field and answers 400 with one entry per failing
+// field. On success req.body / req.query / req.params are replaced by the declared fields
+// only (after sanitizers such as toInt ran), so unknown fields never reach the handlers.
+// Fields live in the body unless they say otherwise with `in`. Nested fields such as
+// "recurrence.rrule" are only reached when their parent was sent, so declare them optional.
+
+const { checkSchema, matchedData, validationResult } = require("express-validator");
+
+const LOCATIONS = ["body", "query", "params"];
+
+// Keep only the declared properties of nested objects and array items
+const pruneUnknown = (value, path, declaredPaths) => {
+  const prefix = `${path}.`;
+  const childKeys = new Set(
+    declaredPaths
+      .filter((declared) => declared.startsWith(prefix))
+      .map((declared) => declared.slice(prefix.length).split(".")[0])
+  );
+  if (childKeys.size === 0 || value === null || typeof value !== "object") return value;
+
+  if (Array.isArray(value)) {
+    return childKeys.has("*")
+      ? value.map((item) => pruneUnknown(item, `${path}.*`, declaredPaths))
+      : value;
+  }
+
+  const pruned = {};
+  for (const key of childKeys) {
+    if (key !== "*" && value[key] !== undefined) {
+      pruned[key] = pruneUnknown(value[key], `${path}.${key}`, declaredPaths);
+    }
+  }
+  return pruned;
+};
+
+// Express 5 exposes req.query through a getter, so it is redefined rather than assigned
+const replaceRequestPart = (req, location, value) => {
+  Object.defineProperty(req, location, {
+    value,
+    writable: true,
+    configurable: true,
+    enumerable: true,
+  });
+};
+
+const formatErrors = (errors) => {
+  const seen = new Set();
+  const fields = [];
+  for (const error of errors) {
+    const key = `${error.location}:${error.path}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    fields.push({ field: error.path, location: error.location, message: error.msg });
+  }
+  return fields;
+};
+
+// Uniform 400 body for every validation failure
+const sendValidationError = (res, errors) =>
+  res.status(400).json({
+    success: false,
+    error: "Validation failed",
+    errors,
+  });
+
+// schema: an express-validator checkSchema() schema
+const validate = (schema) => {
+  const chains = checkSchema(schema, ["body"]);
+  const declaredByLocation = Object.fromEntries(
+    LOCATIONS.map((location) => [
+      location,
+      Object.keys(schema).filter((path) => (schema[path].in || ["body"]).includes(location)),
+    ])
+  );
+
+  return async (req, res, next) => {
+    try {
+      for (const chain of chains) {
+        await chain.run(req);
+      }
+
+      const result = validationResult(req);
+      if (!result.isEmpty()) {
+        return sendValidationError(res, formatErrors(result.array()));
+      }
+
+      for (const location of LOCATIONS) {
+        const declared = declaredByLocation[location];
+        const data = matchedData(req, { locations: [location], includeOptionals: false });
+        for (const key of Object.keys(data)) {
+          if (data[key] === undefined) delete data[key];
+          else data[key] = pruneUnknown(data[key], key, declared);
+        }
+        replaceRequestPart(req, location, data);
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = {
+  validate,
+};
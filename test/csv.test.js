@@ -0,0 +1,26 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { toCsv } = require("../lib/csv");
+
+const columns = [
+  { header: "Name", value: (row) => row.name },
+  { header: "Joined", value: (row) => row.joinedAt },
+];
+
+describe("toCsv", () => {
+  it("starts with a BOM and ends every line with CRLF", () => {
+    const csv = toCsv(columns, [{ name: "Ada", joinedAt: new Date("2025-07-01T10:00:00Z") }]);
+    assert.equal(csv, "\uFEFFName,Joined\r\nAda,2025-07-01T10:00:00.000Z\r\n");
+  });
+
+  it("quotes cells with commas, quotes and newlines", () => {
+    const csv = toCsv(columns, [{ name: 'Lovelace, "Ada"\nCountess', joinedAt: null }]);
+    assert.equal(csv.split("\r\n")[1], '"Lovelace, ""Ada""\nCountess",');
+  });
+
+  it("neutralises cells spreadsheets would run as formulas", () => {
+    const rows = ["=HYPERLINK(\"x\")", "+1", "-2", "@SUM(A1)", "\tTab"].map((name) => ({ name }));
+    const cells = toCsv(columns.slice(0, 1), rows).slice(1).split("\r\n").slice(1, -1);
+    assert.deepEqual(cells, ["\"'=HYPERLINK(\"\"x\"\")\"", "'+1", "'-2", "'@SUM(A1)", "'\tTab"]);
+  });
+});
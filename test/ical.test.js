@@ -0,0 +1,79 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { escapeText, foldLine, formatUtc, buildEvent, buildCalendar } = require("../lib/ical");
+
+const now = new Date("2025-06-01T00:00:00Z");
+
+describe("escapeText", () => {
+  it("escapes backslashes, separators and newlines", () => {
+    assert.equal(escapeText("a\\b; c, d\r\ne\nf"), "a\\\\b\\; c\\, d\\ne\\nf");
+  });
+});
+
+describe("foldLine", () => {
+  it("leaves short lines alone", () => {
+    assert.equal(foldLine("SUMMARY:Short"), "SUMMARY:Short");
+  });
+
+  it("folds at 75 octets without splitting multi-byte characters", () => {
+    const line = `DESCRIPTION:${"é".repeat(100)}`;
+    const parts = foldLine(line).split("\r\n ");
+    assert.ok(parts.length > 1);
+    for (const part of parts) assert.ok(Buffer.byteLength(part) <= 75);
+    assert.equal(parts.join(""), line);
+  });
+});
+
+describe("buildEvent", () => {
+  it("writes times in the event timezone with a TZID", () => {
+    const lines = buildEvent(
+      {
+        uid: "group-1@example.com",
+        startsAt: "2025-07-01T16:00:00Z",
+        endsAt: "2025-07-01T18:00:00Z",
+        timezone: "Europe/Berlin",
+        summary: "Board games, round 2",
+        rrule: "FREQ=WEEKLY;COUNT=3",
+        exdates: ["2025-07-08T16:00:00Z"],
+      },
+      now
+    );
+    assert.ok(lines.includes(`DTSTAMP:${formatUtc(now)}`));
+    assert.ok(lines.includes("DTSTART;TZID=Europe/Berlin:20250701T180000"));
+    assert.ok(lines.includes("DTEND;TZID=Europe/Berlin:20250701T200000"));
+    assert.ok(lines.includes("RRULE:FREQ=WEEKLY;COUNT=3"));
+    assert.ok(lines.includes("EXDATE;TZID=Europe/Berlin:20250708T180000"));
+    assert.ok(lines.includes("SUMMARY:Board games\\, round 2"));
+  });
+
+  it("writes UTC times with a Z and no TZID", () => {
+    const lines = buildEvent({ uid: "u", startsAt: "2025-07-01T16:00:00Z", timezone: "UTC" }, now);
+    assert.ok(lines.includes("DTSTART:20250701T160000Z"));
+    assert.ok(lines.includes("SUMMARY:Untitled event"));
+  });
+});
+
+describe("buildCalendar", () => {
+  it("uses CRLF line endings and feed headers", () => {
+    const text = buildCalendar([], { now, name: "My events", refreshInterval: "PT1H" });
+    assert.ok(text.startsWith("BEGIN:VCALENDAR\r\nVERSION:2.0\r\n"));
+    assert.ok(text.endsWith("END:VCALENDAR\r\n"));
+    assert.ok(!/[^\r]\n/.test(text));
+    assert.match(text, /X-WR-CALNAME:My events\r\n/);
+    assert.match(text, /REFRESH-INTERVAL;VALUE=DURATION:PT1H\r\n/);
+  });
+
+  it("adds one VTIMEZONE per zone with its daylight saving changes", () => {
+    const events = [
+      { uid: "a", startsAt: "2025-03-01T23:00:00Z", timezone: "America/New_York", rangeEnd: "2025-04-01T00:00:00Z" },
+      { uid: "b", startsAt: "2025-03-20T23:00:00Z", timezone: "America/New_York" },
+      { uid: "c", startsAt: "2025-03-20T23:00:00Z", timezone: "UTC" },
+    ];
+    const text = buildCalendar(events, { now });
+    assert.equal(text.match(/BEGIN:VTIMEZONE/g).length, 1);
+    assert.match(text, /TZID:America\/New_York/);
+    // Clocks went forward at 02:00 local on 9 March 2025
+    assert.match(text, /BEGIN:DAYLIGHT\r\nDTSTART:20250309T020000\r\nTZOFFSETFROM:-0500\r\nTZOFFSETTO:-0400/);
+    assert.equal(text.match(/BEGIN:VEVENT/g).length, 3);
+  });
+});
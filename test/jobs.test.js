@@ -0,0 +1,151 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseCron, cronMatches, nextCronRun, createJobScheduler } = require("../lib/jobs");
+
+const at = (iso) => new Date(iso);
+
+describe("parseCron", () => {
+  it("expands steps, ranges and lists", () => {
+    const [minute, hour, , , dayOfWeek] = parseCron("*/15 9-11 * * 1,3");
+    assert.deepEqual([...minute.values], [0, 15, 30, 45]);
+    assert.deepEqual([...hour.values], [9, 10, 11]);
+    assert.deepEqual([...dayOfWeek.values], [1, 3]);
+  });
+
+  it("treats 7 as Sunday and knows the aliases", () => {
+    assert.ok(parseCron("0 0 * * 7")[4].values.has(0));
+    assert.deepEqual(
+      parseCron("@daily").map((field) => [...field.values]),
+      parseCron("0 0 * * *").map((field) => [...field.values])
+    );
+  });
+
+  it("rejects malformed expressions", () => {
+    assert.throws(() => parseCron("* * * *"), /expected 5 fields/);
+    assert.throws(() => parseCron("60 * * * *"), /bad minute/);
+    assert.throws(() => parseCron("*/0 * * * *"), /bad minute/);
+    assert.throws(() => parseCron("* 5-2 * * *"), /bad hour/);
+  });
+});
+
+describe("cronMatches", () => {
+  it("matches in UTC", () => {
+    const fields = parseCron("30 14 * * *");
+    assert.equal(cronMatches(fields, at("2025-07-01T14:30:00Z")), true);
+    assert.equal(cronMatches(fields, at("2025-07-01T14:31:00Z")), false);
+  });
+
+  it("accepts either day field when both are restricted, like cron", () => {
+    // 1st of the month, or any Monday
+    const fields = parseCron("0 0 1 * 1");
+    assert.equal(cronMatches(fields, at("2025-07-01T00:00:00Z")), true); // Tuesday the 1st
+    assert.equal(cronMatches(fields, at("2025-07-07T00:00:00Z")), true); // Monday the 7th
+    assert.equal(cronMatches(fields, at("2025-07-08T00:00:00Z")), false);
+  });
+});
+
+describe("nextCronRun", () => {
+  it("finds the next matching minute after the given time", () => {
+    const quarter = nextCronRun(parseCron("*/15 * * * *"), at("2025-07-01T10:07:42Z"));
+    assert.equal(quarter.toISOString(), "2025-07-01T10:15:00.000Z");
+    const hourly = nextCronRun(parseCron("@hourly"), at("2025-07-01T10:00:00Z"));
+    assert.equal(hourly.toISOString(), "2025-07-01T11:00:00.000Z");
+  });
+});
+
+// Just enough of a MongoDB collection for the scheduler: one lock document per job
+const createLocks = () => {
+  const locks = new Map();
+  return {
+    locks,
+    async updateOne(filter, update) {
+      const lock = locks.get(filter._id);
+      if (filter.owner !== undefined) {
+        if (lock?.owner === filter.owner) Object.assign(lock, update.$set);
+        return { modifiedCount: lock ? 1 : 0 };
+      }
+      if (!lock) {
+        locks.set(filter._id, { ...update.$set });
+        return { modifiedCount: 0, upsertedCount: 1 };
+      }
+      if (lock.lockedUntil && lock.lockedUntil >= new Date()) {
+        const error = new Error("duplicate key");
+        error.code = 11000;
+        throw error;
+      }
+      Object.assign(lock, update.$set);
+      return { modifiedCount: 1, upsertedCount: 0 };
+    },
+  };
+};
+
+const createRuns = () => {
+  const runs = [];
+  return {
+    runs,
+    async insertOne(run) {
+      const insertedId = runs.length;
+      runs.push({ ...run });
+      return { insertedId };
+    },
+    async updateOne({ _id }, { $set }) {
+      Object.assign(runs[_id], $set);
+    },
+  };
+};
+
+describe("createJobScheduler", () => {
+  it("records manual runs and their results", async () => {
+    const runsCollection = createRuns();
+    const scheduler = createJobScheduler({ runsCollection, locksCollection: createLocks(), instanceId: "test" });
+    scheduler.define("count", "*/5 * * * *", async () => ({ counted: 3 }), { description: "Counts" });
+
+    const run = await scheduler.runNow("count", "admin@example.com");
+    assert.equal(run.status, "succeeded");
+    assert.deepEqual(run.result, { counted: 3 });
+    assert.equal(runsCollection.runs[0].triggeredBy, "admin@example.com");
+    assert.equal(runsCollection.runs[0].status, "succeeded");
+  });
+
+  it("records failures instead of throwing", async () => {
+    const scheduler = createJobScheduler({ runsCollection: createRuns(), locksCollection: createLocks() });
+    scheduler.define("broken", "@daily", async () => {
+      throw new Error("boom");
+    });
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+      const run = await scheduler.runNow("broken");
+      assert.equal(run.status, "failed");
+      assert.equal(run.error, "boom");
+    } finally {
+      console.error = originalError;
+    }
+  });
+
+  it("skips a job whose lock is still held", async () => {
+    const locksCollection = createLocks();
+    locksCollection.locks.set("busy", { lockedUntil: new Date(Date.now() + 60000), owner: "other" });
+    const scheduler = createJobScheduler({ runsCollection: createRuns(), locksCollection });
+    let ran = false;
+    scheduler.define("busy", "@hourly", async () => {
+      ran = true;
+    });
+
+    const run = await scheduler.runNow("busy");
+    assert.equal(run.status, "skipped");
+    assert.equal(ran, false);
+  });
+
+  it("rejects duplicate and unknown jobs and lists the next run", () => {
+    const scheduler = createJobScheduler({ runsCollection: createRuns(), locksCollection: createLocks() });
+    scheduler.define("tidy", "0 3 * * *", async () => null);
+    assert.throws(() => scheduler.define("tidy", "@daily", async () => null), /already defined/);
+    assert.throws(() => scheduler.runNow("missing"), /Unknown job/);
+
+    const [job] = scheduler.list();
+    assert.equal(job.name, "tidy");
+    assert.equal(job.nextRunAt.getUTCHours(), 3);
+    assert.equal(job.nextRunAt.getUTCMinutes(), 0);
+  });
+});
@@ -0,0 +1,105 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseRRule, formatRRule, expandRecurrence, isOccurrence, splitRRule } = require("../lib/recurrence");
+
+const isoList = (dates) => dates.map((date) => date.toISOString());
+
+describe("parseRRule", () => {
+  it("parses the supported parts", () => {
+    const rule = parseRRule("RRULE:FREQ=MONTHLY;INTERVAL=2;BYDAY=-1FR;COUNT=6");
+    assert.equal(rule.freq, "MONTHLY");
+    assert.equal(rule.interval, 2);
+    assert.equal(rule.count, 6);
+    assert.deepEqual(rule.byDay, [{ weekday: 5, ordinal: -1 }]);
+  });
+
+  it("rejects rules outside the subset", () => {
+    assert.throws(() => parseRRule(""), /non-empty/);
+    assert.throws(() => parseRRule("INTERVAL=2"), /FREQ is required/);
+    assert.throws(() => parseRRule("FREQ=HOURLY"), /Unsupported FREQ/);
+    assert.throws(() => parseRRule("FREQ=DAILY;COUNT=3;UNTIL=20250101"), /cannot be combined/);
+    assert.throws(() => parseRRule("FREQ=WEEKLY;BYDAY=2TU"), /ordinals/);
+    assert.throws(() => parseRRule("FREQ=DAILY;BYSETPOS=1"), /Unsupported rrule part/);
+  });
+
+  it("round-trips through formatRRule", () => {
+    const source = "FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,TH;UNTIL=20251231T235959Z";
+    assert.equal(formatRRule(parseRRule(source)), source);
+  });
+});
+
+describe("expandRecurrence", () => {
+  it("expands weekly rules on several weekdays", () => {
+    const series = { rrule: "FREQ=WEEKLY;BYDAY=TU,TH;COUNT=4", startsAt: "2025-07-01T18:00:00Z", timezone: "UTC" };
+    assert.deepEqual(isoList(expandRecurrence(series)), [
+      "2025-07-01T18:00:00.000Z",
+      "2025-07-03T18:00:00.000Z",
+      "2025-07-08T18:00:00.000Z",
+      "2025-07-10T18:00:00.000Z",
+    ]);
+  });
+
+  it("picks ordinal weekdays and skips months without the day", () => {
+    const lastFriday = { rrule: "FREQ=MONTHLY;BYDAY=-1FR;COUNT=3", startsAt: "2025-01-31T17:00:00Z", timezone: "UTC" };
+    assert.deepEqual(isoList(expandRecurrence(lastFriday)), [
+      "2025-01-31T17:00:00.000Z",
+      "2025-02-28T17:00:00.000Z",
+      "2025-03-28T17:00:00.000Z",
+    ]);
+
+    const the31st = { rrule: "FREQ=MONTHLY;COUNT=3", startsAt: "2025-01-31T09:00:00Z", timezone: "UTC" };
+    assert.deepEqual(isoList(expandRecurrence(the31st)), [
+      "2025-01-31T09:00:00.000Z",
+      "2025-03-31T09:00:00.000Z",
+      "2025-05-31T09:00:00.000Z",
+    ]);
+  });
+
+  it("keeps the local time across daylight saving changes", () => {
+    const series = { rrule: "FREQ=WEEKLY;COUNT=2", startsAt: "2025-03-05T23:00:00Z", timezone: "America/New_York" };
+    // 18:00 in New York: UTC-5 before 9 March, UTC-4 after
+    assert.deepEqual(isoList(expandRecurrence(series)), ["2025-03-05T23:00:00.000Z", "2025-03-12T22:00:00.000Z"]);
+  });
+
+  it("leaves out EXDATEs, which still count towards COUNT", () => {
+    const series = {
+      rrule: "FREQ=DAILY;COUNT=3",
+      startsAt: "2025-07-01T10:00:00Z",
+      timezone: "UTC",
+      exdates: ["2025-07-02T10:00:00Z"],
+    };
+    assert.deepEqual(isoList(expandRecurrence(series)), ["2025-07-01T10:00:00.000Z", "2025-07-03T10:00:00.000Z"]);
+  });
+
+  it("limits open-ended rules to the window and refuses to expand them without one", () => {
+    const series = { rrule: "FREQ=DAILY", startsAt: "2025-07-01T10:00:00Z", timezone: "UTC" };
+    assert.throws(() => expandRecurrence(series), /end of the expansion window/);
+    const window = { from: new Date("2025-07-03T00:00:00Z"), to: new Date("2025-07-05T23:59:59Z") };
+    assert.equal(expandRecurrence(series, window).length, 3);
+    assert.equal(expandRecurrence(series, { ...window, limit: 2 }).length, 2);
+  });
+
+  it("stops at UNTIL", () => {
+    const series = { rrule: "FREQ=DAILY;UNTIL=20250703", startsAt: "2025-07-01T10:00:00Z", timezone: "UTC" };
+    assert.equal(expandRecurrence(series).length, 3);
+  });
+});
+
+describe("isOccurrence", () => {
+  it("tells dates of the series from other dates", () => {
+    const series = { rrule: "FREQ=WEEKLY;BYDAY=MO", startsAt: "2025-07-07T09:00:00Z", timezone: "UTC" };
+    assert.equal(isOccurrence(series, "2025-07-21T09:00:00Z"), true);
+    assert.equal(isOccurrence(series, "2025-07-22T09:00:00Z"), false);
+    assert.equal(isOccurrence(series, "2025-07-21T10:00:00Z"), false);
+  });
+});
+
+describe("splitRRule", () => {
+  it("ends the old rule before the split and carries the remaining COUNT over", () => {
+    const series = { rrule: "FREQ=DAILY;COUNT=10", startsAt: "2025-07-01T10:00:00Z", timezone: "UTC" };
+    const { before, after, precedingCount } = splitRRule(series, new Date("2025-07-05T10:00:00Z"));
+    assert.equal(precedingCount, 4);
+    assert.equal(before, "FREQ=DAILY;UNTIL=20250705T095959Z");
+    assert.equal(after, "FREQ=DAILY;COUNT=6");
+  });
+});
@@ -0,0 +1,116 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  isValidTimeZone,
+  zonedTimeToUtc,
+  parseEventTime,
+  deriveLegacyFields,
+  parseLegacySchedule,
+  normalizeSchedule,
+} = require("../lib/schedule");
+
+describe("parseEventTime", () => {
+  it("keeps instants with an offset as they are", () => {
+    assert.equal(parseEventTime("2025-07-01T12:00:00Z", "Asia/Dhaka").toISOString(), "2025-07-01T12:00:00.000Z");
+    assert.equal(parseEventTime("2025-07-01T18:00:00+06:00", "UTC").toISOString(), "2025-07-01T12:00:00.000Z");
+  });
+
+  it("reads local wall times in the given timezone", () => {
+    assert.equal(parseEventTime("2025-07-01T18:00", "Asia/Dhaka").toISOString(), "2025-07-01T12:00:00.000Z");
+    assert.equal(parseEventTime("2025-07-01T18:00:30", "UTC").toISOString(), "2025-07-01T18:00:30.000Z");
+  });
+
+  it("rejects dates without a time and unparseable input", () => {
+    assert.equal(parseEventTime("2025-07-01", "UTC"), null);
+    assert.equal(parseEventTime("next tuesday", "UTC"), null);
+    assert.equal(parseEventTime(42, "UTC"), null);
+    assert.equal(parseEventTime(new Date("nope"), "UTC"), null);
+  });
+});
+
+describe("zonedTimeToUtc", () => {
+  it("follows daylight saving time", () => {
+    const winter = zonedTimeToUtc({ year: 2025, month: 1, day: 15, hour: 9 }, "America/New_York");
+    const summer = zonedTimeToUtc({ year: 2025, month: 7, day: 15, hour: 9 }, "America/New_York");
+    assert.equal(winter.toISOString(), "2025-01-15T14:00:00.000Z");
+    assert.equal(summer.toISOString(), "2025-07-15T13:00:00.000Z");
+  });
+});
+
+describe("deriveLegacyFields", () => {
+  it("formats the start in the event timezone", () => {
+    assert.deepEqual(deriveLegacyFields(new Date("2025-07-01T20:30:00Z"), "Asia/Dhaka"), {
+      formattedDate: "2025-07-02",
+      formatHour: "02:30",
+      day: "Wednesday",
+    });
+  });
+});
+
+describe("parseLegacySchedule", () => {
+  it("understands 12-hour times", () => {
+    const startsAt = parseLegacySchedule({ formattedDate: "2025-07-14", formatHour: "6:30 PM" }, "UTC");
+    assert.equal(startsAt.toISOString(), "2025-07-14T18:30:00.000Z");
+    const midnight = parseLegacySchedule({ formattedDate: "2025-07-14", formatHour: "12:00 am" }, "UTC");
+    assert.equal(midnight.toISOString(), "2025-07-14T00:00:00.000Z");
+  });
+
+  it("gives up on impossible times and missing dates", () => {
+    assert.equal(parseLegacySchedule({ formattedDate: "2025-07-14", formatHour: "25:00" }, "UTC"), null);
+    assert.equal(parseLegacySchedule({ formatHour: "10:00" }, "UTC"), null);
+  });
+});
+
+describe("isValidTimeZone", () => {
+  it("accepts IANA names only", () => {
+    assert.equal(isValidTimeZone("Asia/Dhaka"), true);
+    assert.equal(isValidTimeZone("Mars/Olympus_Mons"), false);
+    assert.equal(isValidTimeZone(""), false);
+  });
+});
+
+describe("normalizeSchedule", () => {
+  it("requires a start on create", () => {
+    assert.deepEqual(normalizeSchedule({}), { error: "startsAt is required" });
+  });
+
+  it("stores the instants, the timezone and the legacy strings", () => {
+    const { fields } = normalizeSchedule({
+      startsAt: "2025-07-01T18:00",
+      endsAt: "2025-07-01T20:00",
+      timezone: "Asia/Dhaka",
+    });
+    assert.equal(fields.startsAt.toISOString(), "2025-07-01T12:00:00.000Z");
+    assert.equal(fields.endsAt.toISOString(), "2025-07-01T14:00:00.000Z");
+    assert.equal(fields.timezone, "Asia/Dhaka");
+    assert.equal(fields.formattedDate, "2025-07-01");
+    assert.equal(fields.formatHour, "18:00");
+  });
+
+  it("rejects an end before the start and unknown timezones", () => {
+    assert.deepEqual(normalizeSchedule({ startsAt: "2025-07-01T18:00Z", endsAt: "2025-07-01T17:00Z" }), {
+      error: "endsAt must be after startsAt",
+    });
+    assert.match(normalizeSchedule({ startsAt: "2025-07-01T18:00Z", timezone: "Nowhere" }).error, /timezone/);
+  });
+
+  it("leaves stored schedules alone when an update does not touch them", () => {
+    assert.deepEqual(normalizeSchedule({ groupName: "Renamed" }, { startsAt: new Date() }), { fields: {} });
+  });
+
+  it("keeps the duration when an update only moves the start", () => {
+    const existing = {
+      startsAt: new Date("2025-07-01T12:00:00Z"),
+      endsAt: new Date("2025-07-01T14:00:00Z"),
+      timezone: "UTC",
+    };
+    const { fields } = normalizeSchedule({ startsAt: "2025-07-02T12:00:00Z" }, existing);
+    assert.equal(fields.endsAt.toISOString(), "2025-07-02T14:00:00.000Z");
+  });
+
+  it("accepts the legacy strings older clients send", () => {
+    const { fields } = normalizeSchedule({ formattedDate: "2025-07-14", formatHour: "6:30 PM", timezone: "UTC" });
+    assert.equal(fields.startsAt.toISOString(), "2025-07-14T18:30:00.000Z");
+    assert.equal(fields.day, "Monday");
+  });
+});
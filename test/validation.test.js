@@ -0,0 +1,86 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { validate } = require("../lib/validation");
+
+// Runs the middleware against a bare request and records what it answered
+const run = async (schema, { body = {}, query = {}, params = {} } = {}) => {
+  const req = { body, query, params, headers: {} };
+  const res = {
+    statusCode: 200,
+    payload: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.payload = payload;
+      return this;
+    },
+  };
+  let nextCalledWith = null;
+  await validate(schema)(req, res, (error) => {
+    nextCalledWith = error ?? "next";
+  });
+  return { req, res, next: nextCalledWith };
+};
+
+describe("validate", () => {
+  it("keeps only the declared fields, after sanitizers ran", async () => {
+    const { req, next } = await run(
+      {
+        name: { optional: true, isString: true, trim: true },
+        limit: { in: ["query"], optional: true, isInt: true, toInt: true },
+      },
+      { body: { name: "  Book club ", isAdmin: true }, query: { limit: "20", debug: "1" } }
+    );
+    assert.equal(next, "next");
+    assert.deepEqual(req.body, { name: "Book club" });
+    assert.deepEqual(req.query, { limit: 20 });
+    assert.deepEqual(req.params, {});
+  });
+
+  it("strips everything when the schema is empty", async () => {
+    const { req, next } = await run({}, { body: { anything: 1 }, query: { q: "x" } });
+    assert.equal(next, "next");
+    assert.deepEqual(req.body, {});
+    assert.deepEqual(req.query, {});
+  });
+
+  it("prunes unknown properties of nested objects and array items", async () => {
+    const { req } = await run(
+      {
+        recurrence: { optional: true, isObject: true },
+        "recurrence.rrule": { optional: true, isString: true },
+        tiers: { optional: true, isArray: true },
+        "tiers.*.name": { optional: true, isString: true },
+      },
+      {
+        body: {
+          recurrence: { rrule: "FREQ=DAILY", owner: "x" },
+          tiers: [{ name: "Standard", sold: 99 }],
+        },
+      }
+    );
+    assert.deepEqual(req.body, { recurrence: { rrule: "FREQ=DAILY" }, tiers: [{ name: "Standard" }] });
+  });
+
+  it("answers 400 with one entry per failing field", async () => {
+    const { res, next } = await run(
+      {
+        name: { exists: { errorMessage: "Required" }, isString: { errorMessage: "Must be a string" } },
+        id: { in: ["params"], isMongoId: { errorMessage: "Invalid id" } },
+      },
+      { params: { id: "nope" } }
+    );
+    assert.equal(next, null);
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(res.payload, {
+      success: false,
+      error: "Validation failed",
+      errors: [
+        { field: "name", location: "body", message: "Required" },
+        { field: "id", location: "params", message: "Invalid id" },
+      ],
+    });
+  });
+});